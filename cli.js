@@ -1,45 +1,98 @@
 #!/usr/bin/env node
 
-import { readFile, writeFile, readdir, stat, mkdir } from "fs/promises";
-import { resolve, extname, join, dirname } from "path";
-import { rewriteSFC } from "./src/index.js";
+import { readFile, writeFile, readdir, stat, mkdir, access } from "fs/promises";
+import { resolve, extname, join, dirname, basename, relative, sep } from "path";
+import {
+  migrateSFC,
+  rewriteMixin,
+  getMixinExports,
+  getMixinParameters,
+  getMixinDeclarations,
+  getMixinConfig,
+  rewriteStoreModule,
+  getStoreConfig,
+  scaffoldComposables,
+  checkSFC,
+} from "./src/index.js";
+import { createUnifiedDiff, colorizeDiff, countChanges } from "./src/diff.js";
+import { findFiles, findRepositoryRoot, isPageFile } from "./src/files.js";
+import { createWorkerPool } from "./src/pool.js";
 
 const args = process.argv.slice(2);
 
+const TARGETS = ["vue3", "nuxt3"];
+
 function showHelp() {
   console.log(`
-Usage: node cli.js <input-path> [options]
+Usage: node cli.js [command] <input-path> [options]
 
 Transform Vue 2 SFC to Vue 3 Composition API
 
+Commands:
+  store         Convert Vuex store modules (store/*.js) to Pinia stores
+  mixin         Convert mixin files (mixins/*.js) to composables
+  scaffold      Write the helper composables the migrated code imports
+
 Arguments:
-  input-path    Path to Vue SFC file or directory containing .vue files
+  input-path    Path to Vue SFC file or directory containing .vue files,
+                or a module file / directory for the store and mixin commands,
+                or the source directory '@/' resolves to for scaffold
 
 Options:
   -c, --config <file>    Configuration JSON file path
   -o, --output <path>    Output file/directory path (default: overwrites input)
   -r, --recursive        Process directories recursively (default: true)
+  -m, --mixins <dir>     Mixin sources to derive mixins.<name>.imports from
+  -t, --target <target>  Output target: vue3 (default) or nuxt3
+  --dry-run              Print a diff of the changes instead of writing files
+  --diff-out <file>      Save the changes as a patch for git apply instead of writing files
+  --include <glob>       Only process files matching the glob, can be repeated
+  --exclude <glob>       Skip files and directories matching the glob, can be repeated
+  --no-gitignore         Also process files ignored by .gitignore
+  -j, --concurrency <n>  Transform files in n worker threads (default: 1)
+  --check                List the Vue 2 patterns left in .vue files, failing when any remain
   -h, --help            Show this help message
 
 Examples:
   node cli.js components/MyComponent.vue                    # Transform single file
   node cli.js components/ -c config.json                   # Transform with config
   node cli.js src/ -o dist/ -c migration-config.json       # Transform to different directory with config
+  node cli.js store store/ -o src/stores/                  # Convert Vuex store modules to Pinia
+  node cli.js mixin mixins/ -o src/composables/            # Convert mixins to composables
+  node cli.js components/ -m mixins/                       # Use mixin sources for mixin imports
+  node cli.js scaffold . -c config.json                    # Write the helper composables
+  node cli.js src/ --dry-run --diff-out migration.patch    # Review the changes before applying them
+  node cli.js pages/ -t nuxt3                              # Use Nuxt 3 auto-imports
+  node cli.js . --exclude "legacy/**" --include "src/**"   # Select the files of a monorepo
+  node cli.js src/ -j 4                                    # Transform files in 4 worker threads
+  node cli.js src/ --check                                 # Fail CI when Vue 2 code remains
 `);
 }
 
 function parseArgs(args) {
   const options = {
+    command: null,
     input: null,
     output: null,
     config: null,
+    mixins: null,
+    target: null,
+    dryRun: false,
+    diffOut: null,
+    check: false,
+    concurrency: 1,
+    include: [],
+    exclude: [],
+    gitignore: null,
     recursive: true,
   };
 
   for (let i = 0; i < args.length; i++) {
     const arg = args[i];
 
-    if (arg === "-h" || arg === "--help") {
+    if (i === 0 && (Object.hasOwn(moduleCommands, arg) || arg === "scaffold")) {
+      options.command = arg;
+    } else if (arg === "-h" || arg === "--help") {
       showHelp();
       process.exit(0);
     } else if (arg === "-c" || arg === "--config") {
@@ -54,6 +107,44 @@ function parseArgs(args) {
         process.exit(1);
       }
       options.output = args[++i];
+    } else if (arg === "-m" || arg === "--mixins") {
+      if (i + 1 >= args.length) {
+        console.error("Error: Mixins option requires a directory path");
+        process.exit(1);
+      }
+      options.mixins = args[++i];
+    } else if (arg === "-t" || arg === "--target") {
+      if (i + 1 >= args.length || !TARGETS.includes(args[i + 1])) {
+        console.error(`Error: Target option requires one of: ${TARGETS.join(", ")}`);
+        process.exit(1);
+      }
+      options.target = args[++i];
+    } else if (arg === "--dry-run") {
+      options.dryRun = true;
+    } else if (arg === "--diff-out") {
+      if (i + 1 >= args.length) {
+        console.error("Error: Diff out option requires a file path");
+        process.exit(1);
+      }
+      options.diffOut = args[++i];
+    } else if (arg === "--include" || arg === "--exclude") {
+      if (i + 1 >= args.length) {
+        console.error(`Error: ${arg.slice(2)} option requires a glob pattern`);
+        process.exit(1);
+      }
+      options[arg.slice(2)].push(args[++i]);
+    } else if (arg === "-j" || arg === "--concurrency") {
+      const concurrency = Number(args[i + 1]);
+      if (!Number.isInteger(concurrency) || concurrency < 1) {
+        console.error("Error: Concurrency option requires a positive number");
+        process.exit(1);
+      }
+      options.concurrency = concurrency;
+      i++;
+    } else if (arg === "--no-gitignore") {
+      options.gitignore = false;
+    } else if (arg === "--check") {
+      options.check = true;
     } else if (arg === "-r" || arg === "--recursive") {
       options.recursive = true;
     } else if (!options.input && !arg.startsWith("-")) {
@@ -78,29 +169,97 @@ function parseArgs(args) {
   return options;
 }
 
-async function findVueFiles(dirPath, recursive = true) {
-  const vueFiles = [];
-  
-  try {
-    const entries = await readdir(dirPath);
-    
-    for (const entry of entries) {
-      const fullPath = join(dirPath, entry);
-      const stats = await stat(fullPath);
-      
-      if (stats.isDirectory() && recursive) {
-        // Recursively search subdirectories
-        const subFiles = await findVueFiles(fullPath, recursive);
-        vueFiles.push(...subFiles);
-      } else if (stats.isFile() && extname(entry) === '.vue') {
-        vueFiles.push(fullPath);
-      }
+// Set from the command line and configuration, applies to every directory walk
+const fileSelection = {
+  include: [],
+  exclude: [],
+  gitignore: true,
+};
+
+async function findVueFiles(dirPath, recursive = true, extensions = [".vue"], exclude = []) {
+  return findFiles(dirPath, {
+    recursive,
+    extensions,
+    include: fileSelection.include,
+    exclude: [...fileSelection.exclude, ...exclude],
+    gitignore: fileSelection.gitignore,
+  });
+}
+
+// Set from the command line, dry runs collect diffs instead of writing files
+const outputMode = {
+  dryRun: false,
+  printDiffs: false,
+  patches: [],
+  root: process.cwd(),
+};
+
+// Patch paths are relative to the repository of the file, so git apply works
+// from anywhere in it, and outside of a repository to the output path given
+// on the command line
+async function getPatchPath(outputPath) {
+  const root =
+    (await findRepositoryRoot(dirname(outputPath))) ?? outputMode.root;
+  const path = relative(root, outputPath) || basename(outputPath);
+  return path.split(sep).join("/");
+}
+
+// Writes a file, or records its diff in dry-run mode. Returns whether the
+// file changed.
+async function writeOutput(outputPath, content) {
+  if (!outputMode.dryRun) {
+    await mkdir(dirname(outputPath), { recursive: true });
+    await writeFile(outputPath, content, "utf8");
+    return true;
+  }
+
+  const previous = await readFile(outputPath, "utf8").catch(() => null);
+  const patch = createUnifiedDiff(
+    await getPatchPath(outputPath),
+    previous,
+    content,
+  );
+
+  if (patch) {
+    outputMode.patches.push(patch);
+    if (outputMode.printDiffs) {
+      const useColor = process.stdout.isTTY && !process.env.NO_COLOR;
+      console.log(useColor ? colorizeDiff(patch.trimEnd()) : patch.trimEnd());
     }
-  } catch (error) {
-    console.error(`Error reading directory ${dirPath}:`, error.message);
   }
-  
-  return vueFiles;
+
+  return Boolean(patch);
+}
+
+function logWritten(resolvedInput, resolvedOutput, changed) {
+  if (outputMode.dryRun) {
+    console.log(changed ? "   📝 Would change" : "   ➖ No changes");
+  } else if (resolvedInput === resolvedOutput) {
+    console.log("   ✅ Overwritten successfully");
+  } else {
+    console.log(`   ✅ Written to: ${resolvedOutput}`);
+  }
+}
+
+async function finishDryRun(diffOut) {
+  const { additions, deletions } = outputMode.patches
+    .map(countChanges)
+    .reduce(
+      (total, changes) => ({
+        additions: total.additions + changes.additions,
+        deletions: total.deletions + changes.deletions,
+      }),
+      { additions: 0, deletions: 0 },
+    );
+
+  console.log(
+    `\n🔎 Dry run: ${outputMode.patches.length} file(s) would change, +${additions} -${deletions} lines, nothing was written`,
+  );
+
+  if (diffOut) {
+    await writeFile(resolve(diffOut), outputMode.patches.join(""), "utf8");
+    console.log(`   💾 Patch saved to: ${resolve(diffOut)} (apply with git apply)`);
+  }
 }
 
 async function loadConfig(configPath) {
@@ -127,7 +286,40 @@ async function loadConfig(configPath) {
   }
 }
 
-async function transformFile(inputPath, outputPath, config = null) {
+// Stores used by the transformed files without a vuex configuration, the
+// defaults they were given are reported with the summary
+const inferredStores = {};
+
+function reportInferredStores() {
+  const namespaces = Object.keys(inferredStores).sort();
+  if (namespaces.length === 0) {
+    return;
+  }
+
+  // Printed as a vuex configuration to review and copy into the config file
+  const vuex = Object.fromEntries(
+    namespaces.map((namespace) => [namespace, inferredStores[namespace]]),
+  );
+  console.log(
+    `\n🧠 Inferred a default configuration for ${namespaces.length} store(s) missing from the configuration:`,
+  );
+  console.log(JSON.stringify({ vuex }, null, 2).replace(/^/gm, "   "));
+}
+
+// Diagnostics reported by the transformed files, by severity
+const diagnosticCounts = { error: 0, warning: 0 };
+
+function reportDiagnostics(diagnostics) {
+  diagnostics.forEach(({ code, severity, message, input }) => {
+    diagnosticCounts[severity]++;
+    const icon = severity === "error" ? "❌" : "⚠️ ";
+    console.log(`   ${icon} ${input.line}:${input.column} ${code}: ${message}`);
+  });
+}
+
+// pending is the result of a worker already transforming the file, as
+// { transformed, diagnostics, inferredConfig, logs } or { error, logs }
+async function transformFile(inputPath, outputPath, config = null, pending = null) {
   try {
     // Resolve absolute paths
     const resolvedInput = resolve(inputPath);
@@ -135,24 +327,32 @@ async function transformFile(inputPath, outputPath, config = null) {
 
     console.log(`📄 Transforming: ${resolvedInput}`);
 
-    // Read the input file
-    const content = await readFile(resolvedInput, "utf8");
+    let result;
+    if (pending) {
+      result = await pending;
+      result.logs?.forEach(({ level, message }) => console[level](message));
+      if (result.error) {
+        throw new Error(result.error);
+      }
+    } else {
+      // Read the input file
+      const content = await readFile(resolvedInput, "utf8");
 
-    // Transform the content using rewriteSFC
-    const transformed = await rewriteSFC(content, config || {});
+      // Transform the content using migrateSFC, page options only count on pages
+      const { code, diagnostics, inferredConfig } = await migrateSFC(content, {
+        ...config,
+        page: isPageFile(resolvedInput),
+      });
+      result = { transformed: code, diagnostics, inferredConfig };
+    }
 
-    // Ensure output directory exists
-    const outputDir = dirname(resolvedOutput);
-    await mkdir(outputDir, { recursive: true });
+    const { transformed, diagnostics, inferredConfig } = result;
+    reportDiagnostics(diagnostics);
+    Object.assign(inferredStores, inferredConfig.vuex);
 
     // Write the transformed content
-    await writeFile(resolvedOutput, transformed, "utf8");
-
-    if (resolvedInput === resolvedOutput) {
-      console.log("   ✅ Overwritten successfully");
-    } else {
-      console.log(`   ✅ Written to: ${resolvedOutput}`);
-    }
+    const changed = await writeOutput(resolvedOutput, transformed);
+    logWritten(resolvedInput, resolvedOutput, changed);
     
     return true;
   } catch (error) {
@@ -161,7 +361,243 @@ async function transformFile(inputPath, outputPath, config = null) {
   }
 }
 
-async function processPath(inputPath, outputPath, config = null, recursive = true) {
+function getStoreNamespace(storeFile, storeRoot) {
+  // store/index.js is the root module, store/cart/items.js is 'cart/items'
+  const relativePath = relative(storeRoot, storeFile);
+  const namespace = relativePath
+    .slice(0, -extname(relativePath).length)
+    .split(sep)
+    .join("/");
+  return namespace === "index" ? "" : namespace.replace(/\/index$/, "");
+}
+
+// Describes how each module command finds, converts and names its files
+const moduleCommands = {
+  store: {
+    label: "store module",
+    skip: (file) =>
+      // Modules split into state.js, getters.js, ... files are not supported
+      ["state", "getters", "mutations", "actions"].includes(basename(file, extname(file))),
+    getOutputName: (file, root, config) =>
+      getStoreConfig(getStoreNamespace(file, root), config).name,
+    transform: (content, file, root, config, files) =>
+      rewriteStoreModule(
+        content,
+        getStoreNamespace(file, root),
+        config,
+        files.map((moduleFile) => getStoreNamespace(moduleFile, root)),
+      ),
+  },
+  mixin: {
+    label: "mixin",
+    skip: () => false,
+    getOutputName: (file, root, config) =>
+      getMixinConfig(basename(file, extname(file)), config).name,
+    transform: (content, file, root, config) =>
+      rewriteMixin(content, basename(file, extname(file)), config),
+  },
+};
+
+// files are all of the files converted along with this one
+async function transformModuleFile(inputPath, outputPath, root, command, config = null, files = [inputPath]) {
+  try {
+    const resolvedInput = resolve(inputPath);
+    const resolvedOutput = resolve(outputPath);
+
+    console.log(`📦 Converting ${command.label}: ${resolvedInput}`);
+
+    const content = await readFile(resolvedInput, "utf8");
+    const transformed = await command.transform(content, resolvedInput, root, config || {}, files);
+
+    const changed = await writeOutput(resolvedOutput, transformed);
+    logWritten(resolvedInput, resolvedOutput, changed);
+
+    return true;
+  } catch (error) {
+    console.error(`   ❌ Error: ${error.message}`);
+    return false;
+  }
+}
+
+async function processModulePath(inputPath, outputPath, command, config = null, recursive = true) {
+  const resolvedInput = resolve(inputPath);
+  const resolvedOutput = resolve(outputPath);
+
+  try {
+    const inputStats = await stat(resolvedInput);
+
+    if (inputStats.isFile()) {
+      const success = await transformModuleFile(
+        resolvedInput,
+        resolvedOutput,
+        dirname(resolvedInput),
+        command,
+        config,
+      );
+      return success ? 1 : 0;
+    } else if (inputStats.isDirectory()) {
+      console.log(`🔍 Searching for ${command.label}s in: ${resolvedInput}`);
+
+      const moduleFiles = (
+        await findVueFiles(resolvedInput, recursive, [".js", ".mjs"])
+      ).filter((file) => {
+        if (command.skip(file)) {
+          console.warn(`   ⚠️  Skipping unsupported ${command.label} file: ${file}`);
+          return false;
+        }
+        return true;
+      });
+
+      if (moduleFiles.length === 0) {
+        console.log(`No ${command.label}s found in the specified directory.`);
+        return 0;
+      }
+
+      console.log(`Found ${moduleFiles.length} ${command.label}(s)`);
+      let successCount = 0;
+
+      for (const moduleFile of moduleFiles) {
+        let outputFile;
+        if (resolvedInput === resolvedOutput) {
+          // Overwrite in place
+          outputFile = moduleFile;
+        } else {
+          // Name the output after what it exports so the imports generated
+          // for components ('@/stores/<name>', '@/composables/<name>') resolve
+          const name = command.getOutputName(moduleFile, resolvedInput, config || {});
+          outputFile = join(resolvedOutput, `${name}${extname(moduleFile)}`);
+        }
+
+        const success = await transformModuleFile(
+          moduleFile,
+          outputFile,
+          resolvedInput,
+          command,
+          config,
+          moduleFiles,
+        );
+        if (success) successCount++;
+      }
+
+      console.log(`\n📊 Summary: ${successCount}/${moduleFiles.length} ${command.label}s converted successfully`);
+      return successCount;
+    } else {
+      console.error("Error: Input path is neither a file nor a directory");
+      return 0;
+    }
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      console.error("Error: Path not found. Please check the input path.");
+    } else if (error.code === "EACCES") {
+      console.error("Error: Permission denied. Please check file permissions.");
+    } else {
+      console.error("Error:", error.message);
+    }
+    return 0;
+  }
+}
+
+async function deriveMixinImports(mixinsDir, config = null) {
+  // Fill mixins.<name>.imports from what the generated composables return,
+  // and mixins.<name>.parameters from what they take
+  const resolvedDir = resolve(mixinsDir);
+  const derivedConfig = { ...(config || {}), mixins: { ...config?.mixins } };
+
+  const mixinFiles = await findVueFiles(resolvedDir, true, [".js", ".mjs"]);
+  for (const mixinFile of mixinFiles) {
+    const mixinName = basename(mixinFile, extname(mixinFile));
+    const content = await readFile(mixinFile, "utf8");
+
+    derivedConfig.mixins[mixinName] = {
+      ...getMixinConfig(mixinName, derivedConfig),
+      imports: getMixinExports(content, derivedConfig),
+      parameters: getMixinParameters(content, derivedConfig),
+      ...getMixinDeclarations(content, derivedConfig),
+    };
+  }
+
+  console.log(`🧩 Derived imports for ${mixinFiles.length} mixin(s) from: ${resolvedDir}`);
+  return derivedConfig;
+}
+
+function resolveImportPath(importPath, sourceDir) {
+  // '@/composables/useHttp' -> <sourceDir>/composables/useHttp.js
+  const match = importPath.match(/^[@~]\/(.+)$/);
+  if (!match) {
+    return null;
+  }
+
+  const file = join(sourceDir, ...match[1].split("/"));
+  return extname(file) ? file : `${file}.js`;
+}
+
+async function scaffold(sourceDir, config = null) {
+  const resolvedDir = resolve(sourceDir);
+
+  // useFilters is generated from the project's Vue.filter registrations
+  const filterSources = [];
+  const jsFiles = await findVueFiles(resolvedDir, true, [".js", ".mjs"], [
+    ".nuxt",
+    ".output",
+    "dist",
+  ]);
+  for (const file of jsFiles) {
+    const content = await readFile(file, "utf8");
+    if (content.includes("Vue.filter(")) {
+      filterSources.push({ file, content });
+    }
+  }
+
+  const files = await scaffoldComposables(config || {}, filterSources, (importPath) =>
+    resolveImportPath(importPath, resolvedDir),
+  );
+
+  let writtenCount = 0;
+  for (const { helper, path, content } of files) {
+    const file = resolveImportPath(path, resolvedDir);
+    if (!file) {
+      console.warn(`   ⚠️  Skipping ${helper}: cannot resolve '${path}' to a file`);
+      continue;
+    }
+
+    // The project may already have its own version, possibly in TypeScript
+    const candidates = [file, file.replace(/\.js$/, ".ts")];
+    const exists = (
+      await Promise.all(
+        candidates.map((candidate) =>
+          access(candidate).then(
+            () => true,
+            () => false,
+          ),
+        ),
+      )
+    ).some(Boolean);
+    if (exists) {
+      console.log(`   ⏭️  Skipping ${helper}, already exists: ${file}`);
+      continue;
+    }
+
+    await writeOutput(file, content);
+    console.log(
+      outputMode.dryRun
+        ? `   📝 Would write ${helper} to: ${file}`
+        : `   ✅ Written ${helper} to: ${file}`,
+    );
+    writtenCount++;
+  }
+
+  console.log(
+    `\n📊 Summary: ${writtenCount}/${files.length} composables ${outputMode.dryRun ? "would be written" : "written"}`,
+  );
+  if (writtenCount > 0) {
+    console.log("   The composables depend on axios, mitt, vue-router and vue-i18n");
+  }
+
+  // Nothing left to write is not a failure
+  return files.length;
+}
+
+async function processPath(inputPath, outputPath, config = null, recursive = true, concurrency = 1) {
   const resolvedInput = resolve(inputPath);
   const resolvedOutput = resolve(outputPath);
   
@@ -175,6 +611,7 @@ async function processPath(inputPath, outputPath, config = null, recursive = tru
       }
       
       const success = await transformFile(resolvedInput, resolvedOutput, config);
+      reportInferredStores();
       return success ? 1 : 0;
     } else if (inputStats.isDirectory()) {
       // Directory processing
@@ -189,8 +626,17 @@ async function processPath(inputPath, outputPath, config = null, recursive = tru
       
       console.log(`Found ${vueFiles.length} .vue file(s)`);
       let successCount = 0;
+
+      // Workers transform the files ahead, the results are still written and
+      // reported in file order
+      const workerCount = Math.min(concurrency, vueFiles.length);
+      const pool =
+        workerCount > 1
+          ? createWorkerPool(new URL("./src/worker.js", import.meta.url), workerCount, { config })
+          : null;
+      const results = pool ? vueFiles.map((file) => pool.run({ file })) : [];
       
-      for (const vueFile of vueFiles) {
+      for (const [index, vueFile] of vueFiles.entries()) {
         // Calculate output path
         let outputFile;
         if (resolvedInput === resolvedOutput) {
@@ -202,11 +648,19 @@ async function processPath(inputPath, outputPath, config = null, recursive = tru
           outputFile = join(resolvedOutput, relativePath);
         }
         
-        const success = await transformFile(vueFile, outputFile, config);
+        const success = await transformFile(vueFile, outputFile, config, results[index]);
         if (success) successCount++;
       }
+
+      await pool?.close();
       
       console.log(`\n📊 Summary: ${successCount}/${vueFiles.length} files transformed successfully`);
+      if (diagnosticCounts.error + diagnosticCounts.warning > 0) {
+        console.log(
+          `   ${diagnosticCounts.error} error(s) and ${diagnosticCounts.warning} warning(s) to review`,
+        );
+      }
+      reportInferredStores();
       return successCount;
     } else {
       console.error("Error: Input path is neither a file nor a directory");
@@ -224,14 +678,109 @@ async function processPath(inputPath, outputPath, config = null, recursive = tru
   }
 }
 
+async function checkPath(inputPath, recursive = true) {
+  const resolvedInput = resolve(inputPath);
+
+  try {
+    const inputStats = await stat(resolvedInput);
+    const vueFiles = inputStats.isDirectory()
+      ? await findVueFiles(resolvedInput, recursive)
+      : [resolvedInput];
+
+    let findingCount = 0;
+    let fileCount = 0;
+
+    for (const vueFile of vueFiles) {
+      const findings = checkSFC(await readFile(vueFile, "utf-8"));
+      if (findings.length === 0) continue;
+
+      fileCount++;
+      findingCount += findings.length;
+      console.log(`\n${relative(process.cwd(), vueFile)}`);
+      findings.forEach(({ pattern, message, line }) => {
+        console.log(`  ${String(line).padStart(4)}  ${pattern.padEnd(18)} ${message}`);
+      });
+    }
+
+    if (findingCount > 0) {
+      console.log(
+        `\n❌ ${findingCount} Vue 2 pattern(s) found in ${fileCount}/${vueFiles.length} file(s)`,
+      );
+      return false;
+    }
+
+    console.log(`✅ No Vue 2 patterns found in ${vueFiles.length} file(s)`);
+    return true;
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      console.error("Error: Path not found. Please check the input path.");
+    } else {
+      console.error("Error:", error.message);
+    }
+    return false;
+  }
+}
+
 async function main() {
   try {
     const options = parseArgs(args);
+
+    // A saved patch is meant to be applied later, so it implies a dry run
+    outputMode.dryRun = options.dryRun || Boolean(options.diffOut);
+    outputMode.printDiffs = options.dryRun;
+    outputMode.root = resolve(options.output);
     
     // Load configuration if provided
-    const config = await loadConfig(options.config);
+    let config = await loadConfig(options.config);
+
+    // Command line globs add to the configured ones
+    fileSelection.include = [...(config?.include || []), ...options.include];
+    fileSelection.exclude = [...(config?.exclude || []), ...options.exclude];
+    fileSelection.gitignore = options.gitignore ?? config?.gitignore ?? true;
+
+    if (options.check) {
+      const passed = await checkPath(options.input, options.recursive);
+      process.exit(passed ? 0 : 1);
+    }
+
+    // The command line target takes precedence over the configured one
+    if (options.target) {
+      config = { ...config, target: options.target };
+    }
+
+    // Derive mixin imports from the mixin sources if provided
+    const mixinsDir = options.mixins || config?.mixinsDir;
+    if (mixinsDir) {
+      config = await deriveMixinImports(mixinsDir, config);
+    }
     
-    const successCount = await processPath(options.input, options.output, config, options.recursive);
+    if (options.command === "scaffold") {
+      await scaffold(options.input, config);
+      if (outputMode.dryRun) {
+        await finishDryRun(options.diffOut);
+      }
+      return;
+    }
+
+    const successCount = options.command
+      ? await processModulePath(
+          options.input,
+          options.output,
+          moduleCommands[options.command],
+          config,
+          options.recursive,
+        )
+      : await processPath(
+          options.input,
+          options.output,
+          config,
+          options.recursive,
+          options.concurrency,
+        );
+
+    if (outputMode.dryRun) {
+      await finishDryRun(options.diffOut);
+    }
     
     if (successCount === 0) {
       process.exit(1);
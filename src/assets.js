@@ -0,0 +1,268 @@
+import compiler from "vue-template-compiler";
+import { report } from "./diagnostics.js";
+import { getComponentNames } from "./bindings.js";
+
+// Webpack and Nuxt 2 path aliases and what they become for Vite, the aliases
+// option adds to them or overrides them
+const DEFAULT_ALIASES = {
+  "~": "@",
+  "~~": "@",
+  "@@": "@",
+  "~assets": "@/assets",
+  "~static": "",
+};
+
+// The attributes holding asset paths, like the ones @vitejs/plugin-vue turns
+// into imports
+const ASSET_ATTRIBUTES = {
+  img: ["src", "srcset"],
+  source: ["src", "srcset"],
+  video: ["src", "poster"],
+  audio: ["src"],
+  image: ["xlink:href", "href"],
+  use: ["xlink:href", "href"],
+};
+
+const REQUIRE_CALL = /\brequire\(\s*(['"`])((?:(?!\1)[^\\]|\\.)*)\1\s*\)/g;
+
+// The assets a file imports are collected on its copy of the options, like its
+// diagnostics
+const ASSETS = Symbol("assets");
+
+// This function resolves the webpack aliases of an asset path: ~/assets/x.png
+// and ~assets/x.png become @/assets/x.png, and ~bootstrap/scss/x, a module
+// request, becomes bootstrap/scss/x. Other paths are returned as they are.
+function resolveAssetPath(path, options = {}) {
+  const aliases = { ...DEFAULT_ALIASES, ...options?.aliases };
+
+  // The longest alias wins, ~~/x isn't ~/ followed by ~/x
+  const alias = Object.keys(aliases)
+    .sort((a, b) => b.length - a.length)
+    .find((key) => path === key || path.startsWith(`${key}/`));
+  if (alias !== undefined) {
+    return `${aliases[alias]}${path.slice(alias.length)}`;
+  }
+
+  if (path.startsWith("~")) {
+    return resolveAssetPath(path.slice(1), { aliases: options?.aliases });
+  }
+  return path;
+}
+
+function getAssetName(path) {
+  const words = path
+    .split("/")
+    .pop()
+    .replace(/\.[^.]*$/, "")
+    .split(/[^a-zA-Z0-9]+/)
+    .filter(Boolean);
+  const name = words
+    .map((word, index) =>
+      index === 0 ? word : word[0].toUpperCase() + word.slice(1),
+    )
+    .join("");
+  return /^[a-zA-Z]/.test(name) ? `${name}Url` : `asset${name}Url`;
+}
+
+// Returns the name of the default import of an asset, like logoUrl for
+// @/assets/logo.png, importing each path once. The name doesn't take one of
+// the component or of another asset.
+function importAsset(path, options) {
+  options[ASSETS] ??= new Map();
+  const assets = options[ASSETS];
+  if (!assets.get(path)) {
+    const names = new Set([...getComponentNames(options), ...assets.values()]);
+    const base = getAssetName(path);
+    let name = base;
+    for (let i = 2; names.has(name); i++) {
+      name = `${base}${i}`;
+    }
+    assets.set(path, name);
+  }
+  return assets.get(path);
+}
+
+// The template is transformed before the script declares the names of the
+// component, so the assets it requires are named once the script is read.
+// Until then the template refers to them by placeholders.
+function deferAsset(path, options) {
+  options[ASSETS] ??= new Map();
+  const assets = options[ASSETS];
+  if (!assets.has(path)) {
+    assets.set(path, null);
+  }
+  return `__asset${[...assets.keys()].indexOf(path)}__`;
+}
+
+function resolveDeferredAssets(content, options) {
+  const paths = [...(options?.[ASSETS]?.keys() || [])];
+  return content.replace(/__asset(\d+)__/g, (match, index) =>
+    paths[index] === undefined ? match : importAsset(paths[index], options),
+  );
+}
+
+function renderAssetImports(options) {
+  return [...(options?.[ASSETS]?.keys() || [])]
+    .map((path) => `\nimport ${importAsset(path, options)} from '${path}';`)
+    .join("");
+}
+
+// This function rewrites require() of an asset in the script, the argument
+// being the source of a string or template literal:
+// - relative paths are resolved from the module, as new URL(path,
+//   import.meta.url).href
+// - aliased paths are imported, Vite doesn't resolve aliases in new URL()
+// - aliased paths built at runtime are reported, nothing can import them
+function transformRequire(argument, options) {
+  const quote = argument[0];
+  const path = argument.slice(1, -1);
+  const resolved = resolveAssetPath(path, options);
+
+  if (resolved.startsWith(".")) {
+    return `new URL(${argument}, import.meta.url).href`;
+  }
+
+  if (quote === "`" && path.includes("${")) {
+    report(
+      options,
+      "asset-dynamic-path",
+      `require(${argument}) can't be resolved by Vite, use a relative path or import.meta.glob()`,
+      { source: argument },
+    );
+    return `new URL(\`${resolved}\`, import.meta.url).href`;
+  }
+
+  return importAsset(resolved, options);
+}
+
+// Resolves the paths of a srcset, "~/a.png 1x, ~/a@2x.png 2x"
+function resolveSrcset(srcset, options) {
+  return srcset.replace(
+    /(^|,)(\s*)([^\s,]+)/g,
+    (match, separator, space, url) =>
+      `${separator}${space}${resolveAssetPath(url, options)}`,
+  );
+}
+
+// This function rewrites the asset paths of a template: aliased src, srcset
+// and poster attributes are resolved, a bound :src="require('~/x.png')"
+// becomes a static src the Vue compiler imports, and require() in other
+// expressions is replaced by an import of the asset.
+function transformAssetsInTemplate(content, options = {}) {
+  if (!/\brequire\(|["'\s,]~/.test(content)) {
+    return content;
+  }
+
+  // The compiler trims the template, so offsets are relative to the first tag
+  const { ast } = compiler.compile(content, { outputSourceRange: true });
+  const offset = content.length - content.trimStart().length;
+  const replacements = [];
+  const visited = new Set();
+
+  const quote = (value) => (value.includes('"') ? `'${value}'` : `"${value}"`);
+
+  function rewriteAttribute(tag, attr) {
+    const assetAttributes = ASSET_ATTRIBUTES[tag] || [];
+    const bound = attr.name.match(/^(?::|v-bind:)(.+)$/)?.[1];
+
+    if (assetAttributes.includes(attr.name)) {
+      const value =
+        attr.name === "srcset"
+          ? resolveSrcset(attr.value, options)
+          : resolveAssetPath(attr.value, options);
+      return value === attr.value ? null : `${attr.name}=${quote(value)}`;
+    }
+
+    const requireCalls = [...attr.value.matchAll(REQUIRE_CALL)];
+    if (requireCalls.length === 0) {
+      return null;
+    }
+
+    // :src="require('~/x.png')" -> src="@/x.png"
+    const [call, callQuote, path] = requireCalls[0];
+    if (
+      assetAttributes.includes(bound) &&
+      call === attr.value.trim() &&
+      !(callQuote === "`" && path.includes("${"))
+    ) {
+      return `${bound}=${quote(resolveAssetPath(path, options))}`;
+    }
+
+    // Template expressions can't use import.meta, so even relative assets
+    // are imported
+    const value = attr.value.replace(REQUIRE_CALL, (match, callQuote, path) => {
+      if (callQuote === "`" && path.includes("${")) {
+        report(
+          options,
+          "asset-dynamic-path",
+          `${match} can't be resolved by Vite, use import.meta.glob() in the script`,
+          { source: match },
+        );
+        return match;
+      }
+      return deferAsset(resolveAssetPath(path, options), options);
+    });
+    return value === attr.value ? null : `${attr.name}=${quote(value)}`;
+  }
+
+  function traverse(node) {
+    if (!node || node.type !== 1 || visited.has(node)) return;
+    visited.add(node);
+
+    Object.values(node.rawAttrsMap || {}).forEach((attr) => {
+      const replacement = rewriteAttribute(node.tag, attr);
+      if (replacement !== null) {
+        replacements.push({
+          start: attr.start + offset,
+          end: attr.end + offset,
+          replacement,
+        });
+      }
+    });
+
+    (node.children || []).forEach((child) => traverse(child));
+    Object.values(node.scopedSlots || {}).forEach((child) => traverse(child));
+    (node.ifConditions || []).forEach(({ block }) => traverse(block));
+  }
+
+  traverse(ast);
+
+  // Apply replacements from end to start to maintain correct indices
+  replacements.sort((a, b) => b.start - a.start);
+
+  let result = content;
+  for (const { start, end, replacement } of replacements) {
+    result = result.substring(0, start) + replacement + result.substring(end);
+  }
+  return result;
+}
+
+// This function resolves the aliases of the url() paths and the @import, @use
+// and @forward paths of a style block: url(~assets/x.png) becomes
+// url(@/assets/x.png) and @import '~bootstrap/scss/x' becomes
+// @import 'bootstrap/scss/x', the way Vite resolves them.
+function transformAssetsInStyle(content, options = {}) {
+  return content
+    .replace(
+      /(url\(\s*)(['"]?)([^'")\s]+)\2(\s*\))/g,
+      (match, start, quote, path, end) =>
+        `${start}${quote}${resolveAssetPath(path, options)}${quote}${end}`,
+    )
+    .replace(/@(?:import|use|forward)\b[^;{}]*/g, (statement) =>
+      statement.replace(
+        /(['"])([^'"]+)\1/g,
+        (match, quote, path) =>
+          `${quote}${resolveAssetPath(path, options)}${quote}`,
+      ),
+    );
+}
+
+export {
+  resolveAssetPath,
+  importAsset,
+  renderAssetImports,
+  resolveDeferredAssets,
+  transformRequire,
+  transformAssetsInTemplate,
+  transformAssetsInStyle,
+};
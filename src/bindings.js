@@ -0,0 +1,123 @@
+import { getPatternNames } from "./treesitter.js";
+import { report } from "./diagnostics.js";
+
+// Bindings the generated setup code declares, with the name each one takes
+// when the component already declares a symbol by that name
+const GENERATED_BINDINGS = {
+  props: "componentProps",
+  emit: "emitEvent",
+  route: "currentRoute",
+  router: "appRouter",
+  http: "httpClient",
+  config: "runtimeConfig",
+  eventBus: "nuxtEventBus",
+  slots: "componentSlots",
+  attrs: "componentAttrs",
+  data: "asyncDataResult",
+  fetch: "fetchData",
+  t: "i18nT",
+  n: "i18nN",
+  d: "i18nD",
+  locale: "i18nLocale",
+};
+
+// The binding names of a file are kept on its copy of the options, like its
+// diagnostics
+const BINDINGS = Symbol("bindings");
+
+// Returns the names the top-level statements of a script import or declare
+function getTopLevelNames(rootNode) {
+  return rootNode.namedChildren.flatMap((node) => {
+    switch (node.type) {
+      case "import_statement": {
+        const clause = node.namedChildren.find(
+          (child) => child.type === "import_clause",
+        );
+        return (clause?.namedChildren || []).flatMap((child) => {
+          if (child.type === "identifier") {
+            return [child.text];
+          }
+          if (child.type === "namespace_import") {
+            return [child.namedChildren[0].text];
+          }
+          return child.namedChildren
+            .filter((specifier) => specifier.type === "import_specifier")
+            .map(
+              (specifier) =>
+                (
+                  specifier.childForFieldName("alias") ||
+                  specifier.childForFieldName("name")
+                ).text,
+            );
+        });
+      }
+      case "lexical_declaration":
+      case "variable_declaration":
+        return node.namedChildren
+          .filter((child) => child.type === "variable_declarator")
+          .flatMap((child) => getPatternNames(child.childForFieldName("name")));
+      case "function_declaration":
+      case "class_declaration":
+        return [node.childForFieldName("name").text];
+      default:
+        return [];
+    }
+  });
+}
+
+// Returns whether the script calls the global function name, like fetch()
+function callsGlobal(rootNode, name) {
+  return rootNode.descendantsOfType("call_expression").some((call) => {
+    const callee = call.childForFieldName("function");
+    return callee?.type === "identifier" && callee.text === name;
+  });
+}
+
+// This function names the generated bindings of a file, renaming those that
+// would collide with the symbols of the component: its data, computed
+// properties, methods and props, and the imports and declarations of its
+// script
+function resolveBindingNames(componentNames, options) {
+  const names = {};
+  Object.entries(GENERATED_BINDINGS).forEach(([name, alternative]) => {
+    let renamed = name;
+    if (componentNames.has(name)) {
+      renamed = alternative;
+      for (let i = 2; componentNames.has(renamed); i++) {
+        renamed = `${alternative}${i}`;
+      }
+    }
+    names[name] = renamed;
+  });
+  options[BINDINGS] = { names, reported: new Set(), componentNames };
+}
+
+// Returns the symbols of the component being transformed, empty until its
+// script is read
+function getComponentNames(options) {
+  return options?.[BINDINGS]?.componentNames || new Set();
+}
+
+// Returns the name of a generated binding in the file being transformed.
+// Renamed bindings are reported the first time the generated code uses them.
+function getBindingName(options, name) {
+  const bindings = options?.[BINDINGS];
+  const renamed = bindings?.names[name] ?? name;
+  if (renamed !== name && !bindings.reported.has(name)) {
+    bindings.reported.add(name);
+    report(
+      options,
+      "binding-renamed",
+      `'${name}' is already declared by the component, the generated binding is named '${renamed}'`,
+    );
+  }
+  return renamed;
+}
+
+export {
+  getTopLevelNames,
+  callsGlobal,
+  resolveBindingNames,
+  getBindingName,
+  getComponentNames,
+};
@@ -0,0 +1,205 @@
+import compiler from "vue-template-compiler";
+import {
+  findComponentObject,
+  detectDirectStoreUsage,
+  detectAxiosUsage,
+  detectFiltersUsage,
+  detectEventBusUsage,
+  detectNuxtCompatUsage,
+  detectConfigUsage,
+  detectNextTickUsage,
+  detectSlotsUsage,
+  detectRouterUsage,
+} from "./extractors.js";
+import { parseFilters } from "./parsers.js";
+import { getScriptParser, withScriptLanguage } from "./treesitter.js";
+
+// Vue 2 constructs left in a script block. The detectors decide whether a
+// pattern is present, the regular expression locates its first occurrence.
+const SCRIPT_PATTERNS = [
+  {
+    pattern: "class-component",
+    message: "vue-class-component class decorated with @Component",
+    detect: (content) => /@Component\b/.test(content),
+    locate: /@Component\b/,
+  },
+  {
+    pattern: "vuex-store",
+    message: "Vuex store access through this.$store",
+    detect: detectDirectStoreUsage,
+    locate: /\$store\b/,
+  },
+  {
+    pattern: "nuxt-axios",
+    message: "@nuxtjs/axios instance this.$axios",
+    detect: detectAxiosUsage,
+    locate: /\$axios\b/,
+  },
+  {
+    pattern: "event-bus",
+    message: "Nuxt event bus $nuxt.$on / $nuxt.$off / $nuxt.$emit",
+    detect: detectEventBusUsage,
+    locate: /\$nuxt\.\$(?:on|off|emit)\b/,
+  },
+  {
+    pattern: "nuxt-context",
+    message: "Nuxt 2 $nuxt.refresh or $nuxt.context.redirect",
+    detect: detectNuxtCompatUsage,
+    locate: /\$nuxt\.(?:refresh|context\.redirect)/,
+  },
+  {
+    pattern: "runtime-config",
+    message: "Nuxt 2 runtime config this.$config",
+    detect: detectConfigUsage,
+    locate: /\$config\b/,
+  },
+  {
+    pattern: "next-tick",
+    message: "Instance method this.$nextTick",
+    detect: detectNextTickUsage,
+    locate: /\$nextTick\b/,
+  },
+  {
+    pattern: "router",
+    message: "Router access through this.$route or this.$router",
+    detect: (content) => detectRouterUsage(content).hasRouterUsage,
+    locate: /\$router?\b/,
+  },
+  {
+    pattern: "filters",
+    message: "Filters called through this.$options.filters",
+    detect: detectFiltersUsage,
+    locate: /\$options\.filters/,
+  },
+  {
+    pattern: "slots",
+    message: "Slots accessed through this.$slots or this.$scopedSlots",
+    detect: detectSlotsUsage,
+    locate: /this\.\$(?:scopedSlots|slots)\b/,
+  },
+  {
+    pattern: "refs",
+    message: "Template refs accessed through this.$refs",
+    detect: (content) => content.includes("$refs"),
+    locate: /\$refs\b/,
+  },
+  {
+    pattern: "set-delete",
+    message: "Reactivity helpers this.$set or this.$delete",
+    detect: (content) => /\$(?:set|delete)\s*\(/.test(content),
+    locate: /\$(?:set|delete)\s*\(/,
+  },
+];
+
+// Vue 2 constructs left in the template
+const TEMPLATE_PATTERNS = [
+  {
+    pattern: "template-filters",
+    message: "Filter pipe in a template expression",
+    locate: findTemplateFilter,
+  },
+  {
+    pattern: "sync-modifier",
+    message: ".sync modifier on a bound prop",
+    locate: /(?<=\s)(?::|v-bind:)[\w-]+\.sync\s*=/,
+  },
+  {
+    pattern: "slot-attributes",
+    message: "slot or slot-scope attribute instead of v-slot",
+    locate: /(?<=\s)(?:slot|slot-scope)\s*=/,
+  },
+  {
+    pattern: "listeners",
+    message: "$listeners, merged into $attrs in Vue 3",
+    locate: /\$listeners\b/,
+  },
+  {
+    pattern: "native-modifier",
+    message: ".native event modifier",
+    locate: /(?<=\s)(?:@|v-on:)[\w-]+(?:\.\w+)*\.native\b/,
+  },
+];
+
+// Component options scripts keep with <script setup>
+const SCRIPT_SETUP_OPTIONS = ["name", "inheritAttrs"];
+
+// This function lists the Vue 2 patterns still present in an SFC, without
+// transforming it, as { pattern, message, line } sorted by line
+function checkSFC(sfc) {
+  const parsed = compiler.parseComponent(sfc);
+  const findings = [];
+
+  const lineAt = (offset) => sfc.slice(0, offset).split("\n").length;
+
+  const addFinding = ({ pattern, message }, block, index) => {
+    findings.push({
+      pattern,
+      message,
+      line: lineAt(block.start + Math.max(index, 0)),
+    });
+  };
+
+  const script = parsed.script;
+  if (script) {
+    const tree = withScriptLanguage(script.lang, () =>
+      getScriptParser().parse(script.content),
+    );
+
+    const componentObject = findComponentObject(tree);
+    const hasOptions = componentObject?.namedChildren.some((child) => {
+      const name = child.namedChildren[0]?.text.replace(/['"]/g, "");
+      return !parsed.scriptSetup || !SCRIPT_SETUP_OPTIONS.includes(name);
+    });
+    if (hasOptions) {
+      addFinding(
+        {
+          pattern: "options-api",
+          message: "Options API component (export default {})",
+        },
+        script,
+        componentObject.parent.startIndex,
+      );
+    }
+  }
+
+  [script, parsed.scriptSetup].filter(Boolean).forEach((block) => {
+    SCRIPT_PATTERNS.forEach((entry) => {
+      if (entry.detect(block.content)) {
+        addFinding(entry, block, block.content.search(entry.locate));
+      }
+    });
+  });
+
+  const template = parsed.template;
+  if (template) {
+    TEMPLATE_PATTERNS.forEach((entry) => {
+      const index =
+        typeof entry.locate === "function"
+          ? entry.locate(template.content)
+          : template.content.search(entry.locate);
+      if (index !== -1) {
+        addFinding(entry, template, index);
+      }
+    });
+  }
+
+  return findings.sort((a, b) => a.line - b.line);
+}
+
+// Returns the offset of the first interpolation or bound attribute using a
+// filter, or -1
+function findTemplateFilter(content) {
+  const expressionRE =
+    /\{\{([\s\S]*?)\}\}|(?<=\s)(?::|v-bind:)[\w.-]+\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+  for (const match of content.matchAll(expressionRE)) {
+    const expression = match[1] ?? match[2] ?? match[3];
+    if (parseFilters(expression).filters.length > 0) {
+      return match.index;
+    }
+  }
+
+  return -1;
+}
+
+export { checkSFC };
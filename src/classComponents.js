@@ -0,0 +1,660 @@
+import { getScriptParser, getParameterPattern } from "./treesitter.js";
+import { report } from "./diagnostics.js";
+
+// Packages providing the class component decorators, their imports are
+// dropped along with the class
+const DECORATOR_PACKAGES = [
+  "vue-class-component",
+  "vue-property-decorator",
+  "nuxt-property-decorator",
+];
+
+// Methods vue-class-component places in the component options rather than in
+// methods, including the hooks registered by vue-router and Nuxt
+const OPTION_METHODS = [
+  "data",
+  "beforeCreate",
+  "created",
+  "beforeMount",
+  "mounted",
+  "beforeUpdate",
+  "updated",
+  "activated",
+  "deactivated",
+  "beforeDestroy",
+  "destroyed",
+  "beforeUnmount",
+  "unmounted",
+  "errorCaptured",
+  "serverPrefetch",
+  "render",
+  "beforeRouteEnter",
+  "beforeRouteUpdate",
+  "beforeRouteLeave",
+  "asyncData",
+  "fetch",
+  "head",
+  "layout",
+  "middleware",
+  "transition",
+  "scrollToTop",
+  "validate",
+  "loading",
+  "watchQuery",
+  "key",
+];
+
+// Option sections the decorated members are collected in, merged with the
+// same sections of the @Component() options
+const OPTION_SECTIONS = ["props", "computed", "watch", "methods"];
+
+// This function rewrites a vue-class-component class, decorated with
+// @Component and the vue-property-decorator member decorators, to the
+// equivalent options object so the extractors can read it like any other
+// component. Scripts without a class component are returned unchanged.
+function transformClassComponent(content, options = null) {
+  const parser = getScriptParser();
+  const tree = parser.parse(content);
+  const component = findClassComponent(tree);
+
+  if (!component) {
+    return content;
+  }
+
+  const classData = extractClassComponent(component, content, options);
+  const replacements = [
+    {
+      start: component.statement.startIndex,
+      end: component.statement.endIndex,
+      replacement: `export default ${renderComponentOptions(classData)};`,
+    },
+  ];
+
+  if (component.exportNode) {
+    replacements.push({
+      start: component.exportNode.startIndex,
+      end: component.exportNode.endIndex,
+      replacement: "",
+    });
+  }
+
+  tree.rootNode.namedChildren.forEach((node) => {
+    if (
+      node.type === "import_statement" &&
+      DECORATOR_PACKAGES.includes(getImportSource(node))
+    ) {
+      replacements.push({
+        start: node.startIndex,
+        end: node.endIndex,
+        replacement: "",
+      });
+    }
+  });
+
+  // Typed props keep their type through a PropType<> annotation
+  if (classData.usesPropType && !/\bPropType\b/.test(content)) {
+    replacements.push({
+      start: 0,
+      end: 0,
+      replacement: "import type { PropType } from 'vue';\n",
+    });
+  }
+
+  // Apply replacements from end to start to maintain correct indices
+  replacements.sort((a, b) => b.start - a.start);
+
+  let result = content;
+  for (const { start, end, replacement } of replacements) {
+    result = result.substring(0, start) + replacement + result.substring(end);
+  }
+
+  return result;
+}
+
+function getImportSource(node) {
+  return node.childForFieldName("source")?.text.replace(/['"]/g, "");
+}
+
+function getDecoratorName(decorator) {
+  const expression = decorator.namedChildren[0];
+  return expression?.type === "call_expression"
+    ? expression.childForFieldName("function").text
+    : expression?.text;
+}
+
+function getDecoratorArguments(decorator) {
+  const expression = decorator.namedChildren[0];
+  return expression?.type === "call_expression"
+    ? expression
+        .childForFieldName("arguments")
+        .namedChildren.filter((argument) => argument.type !== "comment")
+    : [];
+}
+
+// Returns the decorators of a node, placed on it or, for class members in
+// the TypeScript grammar, before it
+function getDecorators(node) {
+  return node.children.filter((child) => child.type === "decorator");
+}
+
+// Returns { statement, classNode, componentDecorator, exportNode } for the
+// class decorated with @Component, exported either directly or through a
+// separate `export default Name`
+function findClassComponent(tree) {
+  for (const node of tree.rootNode.namedChildren) {
+    const classNode =
+      node.type === "export_statement"
+        ? node.namedChildren.find((child) =>
+            ["class_declaration", "class"].includes(child.type),
+          )
+        : node.type === "class_declaration"
+          ? node
+          : null;
+    if (!classNode) continue;
+
+    const componentDecorator = [
+      ...getDecorators(node),
+      ...getDecorators(classNode),
+    ].find((decorator) => getDecoratorName(decorator) === "Component");
+    if (!componentDecorator) continue;
+
+    let exportNode = null;
+    if (node.type !== "export_statement") {
+      const className = classNode.childForFieldName("name")?.text;
+      exportNode = tree.rootNode.namedChildren.find(
+        (child) =>
+          child.type === "export_statement" &&
+          child.text.replace(/\s+/g, " ").replace(/;$/, "") ===
+            `export default ${className}`,
+      );
+      if (!exportNode) continue;
+    }
+
+    return { statement: node, classNode, componentDecorator, exportNode };
+  }
+
+  return null;
+}
+
+// Maps the TypeScript annotation of a prop to its runtime type, the way
+// vue-property-decorator infers it from the emitted metadata
+function getRuntimePropType(annotation) {
+  const typeNode = annotation.namedChildren[0];
+  const type = typeNode.text;
+
+  if (["string", "number", "boolean"].includes(type)) {
+    return type.charAt(0).toUpperCase() + type.slice(1);
+  }
+  if (
+    typeNode.type === "array_type" ||
+    (typeNode.type === "generic_type" &&
+      typeNode.childForFieldName("name").text === "Array")
+  ) {
+    return `Array as PropType<${type}>`;
+  }
+  if (typeNode.type === "function_type") {
+    return `Function as PropType<${type}>`;
+  }
+  if (
+    ["type_identifier", "generic_type", "object_type"].includes(typeNode.type)
+  ) {
+    return `Object as PropType<${type}>`;
+  }
+  return null;
+}
+
+// Builds the options of a decorated prop, typing Object, Array and Function
+// props with the TypeScript annotation of the field
+function getPropOptions(optionsNode, annotation, classData) {
+  const type = annotation?.namedChildren[0]?.text;
+  const addPropType = (constructorNode) => {
+    if (
+      type &&
+      ["Object", "Array", "Function"].includes(constructorNode.text)
+    ) {
+      classData.usesPropType = true;
+      return `${constructorNode.text} as PropType<${type}>`;
+    }
+    return constructorNode.text;
+  };
+
+  if (!optionsNode) {
+    const runtimeType = annotation ? getRuntimePropType(annotation) : null;
+    if (runtimeType?.includes("PropType")) {
+      classData.usesPropType = true;
+    }
+    return runtimeType ? `{ type: ${runtimeType} }` : "{}";
+  }
+
+  if (optionsNode.type !== "object") {
+    // @Prop(String) or @Prop([String, Number])
+    return optionsNode.type === "identifier"
+      ? addPropType(optionsNode)
+      : optionsNode.text;
+  }
+
+  const typePair = optionsNode.namedChildren.find(
+    (option) =>
+      option.type === "pair" && option.childForFieldName("key").text === "type",
+  );
+  const typeNode = typePair?.childForFieldName("value");
+
+  if (typeNode?.type === "identifier") {
+    const typedConstructor = addPropType(typeNode);
+    if (typedConstructor !== typeNode.text) {
+      return (
+        optionsNode.text.slice(
+          0,
+          typeNode.startIndex - optionsNode.startIndex,
+        ) +
+        typedConstructor +
+        optionsNode.text.slice(typeNode.endIndex - optionsNode.startIndex)
+      );
+    }
+  } else if (!typePair && annotation) {
+    const runtimeType = getRuntimePropType(annotation);
+    if (runtimeType) {
+      if (runtimeType.includes("PropType")) {
+        classData.usesPropType = true;
+      }
+      return optionsNode.namedChildren.length > 0
+        ? `{ type: ${runtimeType}, ${optionsNode.text.replace(/^\{\s*/, "")}`
+        : `{ type: ${runtimeType} }`;
+    }
+  }
+
+  return optionsNode.text;
+}
+
+// Returns the text of a method without its decorators and TypeScript
+// modifiers, optionally renamed or with another body
+function renderMethod(node, content, name = null, bodyText = null) {
+  const parameters = node.childForFieldName("parameters");
+  const typeParameters = node.childForFieldName("type_parameters");
+  const returnType = node.childForFieldName("return_type");
+  const body = node.childForFieldName("body");
+  const isAsync = node.children.some((child) => child.type === "async");
+  const isGenerator = node.children.some((child) => child.type === "*");
+
+  const signature = content.slice(
+    (typeParameters || parameters).startIndex,
+    (returnType || parameters).endIndex,
+  );
+
+  return `${isAsync ? "async " : ""}${isGenerator ? "*" : ""}${name || node.childForFieldName("name").text}${signature} ${bodyText || content.slice(body.startIndex, body.endIndex)}`;
+}
+
+// Collects the return statements of a function body, leaving out those of
+// nested functions
+function findReturnStatements(node) {
+  const returns = [];
+  node.namedChildren.forEach((child) => {
+    if (child.type === "return_statement") {
+      returns.push(child);
+    } else if (
+      ![
+        "function_declaration",
+        "function_expression",
+        "function",
+        "arrow_function",
+        "method_definition",
+        "class_declaration",
+        "class",
+      ].includes(child.type)
+    ) {
+      returns.push(...findReturnStatements(child));
+    }
+  });
+  return returns;
+}
+
+// Rewrites a method decorated with @Emit to emit its event itself: the
+// returned value, if any, is emitted before the arguments
+function renderEmitMethod(node, decorator, content) {
+  const name = node.childForFieldName("name").text;
+  const [eventNode] = getDecoratorArguments(decorator);
+  const event = eventNode
+    ? eventNode.text.replace(/['"]/g, "")
+    : name.replace(/\B([A-Z])/g, "-$1").toLowerCase();
+
+  const argumentNames = node
+    .childForFieldName("parameters")
+    .namedChildren.map((parameter) => getParameterPattern(parameter))
+    .map((pattern) =>
+      pattern?.type === "assignment_pattern"
+        ? pattern.childForFieldName("left")
+        : pattern,
+    )
+    .filter((pattern) => pattern?.type === "identifier")
+    .map((pattern) => pattern.text);
+  const emitArguments = (value) =>
+    [`'${event}'`, ...(value ? [value] : []), ...argumentNames].join(", ");
+
+  const body = node.childForFieldName("body");
+  const bodyStatements = body.namedChildren;
+  const returns = findReturnStatements(body);
+  const lastStatement = bodyStatements[bodyStatements.length - 1];
+
+  let bodyText;
+  if (returns.length === 0) {
+    const inner = content.slice(body.startIndex + 1, body.endIndex - 1);
+    bodyText = `{${inner}\nthis.$emit(${emitArguments()});\n}`;
+  } else if (
+    returns.length === 1 &&
+    returns[0].startIndex === lastStatement.startIndex
+  ) {
+    const value = lastStatement.namedChildren[0];
+    bodyText = value
+      ? content.slice(body.startIndex, lastStatement.startIndex) +
+        `const emitted = ${value.text};\nthis.$emit(${emitArguments("emitted")});\nreturn emitted;` +
+        content.slice(lastStatement.endIndex, body.endIndex)
+      : content.slice(body.startIndex, lastStatement.startIndex) +
+        `this.$emit(${emitArguments()});` +
+        content.slice(lastStatement.endIndex, body.endIndex);
+  } else {
+    // Early returns go through an arrow function keeping `this`
+    const isAsync = node.children.some((child) => child.type === "async");
+    const inner = content.slice(body.startIndex, body.endIndex);
+    bodyText = `{\nconst emitted = ${isAsync ? "await (async " : "("}() => ${inner})();\nthis.$emit(${emitArguments("emitted")});\nreturn emitted;\n}`;
+  }
+
+  return renderMethod(node, content, null, bodyText);
+}
+
+// Reads the members of the class into the sections of an options object
+function extractClassComponent(component, content, options) {
+  const { classNode, componentDecorator } = component;
+  const classData = {
+    componentOptions: [],
+    mixins: [],
+    extendsName: null,
+    model: null,
+    props: [],
+    data: [],
+    computed: [],
+    watch: [],
+    optionMethods: [],
+    methods: [],
+    refAliases: {},
+    usesPropType: false,
+  };
+
+  // @Component({ ... }) options, their sections merged with the members
+  const [componentOptionsNode] = getDecoratorArguments(componentDecorator);
+  componentOptionsNode?.namedChildren.forEach((option) => {
+    const key = option.childForFieldName("key")?.text.replace(/['"]/g, "");
+    const value = option.childForFieldName("value");
+    if (OPTION_SECTIONS.includes(key) && value?.type === "object") {
+      classData[key].push(...value.namedChildren.map((member) => member.text));
+    } else if (key === "props" && value?.type === "array") {
+      classData.props.push(
+        ...value.namedChildren.map((prop) => `${prop.text}: null`),
+      );
+    } else {
+      classData.componentOptions.push(option.text);
+    }
+  });
+
+  // extends Vue, extends Mixins(A, B) or extends BaseComponent, TypeScript
+  // wraps the superclass in an extends clause
+  const heritageNode = classNode.namedChildren.find(
+    (child) => child.type === "class_heritage",
+  );
+  const extendsClause = heritageNode?.namedChildren.find(
+    (child) => child.type === "extends_clause",
+  );
+  const heritage = extendsClause
+    ? extendsClause.childForFieldName("value")
+    : heritageNode?.namedChildren[0];
+  if (heritage?.type === "call_expression") {
+    const callee = heritage.childForFieldName("function").text;
+    if (["Mixins", "mixins"].includes(callee)) {
+      classData.mixins = heritage
+        .childForFieldName("arguments")
+        .namedChildren.map((argument) => argument.text);
+    }
+  } else if (heritage && heritage.text !== "Vue") {
+    classData.extendsName = heritage.text;
+  }
+
+  const body = classNode.childForFieldName("body");
+  const accessors = {};
+  let pendingDecorators = [];
+
+  body.namedChildren.forEach((member) => {
+    if (member.type === "decorator") {
+      // TypeScript places method decorators before the method
+      pendingDecorators.push(member);
+      return;
+    }
+
+    const decorators = [...pendingDecorators, ...getDecorators(member)];
+    pendingDecorators = [];
+
+    if (["field_definition", "public_field_definition"].includes(member.type)) {
+      extractClassField(member, decorators, content, classData, options);
+    } else if (member.type === "method_definition") {
+      const name = member.childForFieldName("name").text;
+      const kind = member.children.find((child) =>
+        ["get", "set"].includes(child.type),
+      )?.type;
+
+      if (kind) {
+        accessors[name] = accessors[name] || {};
+        accessors[name][kind] = renderMethod(member, content, kind);
+        return;
+      }
+
+      extractClassMethod(member, decorators, content, classData, options);
+    }
+  });
+
+  Object.entries(accessors).forEach(([name, { get, set }]) => {
+    if (get && !set) {
+      classData.computed.push(get.replace(/^get/, name));
+    } else {
+      classData.computed.push(
+        `${name}: {\n${[get, set].filter(Boolean).join(",\n")}\n}`,
+      );
+    }
+  });
+
+  // @Ref() fields are read from $refs
+  const refAliases = Object.entries(classData.refAliases);
+  if (refAliases.length > 0) {
+    OPTION_SECTIONS.concat(["data", "optionMethods"]).forEach((section) => {
+      classData[section] = classData[section].map((code) =>
+        refAliases.reduce(
+          (result, [name, ref]) =>
+            result.replace(
+              new RegExp(`\\bthis\\.${name}\\b`, "g"),
+              `this.$refs.${ref}`,
+            ),
+          code,
+        ),
+      );
+    });
+  }
+
+  return classData;
+}
+
+function extractClassField(member, decorators, content, classData, options) {
+  const nameNode =
+    member.childForFieldName("name") || member.childForFieldName("property");
+  const name = nameNode.text;
+  const annotation = member.childForFieldName("type");
+  const value = member.childForFieldName("value");
+  const isStatic = member.children.some((child) => child.type === "static");
+  const isDeclared = member.children.some((child) => child.type === "declare");
+
+  if (decorators.length === 0) {
+    if (isStatic) {
+      report(
+        options,
+        "class-member-unsupported",
+        `Static field ${name} has no options API equivalent`,
+        { source: member.text },
+      );
+      return;
+    }
+
+    // Typed declarations without a value, like $refs!: { ... }, only exist
+    // for the type checker
+    if (isDeclared || (!value && name.startsWith("$"))) {
+      return;
+    }
+
+    // Values with no useful inferred type keep the annotation as a cast
+    let dataValue = value ? value.text : "undefined";
+    if (
+      annotation &&
+      (!value ||
+        ["null", "undefined"].includes(value.type) ||
+        (["array", "object"].includes(value.type) &&
+          value.namedChildren.length === 0))
+    ) {
+      dataValue = `${dataValue} as ${annotation.namedChildren[0].text}${value && value.type !== "undefined" ? "" : " | undefined"}`;
+    }
+    classData.data.push(`${name}: ${dataValue}`);
+    return;
+  }
+
+  decorators.forEach((decorator) => {
+    const decoratorName = getDecoratorName(decorator);
+    const args = getDecoratorArguments(decorator);
+
+    switch (decoratorName) {
+      case "Prop":
+        classData.props.push(
+          `${name}: ${getPropOptions(args[0], annotation, classData)}`,
+        );
+        break;
+      case "PropSync": {
+        // A computed property proxies the prop, emitting update:<prop>
+        const propName = args[0].text.replace(/['"]/g, "");
+        classData.props.push(
+          `${propName}: ${getPropOptions(args[1], annotation, classData)}`,
+        );
+        classData.computed.push(
+          `${name}: {\nget() {\nreturn this.${propName};\n},\nset(value) {\nthis.$emit('update:${propName}', value);\n}\n}`,
+        );
+        break;
+      }
+      case "Model": {
+        const event = args[0]?.text.replace(/['"]/g, "") || "input";
+        classData.model = { prop: name, event };
+        classData.props.push(
+          `${name}: ${getPropOptions(args[1], annotation, classData)}`,
+        );
+        break;
+      }
+      case "ModelSync": {
+        const propName = args[0].text.replace(/['"]/g, "");
+        const event = args[1]?.text.replace(/['"]/g, "") || "input";
+        classData.model = { prop: propName, event };
+        classData.props.push(
+          `${propName}: ${getPropOptions(args[2], annotation, classData)}`,
+        );
+        classData.computed.push(
+          `${name}: {\nget() {\nreturn this.${propName};\n},\nset(value) {\nthis.$emit('${event}', value);\n}\n}`,
+        );
+        break;
+      }
+      case "Ref":
+        classData.refAliases[name] = args[0]
+          ? args[0].text.replace(/['"]/g, "")
+          : name;
+        break;
+      default:
+        report(
+          options,
+          "class-member-unsupported",
+          `@${decoratorName} on ${name} is not supported, migrate it by hand`,
+          { source: decorator.text },
+        );
+    }
+  });
+}
+
+function extractClassMethod(member, decorators, content, classData, options) {
+  const name = member.childForFieldName("name").text;
+  const emitDecorator = decorators.find(
+    (decorator) => getDecoratorName(decorator) === "Emit",
+  );
+  const method = emitDecorator
+    ? renderEmitMethod(member, emitDecorator, content)
+    : renderMethod(member, content);
+
+  let isWatcher = false;
+  decorators.forEach((decorator) => {
+    const decoratorName = getDecoratorName(decorator);
+    if (decoratorName === "Watch") {
+      // The method becomes the handler of the watcher, keeping its options
+      const [pathNode, watchOptions] = getDecoratorArguments(decorator);
+      const handler = renderMethod(member, content, "handler");
+      classData.watch.push(
+        watchOptions?.type === "object" && watchOptions.namedChildren.length
+          ? `${pathNode.text}: {\n${handler},\n${watchOptions.text.replace(/^\{\s*|\s*\}$/g, "")}\n}`
+          : `${pathNode.text}${handler.replace(/^handler/, "")}`,
+      );
+      isWatcher = true;
+    } else if (decoratorName !== "Emit") {
+      report(
+        options,
+        "class-member-unsupported",
+        `@${decoratorName} on ${name} is not supported, migrate it by hand`,
+        { source: decorator.text },
+      );
+    }
+  });
+
+  if (OPTION_METHODS.includes(name)) {
+    classData.optionMethods.push(method);
+    return;
+  }
+
+  // Watch handlers are only kept as methods when called from the component
+  const classBody = member.parent;
+  const isCalled = new RegExp(`\\bthis\\.${name}\\b`).test(
+    content.slice(classBody.startIndex, classBody.endIndex),
+  );
+  if (!isWatcher || isCalled) {
+    classData.methods.push(method);
+  }
+}
+
+function renderComponentOptions(classData) {
+  const sections = [...classData.componentOptions];
+
+  if (classData.extendsName) {
+    sections.push(`extends: ${classData.extendsName}`);
+  }
+  if (classData.mixins.length > 0) {
+    sections.push(`mixins: [${classData.mixins.join(", ")}]`);
+  }
+  if (classData.model) {
+    sections.push(
+      `model: { prop: '${classData.model.prop}', event: '${classData.model.event}' }`,
+    );
+  }
+  if (classData.props.length > 0) {
+    sections.push(`props: {\n${classData.props.join(",\n")}\n}`);
+  }
+  if (classData.data.length > 0) {
+    sections.push(`data() {\nreturn {\n${classData.data.join(",\n")}\n};\n}`);
+  }
+  ["computed", "watch"].forEach((section) => {
+    if (classData[section].length > 0) {
+      sections.push(`${section}: {\n${classData[section].join(",\n")}\n}`);
+    }
+  });
+  sections.push(...classData.optionMethods);
+  if (classData.methods.length > 0) {
+    sections.push(`methods: {\n${classData.methods.join(",\n")}\n}`);
+  }
+
+  return `{\n${sections.join(",\n")}\n}`;
+}
+
+export { transformClassComponent };
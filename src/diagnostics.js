@@ -0,0 +1,119 @@
+// Diagnostic codes and their severity. The codes are stable, tooling matches
+// on them rather than on the messages.
+const DIAGNOSTIC_SEVERITIES = {
+  "undefined-variable": "warning",
+  "this-alias": "warning",
+  "this-destructuring": "warning",
+  "setup-order-cycle": "warning",
+  "binding-renamed": "warning",
+  "asset-dynamic-path": "warning",
+  "deep-selector-block": "warning",
+  "listeners-inherited": "warning",
+  "listeners-unsupported": "warning",
+  "model-option-prop": "warning",
+  "async-data-context": "warning",
+  "async-data-context-key": "warning",
+  "page-meta-layout-function": "warning",
+  "page-meta-middleware-context": "warning",
+  "page-meta-transition-function": "warning",
+  "page-meta-validate-context": "warning",
+  "page-meta-watch-query": "warning",
+  "page-meta-loading": "warning",
+  "route-meta-unsupported": "warning",
+  "route-meta-validate": "warning",
+  "route-meta-not-serializable": "warning",
+  "class-member-unsupported": "warning",
+  "format-failed": "error",
+};
+
+// The diagnostics of a file are collected on its copy of the options, under a
+// key that can't clash with configuration
+const DIAGNOSTICS = Symbol("diagnostics");
+
+// This function records a diagnostic for the file being transformed and
+// returns the FIXME comment marking it in the generated code. source is a
+// snippet of the original file locating the problem.
+function fixme(options, code, message, source = null) {
+  report(options, code, message, { source, comment: `// FIXME: ${message}` });
+  return `// FIXME: ${message}`;
+}
+
+// Like fixme, marking the problem with an HTML comment in a template
+function templateFixme(options, code, message, source = null) {
+  const comment = `<!-- FIXME: ${message} -->`;
+  report(options, code, message, { source, comment });
+  return comment;
+}
+
+// Records a diagnostic without a comment in the generated code, output is its
+// position there when known
+function report(options, code, message, details = {}) {
+  options?.[DIAGNOSTICS]?.push({ code, message, ...details });
+}
+
+function positionAt(content, offset) {
+  const before = content.slice(0, offset);
+  const lineStart = before.lastIndexOf("\n") + 1;
+  return {
+    line: before.split("\n").length,
+    column: offset - lineStart + 1,
+  };
+}
+
+// This function turns the recorded diagnostics into { code, severity, message,
+// input, output } with 1-based { line, column } positions in the original
+// and the generated code, scriptStart being the offset of the script block
+function resolveDiagnostics(recorded, input, output, scriptStart = 0) {
+  const sourceOffsets = new Map();
+  const commentOffsets = new Map();
+
+  return recorded
+    .map(({ code, message, source, comment, output: outputPosition }) => {
+      // Snippets are looked up in the script first, falling back to its start.
+      // Repeated snippets and comments are matched in order.
+      let inputOffset = 0;
+      if (source) {
+        inputOffset = input.indexOf(
+          source,
+          sourceOffsets.get(source) ?? scriptStart,
+        );
+        if (inputOffset === -1) {
+          inputOffset = input.indexOf(source);
+        }
+        if (inputOffset === -1) {
+          inputOffset = scriptStart;
+        } else {
+          sourceOffsets.set(source, inputOffset + source.length);
+        }
+      }
+
+      let outputOffset = -1;
+      if (comment) {
+        outputOffset = output.indexOf(comment, commentOffsets.get(comment));
+        if (outputOffset !== -1) {
+          commentOffsets.set(comment, outputOffset + comment.length);
+        }
+      }
+
+      return {
+        code,
+        severity: DIAGNOSTIC_SEVERITIES[code],
+        message,
+        input: positionAt(input, inputOffset),
+        output:
+          outputOffset !== -1
+            ? positionAt(output, outputOffset)
+            : outputPosition || null,
+      };
+    })
+    .sort((a, b) => a.input.line - b.input.line);
+}
+
+export {
+  DIAGNOSTICS,
+  DIAGNOSTIC_SEVERITIES,
+  fixme,
+  templateFixme,
+  report,
+  resolveDiagnostics,
+};
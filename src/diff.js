@@ -0,0 +1,258 @@
+// Line based unified diffs, in the format `git apply` accepts
+
+function splitLines(content) {
+  if (!content) {
+    return { lines: [], hasFinalNewline: true };
+  }
+
+  const lines = content.split("\n");
+  const hasFinalNewline = lines[lines.length - 1] === "";
+  if (hasFinalNewline) {
+    lines.pop();
+  }
+  return { lines, hasFinalNewline };
+}
+
+// Myers' O(ND) difference algorithm, returning a list of
+// { type: " " | "-" | "+", oldIndex, newIndex } operations
+function diffLines(oldLines, newLines) {
+  // Common prefix and suffix don't need to go through the algorithm
+  let prefix = 0;
+  while (
+    prefix < oldLines.length &&
+    prefix < newLines.length &&
+    oldLines[prefix] === newLines[prefix]
+  ) {
+    prefix++;
+  }
+
+  let suffix = 0;
+  while (
+    suffix < oldLines.length - prefix &&
+    suffix < newLines.length - prefix &&
+    oldLines[oldLines.length - 1 - suffix] ===
+      newLines[newLines.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+
+  const a = oldLines.slice(prefix, oldLines.length - suffix);
+  const b = newLines.slice(prefix, newLines.length - suffix);
+  const n = a.length;
+  const m = b.length;
+  const max = n + m;
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  let found = max === 0;
+  for (let d = 0; d <= max && !found; d++) {
+    trace.push(v.slice());
+    for (let k = -d; k <= d; k += 2) {
+      let x =
+        k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+          ? v[offset + k + 1]
+          : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        found = true;
+        break;
+      }
+    }
+  }
+
+  // Walk the trace back from the end to collect the edit script
+  const middle = [];
+  let x = n;
+  let y = m;
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const previous = trace[d];
+    const k = x - y;
+    const previousK =
+      k === -d ||
+      (k !== d && previous[offset + k - 1] < previous[offset + k + 1])
+        ? k + 1
+        : k - 1;
+    const previousX = previous[offset + previousK];
+    const previousY = previousX - previousK;
+
+    while (x > previousX && y > previousY) {
+      x--;
+      y--;
+      middle.push({ type: " ", oldIndex: x, newIndex: y });
+    }
+    if (d > 0) {
+      if (x === previousX) {
+        middle.push({ type: "+", oldIndex: x, newIndex: previousY });
+      } else {
+        middle.push({ type: "-", oldIndex: previousX, newIndex: y });
+      }
+    }
+    x = previousX;
+    y = previousY;
+  }
+  middle.reverse();
+
+  const operations = [];
+  for (let i = 0; i < prefix; i++) {
+    operations.push({ type: " ", oldIndex: i, newIndex: i });
+  }
+  middle.forEach((operation) =>
+    operations.push({
+      type: operation.type,
+      oldIndex: operation.oldIndex + prefix,
+      newIndex: operation.newIndex + prefix,
+    }),
+  );
+  for (let i = suffix; i > 0; i--) {
+    operations.push({
+      type: " ",
+      oldIndex: oldLines.length - i,
+      newIndex: newLines.length - i,
+    });
+  }
+
+  return operations;
+}
+
+// This function returns a unified diff between two versions of a file, or an
+// empty string when they are equal. Paths are relative to the repository root,
+// oldContent is null for new files.
+function createUnifiedDiff(path, oldContent, newContent, context = 3) {
+  if (oldContent === newContent) {
+    return "";
+  }
+
+  const oldFile = splitLines(oldContent);
+  const newFile = splitLines(newContent);
+  const operations = diffLines(oldFile.lines, newFile.lines);
+
+  // The final line differs if only one of the versions ends with a newline
+  const lastOld = oldFile.lines.length - 1;
+  const lastNew = newFile.lines.length - 1;
+  if (oldFile.hasFinalNewline !== newFile.hasFinalNewline) {
+    const index = operations.findIndex(
+      (operation) =>
+        operation.type === " " &&
+        operation.oldIndex === lastOld &&
+        operation.newIndex === lastNew,
+    );
+    if (index !== -1) {
+      operations.splice(
+        index,
+        1,
+        { type: "-", oldIndex: lastOld, newIndex: lastNew },
+        { type: "+", oldIndex: lastOld + 1, newIndex: lastNew },
+      );
+    }
+  }
+
+  const formatLine = (operation) => {
+    const isOld = operation.type === "-";
+    const file = isOld ? oldFile : newFile;
+    const index = isOld ? operation.oldIndex : operation.newIndex;
+    let line = `${operation.type}${file.lines[index]}`;
+
+    const isLast =
+      operation.type === " "
+        ? index === lastNew && !newFile.hasFinalNewline
+        : index === file.lines.length - 1 && !file.hasFinalNewline;
+    if (isLast) {
+      line += "\n\\ No newline at end of file";
+    }
+    return line;
+  };
+
+  // Group the changes with their surrounding context lines into hunks
+  const hunks = [];
+  let current = null;
+  operations.forEach((operation, index) => {
+    if (operation.type === " ") return;
+
+    const start = Math.max(index - context, 0);
+    if (current && start <= current.end) {
+      current.end = Math.min(index + context + 1, operations.length);
+    } else {
+      current = {
+        start,
+        end: Math.min(index + context + 1, operations.length),
+      };
+      hunks.push(current);
+    }
+  });
+
+  const body = hunks.map(({ start, end }) => {
+    const hunkOperations = operations.slice(start, end);
+    const oldCount = hunkOperations.filter((op) => op.type !== "+").length;
+    const newCount = hunkOperations.filter((op) => op.type !== "-").length;
+    const oldStart = oldCount > 0 ? hunkOperations[0].oldIndex + 1 : 0;
+    const newStart = newCount > 0 ? hunkOperations[0].newIndex + 1 : 0;
+
+    // An empty side starts at the line before the hunk
+    const oldLine = oldCount > 0 ? oldStart : hunkOperations[0].oldIndex;
+    const newLine = newCount > 0 ? newStart : hunkOperations[0].newIndex;
+
+    return [
+      `@@ -${oldLine},${oldCount} +${newLine},${newCount} @@`,
+      ...hunkOperations.map(formatLine),
+    ].join("\n");
+  });
+
+  const header =
+    oldContent === null
+      ? [
+          `diff --git a/${path} b/${path}`,
+          "new file mode 100644",
+          "--- /dev/null",
+          `+++ b/${path}`,
+        ]
+      : [`diff --git a/${path} b/${path}`, `--- a/${path}`, `+++ b/${path}`];
+
+  return `${[...header, ...body].join("\n")}\n`;
+}
+
+const COLORS = {
+  bold: "\x1b[1m",
+  red: "\x1b[31m",
+  green: "\x1b[32m",
+  cyan: "\x1b[36m",
+  reset: "\x1b[0m",
+};
+
+function colorizeDiff(patch) {
+  return patch
+    .split("\n")
+    .map((line) => {
+      let color = null;
+      if (/^(diff --git|new file mode|--- |\+\+\+ )/.test(line)) {
+        color = COLORS.bold;
+      } else if (line.startsWith("@@")) {
+        color = COLORS.cyan;
+      } else if (line.startsWith("+")) {
+        color = COLORS.green;
+      } else if (line.startsWith("-")) {
+        color = COLORS.red;
+      }
+      return color && line ? `${color}${line}${COLORS.reset}` : line;
+    })
+    .join("\n");
+}
+
+function countChanges(patch) {
+  const lines = patch.split("\n");
+  return {
+    additions: lines.filter(
+      (line) => line.startsWith("+") && !line.startsWith("+++ "),
+    ).length,
+    deletions: lines.filter(
+      (line) => line.startsWith("-") && !line.startsWith("--- "),
+    ).length,
+  };
+}
+
+export { createUnifiedDiff, colorizeDiff, countChanges };
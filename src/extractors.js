@@ -1,4 +1,5 @@
 import { parseComputedProperties, parseMethodProperties } from "./parsers.js";
+import { getParameterPattern } from "./treesitter.js";
 
 function extractVariablesFromExpression(expr, variables) {
   // Transform $i18n.locale to locale before extracting variables
@@ -172,6 +173,44 @@ function extractMixinData(tree, content, options) {
   return { mixinImports, usedMixins };
 }
 
+function extractMixinExports(tree, content, options) {
+  // Collect the public members of a mixin, in the order they are returned by
+  // the composable generated from it
+  const mixinExports = new Set();
+
+  Object.keys(extractDataProperties(tree, content)).forEach((name) =>
+    mixinExports.add(name),
+  );
+
+  const asyncDataMethod = extractAsyncDataMethod(tree, content);
+  if (asyncDataMethod) {
+    asyncDataMethod.returnProperties.forEach((name) => mixinExports.add(name));
+  }
+
+  const vuexData = extractVuexData(tree, content, options);
+  vuexData.computedProps.forEach((mapData) => {
+    Object.entries(mapData.mappings).forEach(([name, storePath]) => {
+      // Only mappings to a known store are turned into computed properties
+      const namespace =
+        typeof storePath === "string" && storePath.includes("/")
+          ? storePath.split("/")[0]
+          : mapData.namespace;
+      if (options?.vuex?.[namespace]) {
+        mixinExports.add(name);
+      }
+    });
+  });
+
+  Object.keys(extractComputedProperties(tree, content)).forEach((name) =>
+    mixinExports.add(name),
+  );
+
+  const { regularMethods } = extractMethodsAndFetch(tree, content);
+  Object.keys(regularMethods).forEach((name) => mixinExports.add(name));
+
+  return Array.from(mixinExports);
+}
+
 function extractMixinNameFromPath(path) {
   // Extract mixin name from path like '@/mixins/price' -> 'price'
   const match = path.match(/\/mixins\/(\w+)$/);
@@ -346,19 +385,34 @@ function extractImportRewriteData(tree, content, options) {
             (child) => child.type === "named_imports",
           );
           if (namedImports) {
+            // TypeScript type-only imports keep their type modifier, either on
+            // the statement or on the specifier
+            const isTypeImport = node.children.some(
+              (child) => child.type === "type",
+            );
             const components = [];
             namedImports.namedChildren.forEach((spec) => {
               if (spec.type === "import_specifier") {
                 const nameNode = spec.namedChildren.find(
                   (child) => child.type === "identifier",
                 );
+                const isTypeSpecifier = spec.children.some(
+                  (child) => child.type === "type",
+                );
                 if (nameNode) {
-                  components.push(nameNode.text);
+                  components.push(
+                    isTypeImport || isTypeSpecifier
+                      ? `type ${nameNode.text}`
+                      : nameNode.text,
+                  );
                 }
               }
             });
 
-            importData.existingImports[importPath] = components;
+            importData.existingImports[importPath] = [
+              ...(importData.existingImports[importPath] || []),
+              ...components,
+            ];
           }
         }
       }
@@ -754,6 +808,7 @@ function extractComputedProperties(tree, content) {
                       getterSetter[methodName.text] = {
                         content: methodContent,
                         parameters: parameters,
+                        returnType: getReturnType(method),
                       };
                     }
                   }
@@ -786,7 +841,11 @@ function extractComputedProperties(tree, content) {
                 methodBody.startIndex,
                 methodBody.endIndex,
               );
-              computedProperties[key] = { type: "function", value };
+              computedProperties[key] = {
+                type: "function",
+                value,
+                returnType: getReturnType(prop),
+              };
             }
           }
         });
@@ -801,6 +860,13 @@ function extractComputedProperties(tree, content) {
   return computedProperties;
 }
 
+// Returns the return type annotation of a TypeScript method, without its colon
+function getReturnType(methodNode) {
+  return (
+    methodNode.childForFieldName("return_type")?.namedChildren[0]?.text || null
+  );
+}
+
 function extractDataProperties(tree, content) {
   const dataProperties = {};
 
@@ -972,6 +1038,11 @@ function extractMethodsAndFetch(tree, content) {
   findComputedMethods(tree.rootNode);
 
   function traverse(node) {
+    // Watcher handlers aren't methods of the component
+    if (node.type === "pair" && node.namedChildren[0]?.text === "watch") {
+      return;
+    }
+
     // Look for method_definition nodes
     if (node.type === "method_definition") {
       const nameNode = node.namedChildren.find(
@@ -991,6 +1062,7 @@ function extractMethodsAndFetch(tree, content) {
         nameNode.text !== "head" &&
         nameNode.text !== "asyncData" &&
         !isLifecycleMethod(nameNode.text) &&
+        !isPageOption(node) &&
         !computedMethodNames.has(nameNode.text) &&
         !watchMethodNames.has(nameNode.text)
       ) {
@@ -1000,9 +1072,15 @@ function extractMethodsAndFetch(tree, content) {
           bodyNode.endIndex,
         );
 
-        // Extract parameters if they exist
+        // Extract parameters if they exist, along with the type parameters
+        // and return type of TypeScript methods
+        const typeParamsNode = node.childForFieldName("type_parameters");
+        const returnTypeNode = node.childForFieldName("return_type");
         const parameters = paramsNode
-          ? content.slice(paramsNode.startIndex, paramsNode.endIndex)
+          ? content.slice(
+              (typeParamsNode || paramsNode).startIndex,
+              (returnTypeNode || paramsNode).endIndex,
+            )
           : "()";
 
         // Check if method is async by looking at the full method definition
@@ -1052,13 +1130,7 @@ function extractEmits(tree, content) {
           if (argumentsNode && argumentsNode.namedChildren.length > 0) {
             const eventNameNode = argumentsNode.namedChildren[0];
             if (eventNameNode && eventNameNode.type === "string") {
-              let eventName = eventNameNode.text.replace(/['"]/g, "");
-
-              // Transform 'input' events to 'update:value' for v-model compatibility
-              if (eventName === "input") {
-                eventName = "update:value";
-              }
-
+              const eventName = eventNameNode.text.replace(/['"]/g, "");
               emits.add(eventName);
             }
           }
@@ -1074,6 +1146,200 @@ function extractEmits(tree, content) {
   return Array.from(emits);
 }
 
+// Nuxt 2 page component options
+const PAGE_OPTIONS = [
+  "layout",
+  "middleware",
+  "transition",
+  "scrollToTop",
+  "validate",
+  "key",
+  "watchQuery",
+  "loading",
+];
+
+// The page options no other component has
+const PAGE_ONLY_OPTIONS = [
+  "layout",
+  "middleware",
+  "scrollToTop",
+  "validate",
+  "watchQuery",
+];
+
+function findComponentObject(tree) {
+  const exportNode = tree.rootNode.namedChildren.find(
+    (child) => child.type === "export_statement",
+  );
+  return (
+    exportNode?.namedChildren.find((child) => child.type === "object") || null
+  );
+}
+
+function isPageOption(node) {
+  // Only options on the component itself, methods may share these names
+  const nameNode = node.namedChildren[0];
+  return (
+    node.parent?.type === "object" &&
+    node.parent.parent?.type === "export_statement" &&
+    PAGE_OPTIONS.includes(nameNode?.text.replace(/['"]/g, ""))
+  );
+}
+
+// Returns whether the component is a Nuxt page. The page option, set from the
+// path of the file, decides when given, otherwise components with page-only
+// options are pages.
+function isPageComponent(tree, page = null) {
+  if (typeof page === "boolean") {
+    return page;
+  }
+
+  return (findComponentObject(tree)?.namedChildren || []).some(
+    (prop) =>
+      ["pair", "method_definition"].includes(prop.type) &&
+      PAGE_ONLY_OPTIONS.includes(
+        prop.namedChildren[0]?.text.replace(/['"]/g, ""),
+      ),
+  );
+}
+
+function extractPageMeta(tree, content, isPage = true) {
+  const pageMeta = [];
+  const componentNode = isPage ? findComponentObject(tree) : null;
+
+  componentNode?.namedChildren.forEach((prop) => {
+    if (!isPageOption(prop)) return;
+
+    const name = prop.namedChildren[0].text.replace(/['"]/g, "");
+
+    if (prop.type === "method_definition") {
+      // validate({ params }) { ... }
+      const paramsNode = prop.namedChildren.find(
+        (child) => child.type === "formal_parameters",
+      );
+      pageMeta.push({
+        name,
+        code: content.slice(prop.startIndex, prop.endIndex),
+        params: (paramsNode?.namedChildren || []).map(getParameterPattern),
+        isMethod: true,
+        isFunction: true,
+        isStatic: false,
+      });
+    } else if (prop.type === "pair") {
+      const valueNode = prop.namedChildren[1];
+      const isFunction = [
+        "function",
+        "function_expression",
+        "arrow_function",
+      ].includes(valueNode.type);
+      const paramsNode = isFunction
+        ? valueNode.namedChildren.find(
+            (child) =>
+              child.type === "formal_parameters" || child.type === "identifier",
+          )
+        : null;
+
+      pageMeta.push({
+        name,
+        code: content.slice(valueNode.startIndex, valueNode.endIndex),
+        params:
+          paramsNode?.type === "formal_parameters"
+            ? paramsNode.namedChildren.map(getParameterPattern)
+            : paramsNode
+              ? [paramsNode]
+              : [],
+        isMethod: false,
+        isFunction,
+        isStatic: isStaticValue(valueNode),
+      });
+    }
+  });
+
+  return pageMeta;
+}
+
+function isStaticValue(node) {
+  // Literals, arrays and objects of literals can be serialized as route meta
+  if (
+    ["string", "number", "true", "false", "null", "pair"].includes(node.type)
+  ) {
+    return node.namedChildren.every(
+      (child) =>
+        child.type === "property_identifier" ||
+        child.type === "string_fragment" ||
+        child.type === "escape_sequence" ||
+        isStaticValue(child),
+    );
+  }
+  if (node.type === "array" || node.type === "object") {
+    return node.namedChildren.every((child) => isStaticValue(child));
+  }
+  return node.type === "comment";
+}
+
+function extractModelOption(tree, content) {
+  let modelOption = null;
+
+  // Only look at the component options, data may contain a 'model' as well
+  const componentNode = findComponentObject(tree);
+
+  componentNode?.namedChildren.forEach((prop) => {
+    if (prop.type !== "pair") return;
+
+    const keyNode = prop.namedChildren[0];
+    const valueNode = prop.namedChildren[1];
+    if (keyNode && keyNode.text === "model" && valueNode?.type === "object") {
+      // Vue 2 defaults to the 'value' prop and the 'input' event
+      modelOption = { prop: "value", event: "input", source: prop.text };
+
+      valueNode.namedChildren.forEach((option) => {
+        if (option.type === "pair") {
+          const optionKey = option.namedChildren[0]?.text.replace(/['"]/g, "");
+          const optionValue = option.namedChildren[1];
+          if (
+            (optionKey === "prop" || optionKey === "event") &&
+            optionValue?.type === "string"
+          ) {
+            modelOption[optionKey] = content
+              .slice(optionValue.startIndex, optionValue.endIndex)
+              .replace(/['"]/g, "");
+          }
+        }
+      });
+    }
+  });
+
+  return modelOption;
+}
+
+// Component options <script setup> declares with defineOptions()
+const DEFINE_OPTIONS = ["name", "inheritAttrs"];
+
+// Returns the name and inheritAttrs options of the component, with the source
+// of their value and of the whole option, like
+// [{ name: "inheritAttrs", value: "false", code: "inheritAttrs: false" }].
+// Components other than pages keep the page options as well.
+function extractDefineOptions(tree, content, isPage = true) {
+  const componentNode = findComponentObject(tree);
+  const names = isPage ? DEFINE_OPTIONS : [...DEFINE_OPTIONS, ...PAGE_OPTIONS];
+
+  return (componentNode?.namedChildren || [])
+    .filter(
+      (prop) =>
+        ["pair", "method_definition"].includes(prop.type) &&
+        names.includes(prop.namedChildren[0]?.text.replace(/['"]/g, "")),
+    )
+    .map((prop) => {
+      // The value of a method is the method itself
+      const value = prop.childForFieldName("value") || prop;
+      return {
+        name: prop.namedChildren[0].text.replace(/['"]/g, ""),
+        value: content.slice(value.startIndex, value.endIndex),
+        code: content.slice(prop.startIndex, prop.endIndex),
+      };
+    });
+}
+
 function detectAxiosUsage(content) {
   return content.includes("$axios");
 }
@@ -1105,6 +1371,14 @@ function detectNextTickUsage(content) {
   return content.includes("$nextTick");
 }
 
+function detectSlotsUsage(content) {
+  return /this\.\$(?:scopedSlots|slots)\b/.test(content);
+}
+
+function detectAttrsUsage(content) {
+  return /\$(?:attrs|listeners)\b/.test(content);
+}
+
 function detectRouterUsage(content) {
   const hasRoute = content.includes("$route");
   const hasRouter = content.includes("$router");
@@ -1170,6 +1444,8 @@ function extractTopLevelCode(tree, content) {
 export {
   extractRefsUsage,
   extractMixinData,
+  extractMixinExports,
+  extractMixinNameFromPath,
   extractNuxtI18nData,
   extractVuexData,
   extractImportRewriteData,
@@ -1183,6 +1459,11 @@ export {
   extractDataProperties,
   extractMethodsAndFetch,
   extractEmits,
+  extractModelOption,
+  extractDefineOptions,
+  findComponentObject,
+  isPageComponent,
+  extractPageMeta,
   extractVariablesFromExpression,
   extractI18nUsage,
   detectAxiosUsage,
@@ -1191,6 +1472,8 @@ export {
   detectNuxtCompatUsage,
   detectConfigUsage,
   detectNextTickUsage,
+  detectSlotsUsage,
+  detectAttrsUsage,
   detectRouterUsage,
   detectDirectStoreUsage,
   extractTopLevelCode,
@@ -0,0 +1,274 @@
+import { readdir, readFile, realpath, stat, access } from "fs/promises";
+import { dirname, extname, join, relative, sep } from "path";
+
+// Directories never worth migrating, whatever the other settings
+const DEFAULT_EXCLUDE = [".git", "node_modules"];
+
+// Translates a glob to a regular expression source: `*` and `?` stay within a
+// path segment, `**/` matches any number of directories, `[abc]` and `{a,b}`
+// work as in the shell
+function globToSource(glob) {
+  let source = "";
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+
+    if (char === "*") {
+      if (glob[i + 1] === "*") {
+        i++;
+        if (glob[i + 1] === "/") {
+          i++;
+          source += "(?:.*/)?";
+        } else {
+          source += ".*";
+        }
+      } else {
+        source += "[^/]*";
+      }
+    } else if (char === "?") {
+      source += "[^/]";
+    } else if (char === "[" && glob.indexOf("]", i + 2) !== -1) {
+      const end = glob.indexOf("]", i + 2);
+      let set = glob.slice(i + 1, end).replace(/\\/g, "\\\\");
+      if (set.startsWith("!")) {
+        set = `^${set.slice(1)}`;
+      }
+      source += `[${set}]`;
+      i = end;
+    } else if (char === "{" && glob.indexOf("}", i) !== -1) {
+      const end = glob.indexOf("}", i);
+      const alternatives = glob
+        .slice(i + 1, end)
+        .split(",")
+        .map(globToSource);
+      source += `(?:${alternatives.join("|")})`;
+      i = end;
+    } else if (char === "\\" && i + 1 < glob.length) {
+      i++;
+      source += escapeRegExp(glob[i]);
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+
+  return source;
+}
+
+function escapeRegExp(char) {
+  return /[.*+?^${}()|[\]\\/]/.test(char) ? `\\${char}` : char;
+}
+
+// This function compiles a glob using the .gitignore conventions: a pattern
+// containing a slash is relative to the base directory, otherwise it matches
+// at any depth, and a trailing slash only matches directories. The returned
+// function receives a path relative to the base directory, with `/` separators.
+function compileGlob(glob) {
+  let pattern = glob.replace(/^\.\//, "");
+  const directoryOnly = pattern.endsWith("/");
+  pattern = pattern.replace(/\/+$/, "");
+
+  const anchored = pattern.includes("/");
+  pattern = pattern.replace(/^\//, "");
+
+  const regex = new RegExp(
+    `^${anchored ? "" : "(?:.*/)?"}${globToSource(pattern)}$`,
+  );
+  return (path, isDirectory = false) =>
+    (!directoryOnly || isDirectory) && regex.test(path);
+}
+
+function parseGitignore(content, dir) {
+  return content
+    .split(/\r?\n/)
+    .map((line) => line.replace(/(?<!\\)\s+$/, ""))
+    .filter((line) => line && !line.startsWith("#"))
+    .map((line) => {
+      const negate = line.startsWith("!");
+      const pattern = negate ? line.slice(1) : line.replace(/^\\([#!])/, "$1");
+      return { dir, negate, matches: compileGlob(pattern) };
+    });
+}
+
+async function readGitignore(dir) {
+  try {
+    return parseGitignore(await readFile(join(dir, ".gitignore"), "utf8"), dir);
+  } catch {
+    return [];
+  }
+}
+
+// Returns the closest directory holding a .git entry, dir itself or one of
+// its parents, or null outside of a repository
+async function findRepositoryRoot(dir) {
+  while (dirname(dir) !== dir) {
+    try {
+      await access(join(dir, ".git"));
+      return dir;
+    } catch {
+      dir = dirname(dir);
+    }
+  }
+  return null;
+}
+
+// The .gitignore files of the directories above root, up to the repository
+// root, apply to it as well
+async function readParentGitignores(root) {
+  const repositoryRoot = await findRepositoryRoot(root);
+
+  // Outside of a repository only the .gitignore files below root count
+  if (!repositoryRoot) {
+    return [];
+  }
+
+  const rules = [];
+  for (let dir = root; dir !== repositoryRoot; ) {
+    dir = dirname(dir);
+    rules.unshift(...(await readGitignore(dir)));
+  }
+  return rules;
+}
+
+function toPosix(path) {
+  return path.split(sep).join("/");
+}
+
+// Nuxt pages are the files below a pages directory
+function isPageFile(path) {
+  return toPosix(path).split("/").slice(0, -1).includes("pages");
+}
+
+function isIgnored(rules, fullPath, isDirectory) {
+  // The last matching rule wins, negated rules re-include a path
+  let ignored = false;
+  for (const rule of rules) {
+    const path = toPosix(relative(rule.dir, fullPath));
+    if (!path.startsWith("..") && rule.matches(path, isDirectory)) {
+      ignored = !rule.negate;
+    }
+  }
+  return ignored;
+}
+
+// This function returns the files below root with one of the extensions,
+// sorted by path. include and exclude are globs relative to root, when include
+// is given a file or one of its directories must match one of them. Paths
+// ignored by .gitignore files are skipped unless gitignore is false. Symbolic
+// links are followed once, links back to a directory being walked are skipped.
+async function findFiles(
+  root,
+  {
+    recursive = true,
+    extensions = [".vue"],
+    include = [],
+    exclude = [],
+    gitignore = true,
+  } = {},
+) {
+  const includeMatchers = include.map(compileGlob);
+  const excludeMatchers = [...DEFAULT_EXCLUDE, ...exclude].map(compileGlob);
+  const visited = new Set();
+  const files = [];
+
+  const isIncluded = (path) => {
+    if (includeMatchers.length === 0) {
+      return true;
+    }
+    // A file is included when its path or one of its directories match
+    const segments = path.split("/");
+    return segments.some((segment, index) => {
+      const prefix = segments.slice(0, index + 1).join("/");
+      const isDirectory = index < segments.length - 1;
+      return includeMatchers.some((matches) => matches(prefix, isDirectory));
+    });
+  };
+
+  async function walk(dir, realDir, ancestors, rules) {
+    const dirRules = gitignore ? [...rules, ...(await readGitignore(dir))] : [];
+
+    let entries;
+    try {
+      entries = await readdir(dir, { withFileTypes: true });
+    } catch (error) {
+      console.error(`Error reading directory ${dir}:`, error.message);
+      return;
+    }
+    entries.sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+
+    for (const entry of entries) {
+      const fullPath = join(dir, entry.name);
+      const path = toPosix(relative(root, fullPath));
+
+      let isDirectory = entry.isDirectory();
+      let isFile = entry.isFile();
+      let realPath = join(realDir, entry.name);
+
+      if (entry.isSymbolicLink()) {
+        try {
+          realPath = await realpath(fullPath);
+          const stats = await stat(realPath);
+          isDirectory = stats.isDirectory();
+          isFile = stats.isFile();
+        } catch {
+          console.warn(`   ⚠️  Skipping broken symbolic link: ${fullPath}`);
+          continue;
+        }
+      }
+
+      if (
+        excludeMatchers.some((matches) => matches(path, isDirectory)) ||
+        isIgnored(dirRules, fullPath, isDirectory)
+      ) {
+        continue;
+      }
+
+      if (isDirectory && recursive) {
+        if (ancestors.has(realPath)) {
+          console.warn(
+            `   ⚠️  Skipping symbolic link loop: ${fullPath} -> ${realPath}`,
+          );
+          continue;
+        }
+        // Directories reachable through several links are only walked once
+        if (visited.has(realPath)) {
+          continue;
+        }
+        visited.add(realPath);
+
+        await walk(
+          fullPath,
+          realPath,
+          new Set([...ancestors, realPath]),
+          dirRules,
+        );
+      } else if (
+        isFile &&
+        extensions.includes(extname(entry.name)) &&
+        isIncluded(path) &&
+        !visited.has(realPath)
+      ) {
+        visited.add(realPath);
+        files.push(fullPath);
+      }
+    }
+  }
+
+  const realRoot = await realpath(root);
+  visited.add(realRoot);
+  await walk(
+    root,
+    realRoot,
+    new Set([realRoot]),
+    gitignore ? await readParentGitignores(root) : [],
+  );
+
+  return files;
+}
+
+export {
+  findFiles,
+  findRepositoryRoot,
+  isPageFile,
+  compileGlob,
+  parseGitignore,
+};
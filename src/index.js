@@ -1,6 +1,4 @@
 import compiler from "vue-template-compiler";
-import Parser from "tree-sitter";
-import javascript from "tree-sitter-javascript";
 import { HTMLRewriter } from "html-rewriter-wasm";
 import prettier from "prettier";
 import {
@@ -13,7 +11,12 @@ import {
   extractLifecycleMethods,
   extractWatchers,
   extractEmits,
+  extractModelOption,
+  extractDefineOptions,
+  isPageComponent,
+  extractPageMeta,
   extractMixinData,
+  extractMixinExports,
   extractVuexData,
   extractVariablesFromExpression,
   extractI18nUsage,
@@ -27,27 +30,134 @@ import {
   detectNuxtCompatUsage,
   detectConfigUsage,
   detectNextTickUsage,
+  detectSlotsUsage,
+  detectAttrsUsage,
   detectRouterUsage,
   extractTopLevelCode,
 } from "./extractors.js";
 import {
   transformToCompositionAPI,
+  transformToComposable,
+  getComposableParameters,
   transformStoreUsageInTemplate,
   transformComponentUsageInTemplate,
+  transformFilterExpression,
+  transformFiltersInTemplate,
+  transformModelEvents,
+  transformSyncModifiers,
+  transformListenersInTemplate,
+  transformSlotsInTemplate,
+  transformPageMetaToRouteBlock,
+  getPropNames,
+  getPropDeclarations,
 } from "./transformers.js";
+import { inferStoreConfig } from "./parsers.js";
+import { rewriteStoreModule, getStoreConfig } from "./stores.js";
+import { scaffoldComposables } from "./scaffold.js";
+import { checkSFC } from "./check.js";
+import { transformClassComponent } from "./classComponents.js";
+import {
+  getTopLevelNames,
+  callsGlobal,
+  resolveBindingNames,
+  getBindingName,
+} from "./bindings.js";
+import { transformAssetsInTemplate, resolveDeferredAssets } from "./assets.js";
+import { transformStyle } from "./styles.js";
+import { getScriptParser, withScriptLanguage } from "./treesitter.js";
+import { DIAGNOSTICS, report, resolveDiagnostics } from "./diagnostics.js";
 
 // This function takes a Vue SFC (Single File Component) and rewrites it to use the Composition API.
 // returning it compiled as a string.
 async function rewriteSFC(sfc, options = {}) {
+  const { code, diagnostics } = await migrateSFC(sfc, options);
+  diagnostics
+    .filter(({ severity }) => severity === "error")
+    .forEach(({ message }) => console.warn(message));
+  return code;
+}
+
+// This function rewrites a Vue SFC like rewriteSFC, returning { code,
+// diagnostics, stats, inferredConfig }:
+// - diagnostics are { code, severity, message, input, output }, with the
+//   { line, column } of the problem in the SFC and in the generated code
+// - stats count the lines and the converted component options
+// - inferredConfig holds configuration inferred from the file, such as default
+//   configurations of the stores it uses, as the options are never modified
+async function migrateSFC(sfc, options = {}) {
+  const startTime = performance.now();
+  const fileOptions = isolateOptions(options);
+  fileOptions[DIAGNOSTICS] = [];
+
+  const { code, scriptStart, conversions } = await transformSFC(
+    sfc,
+    fileOptions,
+  );
+
+  return {
+    code,
+    diagnostics: resolveDiagnostics(
+      fileOptions[DIAGNOSTICS],
+      sfc,
+      code,
+      scriptStart,
+    ),
+    stats: {
+      inputLines: sfc.split("\n").length,
+      outputLines: code.split("\n").length,
+      durationMs: Math.round(performance.now() - startTime),
+      ...conversions,
+    },
+    inferredConfig: getInferredConfig(options, fileOptions),
+  };
+}
+
+// Each file works on its own copy of the configuration, so what is inferred
+// from one file doesn't change how the next ones are transformed
+function isolateOptions(options = {}) {
+  return {
+    ...options,
+    ...(options?.vuex && { vuex: { ...options.vuex } }),
+  };
+}
+
+function getInferredConfig(options, fileOptions) {
+  return {
+    vuex: Object.fromEntries(
+      Object.entries(fileOptions.vuex || {}).filter(
+        ([namespace]) => !options?.vuex?.[namespace],
+      ),
+    ),
+  };
+}
+
+// Whether the component keeps the Vue default inheritAttrs: true, read from
+// its parsed options so comments and strings don't count
+function inheritsAttrs(script) {
+  if (!script?.content) {
+    return true;
+  }
+
+  return withScriptLanguage(script.lang, () => {
+    const content = transformClassComponent(script.content, {});
+    const tree = getScriptParser().parse(content);
+    return !extractDefineOptions(tree, content).some(
+      ({ name, value }) => name === "inheritAttrs" && value === "false",
+    );
+  });
+}
+
+async function transformSFC(sfc, options) {
   const parsed = compiler.parseComponent(sfc, {
     pad: "line",
     whitespace: "condense",
     comments: true,
   });
 
-  // Extract variables used in template and i18n usage
+  // Extract variables used in template, i18n usage and template filters
   const templateVariables = new Set();
   const i18nMethods = new Set();
+  const templateFilters = new Set();
 
   let output = "";
   if (parsed.template) {
@@ -71,12 +181,6 @@ async function rewriteSFC(sfc, options = {}) {
       },
     });
 
-    // Apply global template transformations before HTMLRewriter
-    templateContent = templateContent
-      .replace(/\$i18n\.locale/g, "locale")
-      .replace(/\$([tnd])\(/g, "$1(")
-      .replace(/\$config/g, "config");
-
     // Transform $store usage in template (both in text and attributes)
     if (options.vuex) {
       templateContent = transformStoreUsageInTemplate(
@@ -85,6 +189,28 @@ async function rewriteSFC(sfc, options = {}) {
       );
     }
 
+    // Transform .sync modifiers to v-model arguments
+    templateContent = transformSyncModifiers(templateContent);
+
+    // Transform .native modifiers and $listeners to the Vue 3 attrs model
+    templateContent = transformListenersInTemplate(
+      templateContent,
+      options,
+      inheritsAttrs(parsed.script),
+    );
+
+    // Transform slot/slot-scope attributes to v-slot shorthands
+    templateContent = transformSlotsInTemplate(templateContent);
+
+    // Resolve the aliased asset paths and require() calls
+    templateContent = transformAssetsInTemplate(templateContent, options);
+
+    // Transform filter pipes in mustache interpolations to function calls
+    templateContent = transformFiltersInTemplate(
+      templateContent,
+      templateFilters,
+    );
+
     const encoder = new TextEncoder();
     const decoder = new TextDecoder();
 
@@ -111,23 +237,27 @@ async function rewriteSFC(sfc, options = {}) {
             extractVariablesFromExpression(value, templateVariables);
             extractI18nUsage(value, i18nMethods);
 
+            // Transform filter pipes in bound attributes to function calls
+            if (name.startsWith(":") || name.startsWith("v-bind")) {
+              const transformedValue = transformFilterExpression(
+                value,
+                templateFilters,
+              );
+              if (transformedValue !== value) {
+                element.setAttribute(name, transformedValue);
+              }
+            }
+
             // Also track directive names for import detection
             if (name.startsWith("v-")) {
               templateVariables.add(name);
             }
-          } else if (
-            name === "src" &&
-            element.tagName === "img" &&
-            value.startsWith("~")
-          ) {
-            // Handle image src paths
-            element.setAttribute("src", value.replace(/^~\//, "@/")); // Normalize ~ to @
           }
         }
       },
       text(text) {
         // Extract variables from mustache syntax {{ variable }}
-        let content = text.text;
+        const content = text.text;
         const mustacheMatches = content.match(/\{\{\s*([^}]+)\s*\}\}/g);
         if (mustacheMatches) {
           mustacheMatches.forEach((match) => {
@@ -137,15 +267,6 @@ async function rewriteSFC(sfc, options = {}) {
           });
         }
 
-        // Transform i18n method calls in the template
-        content = content.replace(/\$([tnd])\(/g, "$1(");
-
-        // Transform $i18n.locale to locale
-        content = content.replace(/\$i18n\.locale/g, "locale");
-
-        // Transform $config to config
-        content = content.replace(/\$config/g, "config");
-
         text.replace(content);
       },
     });
@@ -159,52 +280,289 @@ async function rewriteSFC(sfc, options = {}) {
     }
   }
 
-  // Parse script section with tree-sitter
+  // Transform the script section
   if (!parsed.script || !parsed.script.content) {
-    return sfc; // Return original if no script
+    // Return original if no script
+    return { code: sfc, scriptStart: 0, conversions: countConversions() };
+  }
+
+  const scriptData = withScriptLanguage(parsed.script.lang, () =>
+    transformScript(
+      parsed.script.content,
+      parsed.template?.content || "",
+      templateVariables,
+      i18nMethods,
+      options,
+      templateFilters,
+    ),
+  );
+  const { scriptSetupContent, nuxtI18nData, pageMeta } = scriptData;
+
+  // The template reads the i18n helpers, the runtime config and the assets
+  // through the bindings of the script, named once the script is transformed
+  output = resolveDeferredAssets(output, options)
+    .replace(/\$i18n\.locale/g, getBindingName(options, "locale"))
+    .replace(
+      /\$([tnd])\(/g,
+      (match, helper) => `${getBindingName(options, helper)}(`,
+    )
+    .replace(/\$config/g, getBindingName(options, "config"));
+  const scriptStart = parsed.script.start;
+  const conversions = countConversions(scriptData, templateFilters);
+
+  // Rebuild the SFC, keeping every block in its original position
+  const blocks = [];
+
+  if (parsed.template) {
+    blocks.push({
+      start: parsed.template.start,
+      code: `<template${renderAttributes(parsed.template.attrs)}>${output}</template>`,
+    });
   }
 
-  const jsParser = new Parser();
-  jsParser.setLanguage(javascript);
-  const jsTree = jsParser.parse(parsed.script.content);
+  const scriptAttrs = renderAttributes(parsed.script.attrs);
+  let scriptCode = scriptSetupContent.trim()
+    ? `<script setup${scriptAttrs}>\n${scriptSetupContent}\n</script>`
+    : `<script setup${scriptAttrs}></script>`;
+
+  // Add nuxtI18n script tag if needed
+  if (nuxtI18nData && nuxtI18nData.paths) {
+    scriptCode += `\n<script${scriptAttrs}>\nexport const i18n = ${nuxtI18nData.paths};\n</script>`;
+  }
+
+  // Add page options as a route meta block for plain Vue Router
+  if (pageMeta.length > 0 && options.pageMeta === "route") {
+    scriptCode += `\n${transformPageMetaToRouteBlock(pageMeta, options)}`;
+  }
+
+  blocks.push({ start: parsed.script.start, code: scriptCode });
+
+  // Custom blocks such as <i18n> or <docs> are kept as they are, styles get
+  // their Vue 3 selectors and asset paths. The parsed content is padded so it
+  // is taken from the source instead.
+  [...parsed.styles, ...parsed.customBlocks].forEach((block) => {
+    const source = sfc.slice(block.start, block.end);
+    const content =
+      block.type === "style"
+        ? transformStyle(
+            source,
+            { lang: block.lang, template: parsed.template?.content },
+            options,
+          )
+        : source;
+    blocks.push({
+      start: block.start,
+      code: `<${block.type}${renderAttributes(block.attrs)}>${content}</${block.type}>`,
+    });
+  });
+
+  const result = blocks
+    .sort((a, b) => a.start - b.start)
+    .map((block) => block.code)
+    .join("\n");
+
+  // Format the result with Prettier
+  try {
+    const formattedResult = await prettier.format(result, {
+      parser: "vue",
+      singleQuote: true,
+      semi: true,
+      tabWidth: 2,
+      printWidth: 80,
+      htmlWhitespaceSensitivity: "ignore",
+    });
+    return { code: formattedResult, scriptStart, conversions };
+  } catch (error) {
+    // If formatting fails, return the unformatted result
+    report(
+      options,
+      "format-failed",
+      `Prettier formatting failed: ${error.message.split("\n")[0]}`,
+      { output: error.loc?.start || null },
+    );
+    return { code: result, scriptStart, conversions };
+  }
+}
+
+// Renders the attributes of a parsed SFC block, valueless ones are true
+function renderAttributes(attrs = {}) {
+  return Object.entries(attrs)
+    .map(([name, value]) =>
+      value === true ? ` ${name}` : ` ${name}="${value}"`,
+    )
+    .join("");
+}
+
+// Counts the component options converted from a transformScript result
+function countConversions(scriptData = {}, templateFilters = new Set()) {
+  const count = (value) => Object.keys(value || {}).length;
+
+  return {
+    data: count(scriptData.dataProperties),
+    computed: count(scriptData.computedData),
+    methods: count(scriptData.regularMethods),
+    watchers: count(scriptData.watchData),
+    lifecycleHooks: count(scriptData.lifecycleMethods),
+    emits: scriptData.emitsData?.length || 0,
+    stores: scriptData.vuexData?.usedStores.size || 0,
+    filters: templateFilters.size,
+  };
+}
+
+// This function takes a Vue 2 mixin and rewrites it to a composable returning
+// its public members, returning it compiled as a string.
+async function rewriteMixin(source, mixinName, options = {}) {
+  const mixinConfig = getMixinConfig(mixinName, options);
+
+  const { scriptSetupContent, propsData, emitsData, topLevelCode } =
+    transformScript(source, "", new Set(), new Set(), isolateOptions(options));
+
+  const composable = transformToComposable(
+    scriptSetupContent,
+    mixinConfig.name,
+    getMixinExports(source, options),
+    topLevelCode,
+    Boolean(propsData),
+    emitsData.length > 0,
+  );
+
+  // Format the result with Prettier
+  try {
+    return await prettier.format(composable, {
+      parser: "babel",
+      singleQuote: true,
+      semi: true,
+      tabWidth: 2,
+      printWidth: 80,
+    });
+  } catch (error) {
+    // If formatting fails, return the unformatted result
+    console.warn("Prettier formatting failed:", error.message);
+    return composable;
+  }
+}
+
+// Returns the members a mixin's composable exposes, used as the mixin imports
+// of the components using it
+function getMixinExports(source, options = {}) {
+  const jsParser = getScriptParser();
+  const jsTree = jsParser.parse(source);
+
+  return extractMixinExports(jsTree, source, isolateOptions(options));
+}
+
+// Returns the parameters of a mixin's composable, ["props", "emit"] when it
+// emits events, passed by the components using it
+function getMixinParameters(source, options = {}) {
+  const { propsData, emitsData } = transformScript(
+    source,
+    "",
+    new Set(),
+    new Set(),
+    isolateOptions(options),
+  );
+
+  return getComposableParameters(Boolean(propsData), emitsData.length > 0);
+}
+
+// Returns the props and events a mixin declares, which the components using
+// it declare in their defineProps() and defineEmits()
+function getMixinDeclarations(source, options = {}) {
+  const { propsData, emitsData } = transformScript(
+    source,
+    "",
+    new Set(),
+    new Set(),
+    isolateOptions(options),
+  );
+
+  return { props: getPropDeclarations(propsData), emits: emitsData };
+}
+
+function getMixinConfig(mixinName, options = {}) {
+  if (options?.mixins?.[mixinName]) {
+    return options.mixins[mixinName];
+  }
+
+  // Default composable name, e.g. price -> usePrice
+  return {
+    name: `use${mixinName.charAt(0).toUpperCase() + mixinName.slice(1)}`,
+  };
+}
+
+// This function runs the extractors over a Vue 2 component script and
+// transforms it to Composition API setup code.
+function transformScript(
+  scriptContent,
+  templateContent,
+  templateVariables,
+  i18nMethods,
+  options = {},
+  templateFilters = new Set(),
+) {
+  // Parse script section with tree-sitter
+  const jsParser = getScriptParser();
+  let jsTree = jsParser.parse(scriptContent);
+
+  // Class components are read as the options object they stand for
+  const optionsScriptContent = transformClassComponent(scriptContent, options);
+  if (optionsScriptContent !== scriptContent) {
+    scriptContent = optionsScriptContent;
+    jsTree = jsParser.parse(scriptContent);
+  }
+
+  // Rename v-model events to update:<prop> before extracting anything
+  const modelOption = extractModelOption(jsTree, scriptContent);
+  const modelScriptContent = transformModelEvents(scriptContent, modelOption);
+  if (modelScriptContent !== scriptContent) {
+    scriptContent = modelScriptContent;
+    jsTree = jsParser.parse(scriptContent);
+  }
 
   // Extract data properties and methods from the script
-  const dataProperties = extractDataProperties(jsTree, parsed.script.content);
+  const dataProperties = extractDataProperties(jsTree, scriptContent);
   const { regularMethods, fetchMethod } = extractMethodsAndFetch(
     jsTree,
-    parsed.script.content,
+    scriptContent,
   );
 
   // Extract props and computed properties
-  const propsData = extractProps(jsTree, parsed.script.content);
-  const computedData = extractComputedProperties(jsTree, parsed.script.content);
+  const propsData = extractProps(jsTree, scriptContent);
+  const computedData = extractComputedProperties(jsTree, scriptContent);
 
   // Extract head method
-  const headMethod = extractHeadMethod(jsTree, parsed.script.content);
+  const headMethod = extractHeadMethod(jsTree, scriptContent);
+
+  // Extract Nuxt page options, other components keep them as options
+  const isPage = isPageComponent(jsTree, options.page);
+  const pageMeta = extractPageMeta(jsTree, scriptContent, isPage);
+
+  // Extract the options declared with defineOptions()
+  const defineOptions = extractDefineOptions(jsTree, scriptContent, isPage);
 
   // Extract asyncData method
-  const asyncDataMethod = extractAsyncDataMethod(jsTree, parsed.script.content);
+  const asyncDataMethod = extractAsyncDataMethod(jsTree, scriptContent);
 
   // Extract lifecycle methods
   const lifecycleMethods = extractLifecycleMethods(
     jsTree,
-    parsed.script.content,
+    scriptContent,
   );
 
   // Extract watchers
-  const watchData = extractWatchers(jsTree, parsed.script.content);
+  const watchData = extractWatchers(jsTree, scriptContent);
 
   // Extract emits
-  const emitsData = extractEmits(jsTree, parsed.script.content);
+  const emitsData = extractEmits(jsTree, scriptContent);
 
   // Extract mixin information
-  const mixinData = extractMixinData(jsTree, parsed.script.content, options);
+  const mixinData = extractMixinData(jsTree, scriptContent, options);
 
   // Extract Vuex information
-  const vuexData = extractVuexData(jsTree, parsed.script.content, options);
+  const vuexData = extractVuexData(jsTree, scriptContent, options);
 
   // Detect direct $store usage (commit/dispatch)
-  const hasDirectStoreUsage = detectDirectStoreUsage(parsed.script.content);
+  const hasDirectStoreUsage = detectDirectStoreUsage(scriptContent);
 
   // Extract namespaces from direct store usage
   if (hasDirectStoreUsage) {
@@ -212,7 +570,7 @@ async function rewriteSFC(sfc, options = {}) {
       options.vuex = {};
     }
 
-    parsed.script.content
+    scriptContent
       .matchAll(/\$store\.(commit|dispatch)\(['"]([^'"]+)['"]/g)
       .forEach((match) => {
         const namespace = match[2].split("/")[0];
@@ -221,16 +579,13 @@ async function rewriteSFC(sfc, options = {}) {
           vuexData.usedStores.add(namespace);
         }
 
-        if (namespace && !options.vuex[namespace]) {
+        if (namespace) {
           // Create a default store configuration if it doesn't exist
-          options.vuex[namespace] = {
-            name: namespace,
-            importName: `use${namespace.charAt(0).toUpperCase() + namespace.slice(1)}Store`,
-          };
+          inferStoreConfig(namespace, options);
         }
       });
 
-    parsed.script.content
+    scriptContent
       .matchAll(/\$store\.state\.([^\.]+)/g)
       .forEach((match) => {
         const namespace = match[1];
@@ -239,12 +594,9 @@ async function rewriteSFC(sfc, options = {}) {
           vuexData.usedStores.add(namespace);
         }
 
-        if (namespace && !options.vuex[namespace]) {
+        if (namespace) {
           // Create a default store configuration if it doesn't exist
-          options.vuex[namespace] = {
-            name: namespace,
-            importName: `use${namespace.charAt(0).toUpperCase() + namespace.slice(1)}Store`,
-          };
+          inferStoreConfig(namespace, options);
         }
       });
   }
@@ -252,18 +604,36 @@ async function rewriteSFC(sfc, options = {}) {
   // Extract import rewrite information
   const importRewriteData = extractImportRewriteData(
     jsTree,
-    parsed.script.content,
+    scriptContent,
     options,
   );
 
   // Extract top-level code (imports, constants, etc.)
-  const topLevelCode = extractTopLevelCode(jsTree, parsed.script.content);
+  const topLevelCode = extractTopLevelCode(jsTree, scriptContent);
+
+  // Name the generated bindings around the symbols of the component
+  resolveBindingNames(
+    new Set([
+      ...Object.keys(dataProperties),
+      ...Object.keys(regularMethods),
+      ...Object.keys(computedData),
+      ...getPropNames(propsData),
+      ...(asyncDataMethod?.returnProperties || []),
+      ...vuexData.computedProps.flatMap((data) => Object.keys(data.mappings)),
+      ...vuexData.methodProps.flatMap((data) => Object.keys(data.mappings)),
+      ...mixinData.usedMixins.flatMap((mixin) => mixin.config?.imports || []),
+      ...getTopLevelNames(jsTree.rootNode),
+      // The fetch hook would shadow the global fetch() it calls
+      ...(callsGlobal(jsTree.rootNode, "fetch") ? ["fetch"] : []),
+    ]),
+    options,
+  );
 
   // Extract nuxtI18n information
-  const nuxtI18nData = extractNuxtI18nData(jsTree, parsed.script.content);
+  const nuxtI18nData = extractNuxtI18nData(jsTree, scriptContent);
 
   // Detect $axios usage in all methods (excluding asyncData)
-  let scriptContentWithoutAsync = parsed.script.content;
+  let scriptContentWithoutAsync = scriptContent;
   if (asyncDataMethod) {
     // Remove asyncData method content from axios detection
     scriptContentWithoutAsync = scriptContentWithoutAsync.replace(
@@ -274,28 +644,35 @@ async function rewriteSFC(sfc, options = {}) {
   const hasAxios = detectAxiosUsage(scriptContentWithoutAsync);
 
   // Detect filters usage
-  const hasFilters = detectFiltersUsage(parsed.script.content);
+  const hasFilters =
+    detectFiltersUsage(scriptContent) || templateFilters.size > 0;
 
   // Detect Nuxt event bus usage
-  const hasEventBus = detectEventBusUsage(parsed.script.content);
+  const hasEventBus = detectEventBusUsage(scriptContent);
 
   // Detect Nuxt compatibility functions usage
-  const hasNuxtCompat = detectNuxtCompatUsage(parsed.script.content);
+  const hasNuxtCompat = detectNuxtCompatUsage(scriptContent);
 
   // Detect $refs usage
   const refsData = extractRefsUsage(
-    parsed.script.content,
-    parsed.template?.content || "",
+    scriptContent,
+    templateContent,
   );
 
   // Detect $config usage
-  const hasConfig = detectConfigUsage(parsed.script.content);
+  const hasConfig = detectConfigUsage(scriptContent);
 
   // Detect nextTick usage
-  const hasNextTick = detectNextTickUsage(parsed.script.content);
+  const hasNextTick = detectNextTickUsage(scriptContent);
+
+  // Detect $slots/$scopedSlots usage
+  const hasSlots = detectSlotsUsage(scriptContent);
+
+  // Detect $attrs/$listeners usage
+  const hasAttrs = detectAttrsUsage(scriptContent);
 
   // Detect $route/$router usage
-  const routerData = detectRouterUsage(parsed.script.content);
+  const routerData = detectRouterUsage(scriptContent);
 
   // Extract i18n usage from methods
   Object.values(regularMethods).forEach((methodData) => {
@@ -314,7 +691,7 @@ async function rewriteSFC(sfc, options = {}) {
   });
 
   // Extract i18n usage from entire script content for lifecycle methods
-  extractI18nUsage(parsed.script.content, i18nMethods);
+  extractI18nUsage(scriptContent, i18nMethods);
 
   // Transform to composition API
   const scriptSetupContent = transformToCompositionAPI(
@@ -345,51 +722,42 @@ async function rewriteSFC(sfc, options = {}) {
     hasDirectStoreUsage,
     options,
     topLevelCode,
+    templateFilters,
+    hasSlots,
+    pageMeta,
+    hasAttrs,
+    defineOptions,
+    modelOption,
   );
 
-  // Rebuild the SFC
-  let result = "";
-
-  if (parsed.template) {
-    result += `<template>${output}</template>\n`;
-  }
-
-  if (scriptSetupContent.trim()) {
-    result += `<script setup>\n${scriptSetupContent}\n</script>`;
-  } else {
-    result += `<script setup></script>`;
-  }
-
-  // Add nuxtI18n script tag if needed
-  if (nuxtI18nData && nuxtI18nData.paths) {
-    result += `\n<script>\nexport const i18n = ${nuxtI18nData.paths};\n</script>`;
-  }
-
-  if (parsed.styles && parsed.styles.length > 0) {
-    parsed.styles.forEach((style) => {
-      result += `\n<style${style.scoped ? " scoped" : ""}${
-        style.lang ? ` lang="${style.lang}"` : ""
-      }>${style.content}</style>`;
-    });
-  }
-
-  // Format the result with Prettier
-  try {
-    const formattedResult = await prettier.format(result, {
-      parser: "vue",
-      singleQuote: true,
-      semi: true,
-      tabWidth: 2,
-      printWidth: 80,
-      htmlWhitespaceSensitivity: "ignore",
-    });
-    return formattedResult;
-  } catch (error) {
-    // If formatting fails, return the unformatted result
-    console.warn("Prettier formatting failed:", error.message);
-    return result;
-  }
+  return {
+    scriptSetupContent,
+    nuxtI18nData,
+    dataProperties,
+    regularMethods,
+    fetchMethod,
+    propsData,
+    computedData,
+    asyncDataMethod,
+    emitsData,
+    vuexData,
+    topLevelCode,
+    pageMeta,
+    watchData,
+    lifecycleMethods,
+  };
 }
 
-// ...existing code...
-export { rewriteSFC };
+export {
+  rewriteSFC,
+  migrateSFC,
+  rewriteMixin,
+  getMixinExports,
+  getMixinParameters,
+  getMixinDeclarations,
+  getMixinConfig,
+  rewriteStoreModule,
+  getStoreConfig,
+  scaffoldComposables,
+  checkSFC,
+};
@@ -122,7 +122,7 @@ function parseMapFunction(mapFunction, args, content, vuexData, options, type) {
                 if (typeof storePath === "string" && storePath.includes("/")) {
                   getterName = storePath.split("/")[1];
                 }
-                functionUsage[localName] = getterName.startsWith("get");
+                functionUsage[localName] = isFunctionGetter(getterName);
               });
             }
 
@@ -150,18 +150,7 @@ function parseMapFunction(mapFunction, args, content, vuexData, options, type) {
               if (typeof value === "string" && value.includes("/")) {
                 const embeddedNamespace = value.split("/")[0];
                 vuexData.usedStores.add(embeddedNamespace);
-                if (!options.vuex) {
-                  options.vuex = {};
-                }
-                if (!options.vuex[embeddedNamespace]) {
-                  const capitalizedName =
-                    embeddedNamespace.charAt(0).toUpperCase() +
-                    embeddedNamespace.slice(1);
-                  options.vuex[embeddedNamespace] = {
-                    name: embeddedNamespace,
-                    importName: `use${capitalizedName}Store`,
-                  };
-                }
+                inferStoreConfig(embeddedNamespace, options);
               }
             });
           }
@@ -187,7 +176,7 @@ function parseMapFunction(mapFunction, args, content, vuexData, options, type) {
 
       // Use naming convention: getters starting with 'get' should be called as functions
       // This is a reliable approach that works well with Vuex/Pinia conventions
-      functionUsage[localName] = getterName.startsWith("get");
+      functionUsage[localName] = isFunctionGetter(getterName);
     });
   }
 
@@ -220,22 +209,33 @@ function parseMapFunction(mapFunction, args, content, vuexData, options, type) {
       vuexData.usedStores.add(embeddedNamespace);
 
       // Create default store configuration if not provided
-      if (!options.vuex) {
-        options.vuex = {};
-      }
-      if (!options.vuex[embeddedNamespace]) {
-        const capitalizedName =
-          embeddedNamespace.charAt(0).toUpperCase() +
-          embeddedNamespace.slice(1);
-        options.vuex[embeddedNamespace] = {
-          name: embeddedNamespace,
-          importName: `use${capitalizedName}Store`,
-        };
-      }
+      inferStoreConfig(embeddedNamespace, options);
     }
   });
 }
 
+// Adds a default configuration for a store used without one. options is the
+// copy of the configuration made for the file being transformed, the caller
+// reports the added stores as inferred configuration.
+function inferStoreConfig(namespace, options) {
+  if (!options.vuex) {
+    options.vuex = {};
+  }
+  if (!options.vuex[namespace]) {
+    const capitalizedName =
+      namespace.charAt(0).toUpperCase() + namespace.slice(1);
+    options.vuex[namespace] = {
+      name: namespace,
+      importName: `use${capitalizedName}Store`,
+    };
+  }
+}
+
+function isFunctionGetter(getterName) {
+  // Getters starting with 'get' are called as functions on the Pinia store
+  return getterName.startsWith("get");
+}
+
 function parseObjectMappings(objectNode, content) {
   const mappings = {};
 
@@ -278,10 +278,107 @@ function parseArrayMappings(arrayNode, content, mapFunction) {
   return mappings;
 }
 
+// Characters after which a '/' is a division rather than the start of a regex
+const validDivisionCharRE = /[\w).+\-_$\]]/;
+
+// A filter is an identifier, optionally called with extra arguments
+const filterSegmentRE = /^([a-zA-Z_$][a-zA-Z0-9_$]*)\s*(?:\(([\s\S]*)\))?$/;
+
+function parseFilters(exp) {
+  // Splits a Vue 2 template expression on its filter pipes, following the
+  // rules of the Vue 2 filter parser: pipes inside strings, template literals,
+  // regular expressions and brackets, as well as '||', are not filters
+  let inSingle = false;
+  let inDouble = false;
+  let inTemplateString = false;
+  let inRegex = false;
+  let curly = 0;
+  let square = 0;
+  let paren = 0;
+  let lastFilterIndex = 0;
+  let expression = null;
+  const segments = [];
+  let prev;
+  let c;
+  let i;
+
+  for (i = 0; i < exp.length; i++) {
+    prev = c;
+    c = exp.charAt(i);
+
+    if (inSingle) {
+      if (c === "'" && prev !== "\\") inSingle = false;
+    } else if (inDouble) {
+      if (c === '"' && prev !== "\\") inDouble = false;
+    } else if (inTemplateString) {
+      if (c === "`" && prev !== "\\") inTemplateString = false;
+    } else if (inRegex) {
+      if (c === "/" && prev !== "\\") inRegex = false;
+    } else if (
+      c === "|" &&
+      exp.charAt(i + 1) !== "|" &&
+      exp.charAt(i - 1) !== "|" &&
+      !curly &&
+      !square &&
+      !paren
+    ) {
+      if (expression === null) {
+        expression = exp.slice(0, i).trim();
+      } else {
+        segments.push(exp.slice(lastFilterIndex, i).trim());
+      }
+      lastFilterIndex = i + 1;
+    } else {
+      if (c === '"') inDouble = true;
+      else if (c === "'") inSingle = true;
+      else if (c === "`") inTemplateString = true;
+      else if (c === "(") paren++;
+      else if (c === ")") paren--;
+      else if (c === "[") square++;
+      else if (c === "]") square--;
+      else if (c === "{") curly++;
+      else if (c === "}") curly--;
+
+      if (c === "/") {
+        // Find the previous non-space character to tell regex from division
+        let j = i - 1;
+        let p;
+        for (; j >= 0; j--) {
+          p = exp.charAt(j);
+          if (p !== " ") break;
+        }
+        if (!p || !validDivisionCharRE.test(p)) {
+          inRegex = true;
+        }
+      }
+    }
+  }
+
+  if (expression === null) {
+    return { expression: exp.trim(), filters: [] };
+  }
+  segments.push(exp.slice(lastFilterIndex).trim());
+
+  const filters = [];
+  for (const segment of segments) {
+    const match = segment.match(filterSegmentRE);
+    if (!match) {
+      // Not a filter (e.g. `flags | 0x1`), so the pipe is a bitwise or
+      return { expression: exp.trim(), filters: [] };
+    }
+    filters.push({ name: match[1], args: match[2]?.trim() || "" });
+  }
+
+  return { expression, filters };
+}
+
 export {
   parseComputedProperties,
   parseMethodProperties,
   parseMapFunction,
+  inferStoreConfig,
+  isFunctionGetter,
+  parseFilters,
   parseObjectMappings,
   parseArrayMappings,
 };
@@ -0,0 +1,87 @@
+import { Worker } from "worker_threads";
+
+// This function starts size workers running workerFile with workerData, and
+// returns { run, close }. run(message) posts the message to the first idle
+// worker and resolves with its reply. Tasks of a worker that crashed or
+// exited resolve with { error } and the worker is replaced, so run never
+// rejects.
+function createWorkerPool(workerFile, size, workerData = null) {
+  const queue = [];
+  const idle = [];
+  const workers = new Set();
+  let closed = false;
+
+  const dispatch = () => {
+    while (idle.length > 0 && queue.length > 0) {
+      const worker = idle.shift();
+      worker.task = queue.shift();
+      worker.postMessage(worker.task.message);
+    }
+  };
+
+  const finish = (worker, result) => {
+    const task = worker.task;
+    worker.task = null;
+    task?.resolve(result);
+  };
+
+  const startWorker = () => {
+    const worker = new Worker(workerFile, { workerData });
+    workers.add(worker);
+
+    worker.on("message", (result) => {
+      worker.ready = true;
+      finish(worker, result);
+      idle.push(worker);
+      dispatch();
+    });
+
+    // A crashed worker emits exit after error, it is only stopped once
+    const stop = (message) => {
+      if (!workers.delete(worker)) return;
+      if (idle.includes(worker)) {
+        idle.splice(idle.indexOf(worker), 1);
+      }
+
+      finish(worker, { error: message });
+
+      // A worker failing before its first reply, e.g. while loading, would
+      // fail again, so only workers that stopped on a task are replaced
+      if (worker.ready && !closed) {
+        startWorker();
+      } else if (workers.size === 0) {
+        queue.splice(0).forEach((task) => task.resolve({ error: message }));
+      }
+    };
+
+    worker.on("error", (error) => stop(error.message));
+    worker.on("exit", (code) => stop(`Worker exited with code ${code}`));
+
+    idle.push(worker);
+    dispatch();
+  };
+
+  for (let i = 0; i < size; i++) {
+    startWorker();
+  }
+
+  const run = (message) =>
+    new Promise((resolve) => {
+      if (workers.size === 0) {
+        resolve({ error: "No worker is running" });
+        return;
+      }
+      queue.push({ message, resolve });
+      dispatch();
+    });
+
+  const close = async () => {
+    closed = true;
+    await Promise.all([...workers].map((worker) => worker.terminate()));
+    workers.clear();
+  };
+
+  return { run, close };
+}
+
+export { createWorkerPool };
@@ -0,0 +1,341 @@
+import prettier from "prettier";
+import { dirname, relative } from "path";
+import { getComposableConfig } from "./transformers.js";
+import { getJavaScriptParser } from "./treesitter.js";
+
+// Reference implementations of the helper composables the generated code
+// imports. Each template receives the resolved composables configuration so
+// they can import each other from the configured paths.
+const COMPOSABLE_TEMPLATES = {
+  useHttp: ({ useHttp }) => `
+import axios from 'axios';
+
+const http = axios.create({
+  baseURL: import.meta.env.VITE_API_URL,
+});
+
+// @nuxtjs/axios shortcuts resolving to the response data, e.g. $get
+['request', 'delete', 'get', 'head', 'options', 'post', 'put', 'patch'].forEach(
+  (method) => {
+    http[\`$\${method}\`] = (...args) =>
+      http[method](...args).then((response) => response.data);
+  },
+);
+
+export function ${useHttp.importName}() {
+  return http;
+}
+`,
+
+  useEventBus: ({ useEventBus }) => `
+import mitt from 'mitt';
+
+// Replaces the $nuxt.$on / $nuxt.$off / $nuxt.$emit event bus
+const emitter = mitt();
+
+export function ${useEventBus.importName}() {
+  return emitter;
+}
+`,
+
+  useNuxtCompat: ({ useNuxtCompat }) => `
+import { useRouter } from 'vue-router';
+
+export function ${useNuxtCompat.importName}() {
+  const router = useRouter();
+
+  // $nuxt.refresh() re-ran asyncData and fetch, reload the current page instead
+  const refresh = () => router.go(0);
+
+  // Accepts the Nuxt 2 redirect([status,] path[, query]) signature
+  const redirect = (...args) => {
+    if (typeof args[0] === 'number') {
+      args.shift();
+    }
+    const [path, query] = args;
+
+    if (typeof path === 'string' && /^[a-z]+:\\/\\//i.test(path)) {
+      window.location.assign(path);
+      return;
+    }
+
+    return router.push(typeof path === 'string' ? { path, query } : path);
+  };
+
+  return { refresh, redirect };
+}
+`,
+
+  useI18nUtils: ({ useI18nUtils }) => `
+import { reactive, computed } from 'vue';
+import { useI18n } from 'vue-i18n';
+import { useRouter } from 'vue-router';
+
+// Mirrors the nuxt-i18n helpers for the prefix_except_default strategy
+export function ${useI18nUtils.importName}() {
+  const { locale, fallbackLocale } = useI18n();
+  const router = useRouter();
+
+  const localePath = (route, targetLocale = locale.value) => {
+    const path =
+      typeof route === 'string' ? route : router.resolve(route).fullPath;
+    if (targetLocale === fallbackLocale.value) {
+      return path;
+    }
+    return \`/\${targetLocale}\${path === '/' ? '' : path}\`;
+  };
+
+  const localeRoute = (route, targetLocale = locale.value) =>
+    router.resolve(localePath(route, targetLocale));
+
+  const localeProperties = reactive({
+    code: computed(() => locale.value),
+  });
+
+  return { localePath, localeRoute, localeProperties };
+}
+`,
+
+  useAsyncData: ({ useAsyncData, useHttp, useNuxtCompat }) => `
+import { useRoute } from 'vue-router';
+import { ${useHttp.importName} } from '${useHttp.path}';
+import { ${useNuxtCompat.importName} } from '${useNuxtCompat.path}';
+
+// Runs a Nuxt 2 asyncData handler with the parts of the context that have a
+// Vue 3 equivalent. Components awaiting it need a <Suspense> boundary.
+export async function ${useAsyncData.importName}(handler) {
+  const route = useRoute();
+  const { redirect } = ${useNuxtCompat.importName}();
+
+  const context = {
+    route,
+    params: route.params,
+    query: route.query,
+    redirect,
+    error: (error) => {
+      throw error;
+    },
+    $axios: ${useHttp.importName}(),
+  };
+
+  return (await handler(context)) || {};
+}
+`,
+
+  useRuntimeConfig: ({ useRuntimeConfig }) => `
+// Nuxt 2 runtime config values, read from VITE_ prefixed environment variables:
+// VITE_API_URL becomes apiUrl
+const config = Object.fromEntries(
+  Object.entries(import.meta.env)
+    .filter(([key]) => key.startsWith('VITE_'))
+    .map(([key, value]) => [
+      key
+        .slice('VITE_'.length)
+        .toLowerCase()
+        .replace(/_([a-z0-9])/g, (match, char) => char.toUpperCase()),
+      value,
+    ]),
+);
+
+export function ${useRuntimeConfig.importName}() {
+  return config;
+}
+`,
+};
+
+// Helpers Nuxt 3 provides itself
+const NUXT3_BUILT_INS = ["useAsyncData", "useNuxtCompat", "useRuntimeConfig"];
+
+// This function returns the helper composables to write for a project, as
+// { helper, path, content } with the path being the configured import path.
+// filterSources are the project files registering filters with Vue.filter,
+// as { file, content }, and resolvePath maps an import path to the file it is
+// written to, used to keep relative imports of the filter files working.
+async function scaffoldComposables(
+  options = {},
+  filterSources = [],
+  resolvePath = null,
+) {
+  const composables = Object.fromEntries(
+    [...Object.keys(COMPOSABLE_TEMPLATES), "useFilters"].map((helper) => [
+      helper,
+      getComposableConfig(helper, options),
+    ]),
+  );
+
+  const helpers = Object.keys(composables).filter(
+    (helper) =>
+      options?.target !== "nuxt3" || !NUXT3_BUILT_INS.includes(helper),
+  );
+
+  const files = [];
+  for (const helper of helpers) {
+    const content =
+      helper === "useFilters"
+        ? renderFilters(
+            composables.useFilters,
+            filterSources,
+            resolvePath?.(composables.useFilters.path),
+          )
+        : COMPOSABLE_TEMPLATES[helper](composables);
+
+    files.push({
+      helper,
+      path: composables[helper].path,
+      content: await formatModule(content),
+    });
+  }
+
+  return files;
+}
+
+function extractFilterRegistrations(tree, content) {
+  const filters = [];
+  const topLevelCode = [];
+
+  // Vue.filter('name', definition) anywhere in the file
+  function traverse(node) {
+    if (node.type === "call_expression") {
+      const calleeNode = node.namedChildren[0];
+      const args = node.namedChildren[1]?.namedChildren || [];
+
+      if (
+        calleeNode?.type === "member_expression" &&
+        calleeNode.namedChildren[0]?.text === "Vue" &&
+        calleeNode.namedChildren[1]?.text === "filter" &&
+        args.length === 2 &&
+        args[0].type === "string"
+      ) {
+        filters.push({
+          name: args[0].text.replace(/['"]/g, ""),
+          definition: content.slice(args[1].startIndex, args[1].endIndex),
+          isReference: args[1].type === "identifier",
+        });
+        return;
+      }
+    }
+
+    node.namedChildren.forEach((child) => traverse(child));
+  }
+
+  traverse(tree.rootNode);
+
+  // Keep the imports and declarations the filters may depend on
+  tree.rootNode.namedChildren.forEach((node) => {
+    const code = content.slice(node.startIndex, node.endIndex);
+
+    if (node.type === "import_statement") {
+      const sourceNode = node.namedChildren.find(
+        (child) => child.type === "string",
+      );
+      if (sourceNode?.text.replace(/['"]/g, "") !== "vue") {
+        topLevelCode.push({ code, source: sourceNode });
+      }
+    } else if (
+      [
+        "function_declaration",
+        "lexical_declaration",
+        "variable_declaration",
+        "class_declaration",
+      ].includes(node.type)
+    ) {
+      topLevelCode.push({ code });
+    }
+  });
+
+  return { filters, topLevelCode };
+}
+
+function renderFilters(config, filterSources, outputFile) {
+  const parser = getJavaScriptParser();
+
+  const imports = [];
+  const topLevelCode = [];
+  const declarations = [];
+  const members = [];
+
+  filterSources.forEach(({ file, content }) => {
+    const tree = parser.parse(content);
+    const registrations = extractFilterRegistrations(tree, content);
+    if (registrations.filters.length === 0) {
+      return;
+    }
+
+    registrations.topLevelCode.forEach(({ code, source }) => {
+      if (source) {
+        imports.push(rewriteRelativeImport(code, source, file, outputFile));
+      } else {
+        topLevelCode.push(code);
+      }
+    });
+
+    registrations.filters.forEach(({ name, definition, isReference }) => {
+      // Template filters are called as functions, so they need valid names
+      if (!/^[a-zA-Z_$][a-zA-Z0-9_$]*$/.test(name)) {
+        declarations.push(
+          `// FIXME: filter '${name}' is not a valid function name\n// ${definition.split("\n").join("\n// ")}`,
+        );
+      } else if (isReference) {
+        members.push(definition === name ? name : `${name}: ${definition}`);
+      } else {
+        declarations.push(`const ${name} = ${definition};`);
+        members.push(name);
+      }
+    });
+  });
+
+  if (members.length === 0 && declarations.length === 0) {
+    return `
+// No Vue.filter registrations were found, add the filters used in templates here
+export function ${config.importName}() {
+  return {};
+}
+`;
+  }
+
+  return `${imports.join("\n")}
+
+${[...topLevelCode, ...declarations].join("\n\n")}
+
+export function ${config.importName}() {
+  return { ${members.join(", ")} };
+}
+`;
+}
+
+function rewriteRelativeImport(code, sourceNode, file, outputFile) {
+  const specifier = sourceNode?.text.replace(/['"]/g, "");
+  if (!specifier?.startsWith(".") || !file || !outputFile) {
+    return code;
+  }
+
+  // './format' next to plugins/filters.js, seen from the composables directory
+  let rewritten = relative(
+    dirname(outputFile),
+    `${dirname(file)}/${specifier}`,
+  ).replaceAll("\\", "/");
+  if (!rewritten.startsWith(".")) {
+    rewritten = `./${rewritten}`;
+  }
+
+  return code.replace(sourceNode.text, `'${rewritten}'`);
+}
+
+async function formatModule(content) {
+  // Format the result with Prettier
+  try {
+    return await prettier.format(content, {
+      parser: "babel",
+      singleQuote: true,
+      semi: true,
+      tabWidth: 2,
+      printWidth: 80,
+    });
+  } catch (error) {
+    // If formatting fails, return the unformatted result
+    console.warn("Prettier formatting failed:", error.message);
+    return content.trim() + "\n";
+  }
+}
+
+export { scaffoldComposables, extractFilterRegistrations };
@@ -0,0 +1,252 @@
+import { getScriptParser, getPatternNames } from "./treesitter.js";
+import { fixme } from "./diagnostics.js";
+
+// Nodes delaying the evaluation of their body until they are called
+const FUNCTION_NODES = [
+  "arrow_function",
+  "function",
+  "function_expression",
+  "function_declaration",
+  "generator_function",
+  "generator_function_declaration",
+  "method_definition",
+];
+
+// Functions whose callbacks run after setup, the callbacks of any other call
+// are assumed to run right away
+const LAZY_CALLBACKS =
+  /^(computed|nextTick|setTimeout|setInterval|on[A-Z]\w*)$/;
+
+function isLazyCallback(node) {
+  const call = node.parent?.type === "arguments" ? node.parent.parent : null;
+  const callee = call?.childForFieldName("function");
+  return (
+    !call || (callee?.type === "identifier" && LAZY_CALLBACKS.test(callee.text))
+  );
+}
+
+// Returns the names declared by the parameters and in the body of a function,
+// not counting its nested functions
+function getLocalNames(functionNode) {
+  const localNames = getPatternNames(
+    functionNode.childForFieldName("parameters") ||
+      functionNode.childForFieldName("parameter"),
+  );
+
+  function walk(node) {
+    if (node.type === "variable_declarator") {
+      localNames.push(...getPatternNames(node.childForFieldName("name")));
+    } else if (node.type === "function_declaration") {
+      localNames.push(node.childForFieldName("name").text);
+    }
+    if (!FUNCTION_NODES.includes(node.type)) {
+      node.namedChildren.forEach(walk);
+    }
+  }
+
+  functionNode.childForFieldName("body")?.namedChildren.forEach(walk);
+  return localNames;
+}
+
+// Returns the names of the top-level declarations node reads when it is
+// evaluated, skipping the bodies of functions it doesn't call and the names
+// their parameters and variables shadow
+function getReferences(node, names, shadowed = new Set()) {
+  const references = new Set();
+
+  function walk(current, currentShadowed) {
+    if (
+      ["identifier", "shorthand_property_identifier"].includes(current.type) &&
+      names.has(current.text) &&
+      !currentShadowed.has(current.text)
+    ) {
+      references.add(current.text);
+    }
+
+    // Only the initial value of a declaration is evaluated
+    if (current.type === "variable_declarator") {
+      const value = current.childForFieldName("value");
+      if (value) {
+        walk(value, currentShadowed);
+      }
+      return;
+    }
+
+    let childShadowed = currentShadowed;
+    if (FUNCTION_NODES.includes(current.type)) {
+      if (current.startIndex !== node.startIndex && isLazyCallback(current)) {
+        return;
+      }
+      childShadowed = new Set([...currentShadowed, ...getLocalNames(current)]);
+    }
+    current.namedChildren.forEach((child) => walk(child, childShadowed));
+  }
+
+  walk(node, shadowed);
+  return references;
+}
+
+// Returns the node evaluated when the declared value is called, or read for
+// computed properties, or null for plain values
+function getDeferredBody(value) {
+  if (FUNCTION_NODES.includes(value?.type)) {
+    return value;
+  }
+  const callee =
+    value?.type === "call_expression"
+      ? value.childForFieldName("function")
+      : null;
+  if (callee?.text !== "computed") {
+    return null;
+  }
+  const getter = value.childForFieldName("arguments")?.namedChildren[0];
+  if (getter?.type === "object") {
+    return (
+      getter.namedChildren.find(
+        (member) => member.childForFieldName("name")?.text === "get",
+      ) || getter
+    );
+  }
+  return getter || null;
+}
+
+// Splits the top-level code into statements, along with the comments above
+// them, and records the declarations of each
+function getStatements(rootNode) {
+  const statements = [];
+  let comments = [];
+
+  for (const node of rootNode.namedChildren) {
+    if (node.type === "comment") {
+      comments.push(node);
+      continue;
+    }
+
+    const statement = {
+      node,
+      start: (comments[0] || node).startIndex,
+      end: node.endIndex,
+      declared: [],
+      bodies: new Map(),
+    };
+    comments = [];
+
+    if (["lexical_declaration", "variable_declaration"].includes(node.type)) {
+      node.namedChildren
+        .filter((child) => child.type === "variable_declarator")
+        .forEach((declarator) => {
+          const names = getPatternNames(declarator.childForFieldName("name"));
+          statement.declared.push(...names);
+          const body = getDeferredBody(declarator.childForFieldName("value"));
+          if (body && names.length === 1) {
+            statement.bodies.set(names[0], body);
+          }
+        });
+    } else if (node.type === "function_declaration") {
+      // Function declarations are hoisted, only calling them matters
+      statement.bodies.set(node.childForFieldName("name").text, node);
+    }
+
+    statements.push(statement);
+  }
+
+  return statements;
+}
+
+// This function reorders the top-level statements of the generated setup code
+// so that every declaration is initialized before setup reads it, directly or
+// through the methods and computed properties it calls. Statements only move
+// when a declaration would otherwise be read in its temporal dead zone, and
+// circular dependencies no order can resolve are marked with a FIXME comment.
+function orderSetupStatements(code, options = null) {
+  const tree = getScriptParser().parse(code);
+  const statements = getStatements(tree.rootNode);
+
+  const declaredIn = new Map();
+  const bodies = new Map();
+  statements.forEach((statement, index) => {
+    statement.declared.forEach((name) => declaredIn.set(name, index));
+    statement.bodies.forEach((body, name) => bodies.set(name, body));
+  });
+  const names = new Set([...declaredIn.keys(), ...bodies.keys()]);
+
+  // The declarations a statement needs, following the calls to methods and
+  // the reads of computed properties
+  const needs = statements.map((statement) => {
+    const needed = new Set();
+    const pending =
+      statement.node.type === "function_declaration"
+        ? []
+        : [...getReferences(statement.node, names)].filter(
+            (name) => !statement.bodies.has(name),
+          );
+    while (pending.length > 0) {
+      const name = pending.shift();
+      if (needed.has(name)) {
+        continue;
+      }
+      needed.add(name);
+      if (bodies.has(name)) {
+        pending.push(...getReferences(bodies.get(name), names));
+      }
+    }
+    return [...needed]
+      .filter((name) => declaredIn.has(name))
+      .map((name) => ({ name, index: declaredIn.get(name) }));
+  });
+
+  const order = [];
+  const cycles = new Map();
+  const states = [];
+
+  function visit(index) {
+    if (states[index] === "done") {
+      return;
+    }
+    states[index] = "visiting";
+    needs[index]
+      .sort((a, b) => a.index - b.index)
+      .forEach(({ name, index: dependency }) => {
+        if (states[dependency] === "visiting") {
+          // Keep the order of the statements reading each other
+          if (!cycles.has(index)) {
+            cycles.set(index, name);
+          }
+          return;
+        }
+        visit(dependency);
+      });
+    states[index] = "done";
+    order.push(index);
+  }
+
+  statements.forEach((statement, index) => visit(index));
+
+  if (
+    cycles.size === 0 &&
+    order.every((index, position) => index === position)
+  ) {
+    return code;
+  }
+
+  // Statements move between the original separators
+  let result = code.slice(0, statements[0].start);
+  order.forEach((index, position) => {
+    const { start, end } = statements[index];
+    if (cycles.has(index)) {
+      result += `${fixme(
+        options,
+        "setup-order-cycle",
+        `'${cycles.get(index)}' is used before it is initialized`,
+      )}\n`;
+    }
+    result += code.slice(start, end);
+    result +=
+      position < statements.length - 1
+        ? code.slice(statements[position].end, statements[position + 1].start)
+        : code.slice(statements[position].end);
+  });
+  return result;
+}
+
+export { orderSetupStatements };
@@ -0,0 +1,683 @@
+import prettier from "prettier";
+import { isFunctionGetter } from "./parsers.js";
+import { getJavaScriptParser } from "./treesitter.js";
+
+const STORE_SECTIONS = ["state", "getters", "mutations", "actions", "namespaced"];
+// Functions with their own this, where this isn't the store
+const THIS_BINDING_TYPES = [
+  "function_expression",
+  "function",
+  "function_declaration",
+  "generator_function",
+  "generator_function_declaration",
+  "method_definition",
+];
+const CONTEXT_ROLES = [
+  "commit",
+  "dispatch",
+  "state",
+  "getters",
+  "rootState",
+  "rootGetters",
+];
+
+// This function takes a Nuxt 2 Vuex store module (store/<namespace>.js) and
+// rewrites it to a Pinia defineStore module, returning it as a string.
+// modules are the namespaces of the other modules of the store, the ones of
+// the vuex configuration are known as well
+async function rewriteStoreModule(
+  source,
+  namespace = "",
+  options = {},
+  modules = [],
+) {
+  const jsParser = getJavaScriptParser();
+  const tree = jsParser.parse(source);
+
+  const storeModule = extractStoreModule(tree, source);
+  const storeConfig = getStoreConfig(namespace, options);
+  const storeImports = new Map();
+
+  // Resolve a store namespace to the expression used to reach it
+  function resolveStore(targetNamespace) {
+    if (targetNamespace === namespace) {
+      return "this";
+    }
+
+    const config = getStoreConfig(targetNamespace, options);
+    storeImports.set(config.importName, config.name);
+    return `${config.importName}()`;
+  }
+
+  // Mutations and actions share the Pinia actions object, so a mutation with
+  // the same name as an action has to be renamed
+  const mutationNames = {};
+  const actionNames = new Set(
+    storeModule.actions.map((member) => member.name).filter(Boolean),
+  );
+  storeModule.mutations.forEach((member) => {
+    if (member.name && actionNames.has(member.name)) {
+      mutationNames[member.name] = `${member.name}Mutation`;
+    }
+  });
+
+  // Getters following the `get*` naming convention are called as functions on
+  // the component side, so plain value getters become actions instead
+  const callableGetters = new Set(
+    storeModule.getters
+      .filter(
+        (member) =>
+          member.name &&
+          isFunctionGetter(member.name) &&
+          !returnsFunction(member.node),
+      )
+      .map((member) => member.name),
+  );
+
+  const context = {
+    source,
+    namespace,
+    resolveStore,
+    mutationNames,
+    callableGetters,
+    namespaced: storeModule.namespaced,
+    modules: new Set([...modules, ...Object.keys(options?.vuex || {})]),
+    mutations: new Set(
+      storeModule.mutations.map((member) => member.name).filter(Boolean),
+    ),
+    actions: actionNames,
+  };
+
+  const getters = [];
+  const actions = [];
+
+  storeModule.getters.forEach((member) => {
+    if (callableGetters.has(member.name)) {
+      actions.push(rewriteStoreMember(member, "callableGetter", context));
+    } else {
+      getters.push(rewriteStoreMember(member, "getter", context));
+    }
+  });
+
+  storeModule.mutations.forEach((member) => {
+    const rewritten = rewriteStoreMember(member, "mutation", context);
+    if (member.name && mutationNames[member.name]) {
+      actions.push({
+        isComment: true,
+        text: `// FIXME: mutation '${member.name}' was renamed to '${mutationNames[member.name]}' to avoid clashing with the action of the same name`,
+      });
+    }
+    actions.push(rewritten);
+  });
+
+  storeModule.actions.forEach((member) => {
+    actions.push(rewriteStoreMember(member, "action", context));
+  });
+
+  // Build the defineStore options object
+  const sections = [];
+  sections.push(`state: ${renderState(storeModule.state, source)}`);
+  if (getters.length > 0) {
+    sections.push(`getters: {\n${renderEntries(getters)}\n}`);
+  }
+  if (actions.length > 0) {
+    sections.push(`actions: {\n${renderEntries(actions)}\n}`);
+  }
+
+  let result = "import { defineStore } from 'pinia';";
+  storeImports.forEach((name, importName) => {
+    result += `\nimport { ${importName} } from '${getStoreImportPath(name, options)}';`;
+  });
+
+  if (storeModule.topLevelCode.length > 0) {
+    result += `\n${storeModule.topLevelCode.join("\n\n")}`;
+  }
+
+  result += "\n\n";
+
+  if (!storeModule.namespaced) {
+    result += `// FIXME: this module was not namespaced, root level commit/dispatch calls to it must use ${storeConfig.importName}()\n`;
+  }
+
+  result += `export const ${storeConfig.importName} = defineStore('${storeConfig.name}', {\n${sections.join(",\n")}\n});\n`;
+
+  // Format the result with Prettier
+  try {
+    return await prettier.format(result, {
+      parser: "babel",
+      singleQuote: true,
+      semi: true,
+      tabWidth: 2,
+      printWidth: 80,
+    });
+  } catch (error) {
+    // If formatting fails, return the unformatted result
+    console.warn("Prettier formatting failed:", error.message);
+    return result;
+  }
+}
+
+function extractStoreModule(tree, content) {
+  const storeModule = {
+    state: null,
+    getters: [],
+    mutations: [],
+    actions: [],
+    namespaced: true,
+    topLevelCode: [],
+  };
+
+  const sectionNodes = {};
+  const declarations = {};
+  const topLevelNodes = [];
+
+  for (const child of tree.rootNode.namedChildren) {
+    if (child.type === "export_statement") {
+      const declaration = child.childForFieldName("declaration");
+      const value = child.childForFieldName("value");
+
+      if (declaration && declaration.type === "lexical_declaration") {
+        // export const state = () => ({ ... })
+        let isSection = false;
+        declaration.namedChildren.forEach((declarator) => {
+          const nameNode = declarator.childForFieldName("name");
+          const valueNode = declarator.childForFieldName("value");
+          if (nameNode && valueNode && STORE_SECTIONS.includes(nameNode.text)) {
+            sectionNodes[nameNode.text] = valueNode;
+            isSection = true;
+          }
+        });
+        if (!isSection) {
+          topLevelNodes.push(child);
+        }
+      } else if (value && value.type === "object") {
+        // export default { namespaced: true, state, getters: { ... } }
+        value.namedChildren.forEach((prop) => {
+          if (prop.type === "pair") {
+            const key = prop.childForFieldName("key").text.replace(/['"]/g, "");
+            if (STORE_SECTIONS.includes(key)) {
+              sectionNodes[key] = prop.childForFieldName("value");
+            }
+          } else if (prop.type === "method_definition") {
+            // state() { return { ... } }
+            if (prop.childForFieldName("name").text === "state") {
+              sectionNodes.state = prop;
+            }
+          } else if (prop.type === "shorthand_property_identifier") {
+            if (STORE_SECTIONS.includes(prop.text)) {
+              sectionNodes[prop.text] = prop;
+            }
+          }
+        });
+      } else {
+        topLevelNodes.push(child);
+      }
+    } else if (child.type === "lexical_declaration" || child.type === "variable_declaration") {
+      child.namedChildren.forEach((declarator) => {
+        const nameNode = declarator.childForFieldName("name");
+        if (nameNode) {
+          declarations[nameNode.text] = {
+            node: child,
+            value: declarator.childForFieldName("value"),
+          };
+        }
+      });
+      topLevelNodes.push(child);
+    } else {
+      topLevelNodes.push(child);
+    }
+  }
+
+  // Resolve shorthand references (export default { state }) to their declarations
+  const consumedDeclarations = new Set();
+  Object.entries(sectionNodes).forEach(([section, node]) => {
+    if (node.type === "shorthand_property_identifier" || node.type === "identifier") {
+      const declaration = declarations[node.text];
+      if (declaration && declaration.value) {
+        sectionNodes[section] = declaration.value;
+        consumedDeclarations.add(declaration.node);
+      }
+    }
+  });
+
+  storeModule.topLevelCode = topLevelNodes
+    .filter((node) => !consumedDeclarations.has(node))
+    .filter((node) => {
+      // Vuex itself is no longer needed
+      if (node.type !== "import_statement") return true;
+      const sourceNode = node.childForFieldName("source");
+      return !sourceNode || sourceNode.text.replace(/['"]/g, "") !== "vuex";
+    })
+    .map((node) => content.slice(node.startIndex, node.endIndex));
+
+  storeModule.state = sectionNodes.state || null;
+  storeModule.namespaced = sectionNodes.namespaced
+    ? sectionNodes.namespaced.text !== "false"
+    : true;
+
+  ["getters", "mutations", "actions"].forEach((section) => {
+    const node = sectionNodes[section];
+    if (node && node.type === "object") {
+      storeModule[section] = extractStoreMembers(node, content);
+    }
+  });
+
+  return storeModule;
+}
+
+function extractStoreMembers(objectNode, content) {
+  const members = [];
+
+  objectNode.namedChildren.forEach((prop) => {
+    if (prop.type === "pair") {
+      const keyNode = prop.childForFieldName("key");
+      const valueNode = prop.childForFieldName("value");
+      if (
+        valueNode &&
+        ["arrow_function", "function_expression", "function"].includes(
+          valueNode.type,
+        )
+      ) {
+        members.push({ ...getMemberKey(keyNode), node: valueNode });
+      } else {
+        members.push({ isComment: true, text: `${prop.text},` });
+      }
+    } else if (prop.type === "method_definition") {
+      members.push({
+        ...getMemberKey(prop.childForFieldName("name")),
+        node: prop,
+      });
+    } else if (prop.type === "comment") {
+      members.push({ isComment: true, text: prop.text });
+    } else {
+      // Spread elements and other unknown members are kept as-is
+      members.push({
+        isComment: true,
+        text: `${content.slice(prop.startIndex, prop.endIndex)},`,
+      });
+    }
+  });
+
+  return members;
+}
+
+function getMemberKey(keyNode) {
+  if (keyNode.type === "computed_property_name") {
+    // [SET_USER](state, user) { ... } keeps its computed key
+    return { name: null, key: keyNode.text };
+  }
+
+  const name = keyNode.text.replace(/['"]/g, "");
+  return {
+    name,
+    key: /^[a-zA-Z_$][a-zA-Z0-9_$]*$/.test(name) ? name : `'${name}'`,
+  };
+}
+
+function getFunctionParts(node) {
+  const paramsNode = node.childForFieldName("parameters");
+  const singleParam = node.childForFieldName("parameter");
+  const params = paramsNode
+    ? paramsNode.namedChildren.filter((child) => child.type !== "comment")
+    : singleParam
+      ? [singleParam]
+      : [];
+
+  return {
+    params,
+    body: node.childForFieldName("body"),
+    isAsync: node.children.some((child) => child.type === "async"),
+  };
+}
+
+function returnsFunction(node) {
+  const { body } = getFunctionParts(node);
+  if (!body) return false;
+
+  const functionTypes = ["arrow_function", "function_expression", "function"];
+  if (functionTypes.includes(body.type)) {
+    return true;
+  }
+
+  if (body.type === "statement_block") {
+    const returnStatement = body.namedChildren.find(
+      (child) => child.type === "return_statement",
+    );
+    const returnValue = returnStatement?.namedChildren[0];
+    return Boolean(returnValue && functionTypes.includes(returnValue.type));
+  }
+
+  return false;
+}
+
+function rewriteStoreMember(member, kind, context) {
+  if (member.isComment) {
+    return member;
+  }
+
+  const { source } = context;
+  const { params, body, isAsync } = getFunctionParts(member.node);
+  const paramName = (index) =>
+    params[index] && params[index].type === "identifier"
+      ? params[index].text
+      : null;
+
+  // References that can't be rewritten without changing their meaning are
+  // kept and marked with a FIXME
+  const problems = new Set();
+  let nestedFunctions = 0;
+
+  // Map the Vuex function parameters to the roles they play
+  const roles = {};
+  let contextName = null;
+  let emittedParams = [];
+
+  if (kind === "getter" || kind === "callableGetter") {
+    // (state, getters, rootState, rootGetters)
+    if (kind === "callableGetter") {
+      roles.state = paramName(0);
+    } else {
+      emittedParams = params.slice(0, 1);
+    }
+    roles.getters = paramName(1);
+    roles.rootState = paramName(2);
+    roles.rootGetters = paramName(3);
+  } else if (kind === "mutation") {
+    // (state, payload)
+    roles.state = paramName(0);
+    emittedParams = params.slice(1);
+  } else {
+    // ({ commit, dispatch, state, getters, rootState, rootGetters }, payload)
+    const contextParam = params[0];
+    if (contextParam && contextParam.type === "identifier") {
+      contextName = contextParam.text;
+    } else if (contextParam && contextParam.type === "object_pattern") {
+      contextParam.namedChildren.forEach((prop) => {
+        if (prop.type === "shorthand_property_identifier_pattern") {
+          roles[prop.text] = prop.text;
+        } else if (prop.type === "pair_pattern") {
+          const key = prop.childForFieldName("key");
+          const value = prop.childForFieldName("value");
+          if (key && value && value.type === "identifier") {
+            roles[key.text] = value.text;
+          }
+        }
+      });
+    }
+    emittedParams = params.slice(1);
+  }
+
+  function roleOf(node) {
+    if (node.type === "identifier") {
+      return (
+        CONTEXT_ROLES.find((role) => roles[role] && roles[role] === node.text) ||
+        null
+      );
+    }
+
+    if (node.type === "member_expression" && contextName) {
+      const objectNode = node.childForFieldName("object");
+      const propertyNode = node.childForFieldName("property");
+      if (
+        objectNode.type === "identifier" &&
+        objectNode.text === contextName &&
+        CONTEXT_ROLES.includes(propertyNode.text)
+      ) {
+        return propertyNode.text;
+      }
+    }
+
+    return null;
+  }
+
+  function isCallee(node) {
+    return (
+      node.parent &&
+      node.parent.type === "call_expression" &&
+      node.parent.childForFieldName("function") === node
+    );
+  }
+
+  function memberAccess(target, name) {
+    return /^[a-zA-Z_$][a-zA-Z0-9_$]*$/.test(name)
+      ? `${target}.${name}`
+      : `${target}['${name}']`;
+  }
+
+  // Resolve a local getter reference, calling getters that became actions
+  function localGetter(name, node) {
+    const access = memberAccess("this", name);
+    return context.callableGetters.has(name) && !isCallee(node)
+      ? `${access}()`
+      : access;
+  }
+
+  // Resolve a 'namespace/getter' path from rootGetters
+  function rootGetter(path, node) {
+    const index = path.lastIndexOf("/");
+    const targetNamespace = index === -1 ? "" : path.slice(0, index);
+    const name = path.slice(index + 1);
+    if (targetNamespace === context.namespace) {
+      return localGetter(name, node);
+    }
+
+    // The other store turned a get* getter into an action unless it returns a
+    // function, which can't be known from here
+    const access = memberAccess(context.resolveStore(targetNamespace), name);
+    if (isFunctionGetter(name) && !isCallee(node)) {
+      problems.add(
+        `${access} is an action when the '${path}' getter doesn't return a function, call it then`,
+      );
+    }
+    return access;
+  }
+
+  // rootState.cart is the store of the cart module, and the state of the root
+  // module when there is no such module
+  function rootState(name) {
+    return context.modules.has(name) || name === context.namespace
+      ? context.resolveStore(name)
+      : memberAccess(context.resolveStore(""), name);
+  }
+
+  function rewriteCommitDispatch(node, role) {
+    const args = node
+      .childForFieldName("arguments")
+      .namedChildren.filter((child) => child.type !== "comment");
+    const [typeNode, payloadNode, optionsNode] = args;
+    const payload = payloadNode ? render(payloadNode) : "";
+
+    if (!typeNode || typeNode.type !== "string") {
+      // commit(SET_USER, user) with a constant type
+      return `this[${typeNode ? render(typeNode) : "undefined"}](${payload})`;
+    }
+
+    const isRoot = Boolean(
+      optionsNode && /root\s*:\s*true/.test(optionsNode.text),
+    );
+    const type = typeNode.text.replace(/['"`]/g, "");
+    // The mutations and actions of a module without a namespace are
+    // registered globally, but they are still the ones of its own store
+    const isLocal =
+      !isRoot &&
+      (context.namespaced ||
+        context[role === "commit" ? "mutations" : "actions"].has(type));
+    const path =
+      !isLocal || !context.namespace ? type : `${context.namespace}/${type}`;
+    const index = path.lastIndexOf("/");
+    const targetNamespace = index === -1 ? "" : path.slice(0, index);
+    let name = path.slice(index + 1);
+
+    if (
+      role === "commit" &&
+      targetNamespace === context.namespace &&
+      context.mutationNames[name]
+    ) {
+      name = context.mutationNames[name];
+    }
+
+    // A null payload is only a placeholder when options are passed
+    const callArgs =
+      optionsNode && (payload === "undefined" || payload === "null")
+        ? ""
+        : payload;
+    return `${memberAccess(context.resolveStore(targetNamespace), name)}(${callArgs})`;
+  }
+
+  function transform(node) {
+    if (node.type === "call_expression") {
+      const role = roleOf(node.childForFieldName("function"));
+      if (role === "commit" || role === "dispatch") {
+        return rewriteCommitDispatch(node, role);
+      }
+    }
+
+    if (node.type === "member_expression") {
+      const objectRole = roleOf(node.childForFieldName("object"));
+      const propertyNode = node.childForFieldName("property");
+
+      if (objectRole === "getters") {
+        return localGetter(propertyNode.text, node);
+      }
+
+      if (objectRole === "rootState") {
+        // rootState.cart.items -> useCartStore().items
+        return rootState(propertyNode.text);
+      }
+
+      if (objectRole === "rootGetters") {
+        return rootGetter(propertyNode.text, node);
+      }
+    }
+
+    if (node.type === "subscript_expression") {
+      const objectRole = roleOf(node.childForFieldName("object"));
+      const indexNode = node.childForFieldName("index");
+
+      if (indexNode && indexNode.type === "string") {
+        const path = indexNode.text.replace(/['"`]/g, "");
+        if (objectRole === "getters") {
+          return localGetter(path, node);
+        }
+        if (objectRole === "rootGetters") {
+          return rootGetter(path, node);
+        }
+        if (objectRole === "rootState") {
+          return rootState(path);
+        }
+      }
+    }
+
+    if (roleOf(node) === "state") {
+      return "this";
+    }
+
+    return null;
+  }
+
+  // Render a node with all store context references rewritten
+  function render(node) {
+    const replacement = transform(node);
+    if (replacement !== null) {
+      if (nestedFunctions === 0 || !/^this\b/.test(replacement)) {
+        return replacement;
+      }
+
+      const reference =
+        node.childForFieldName("function") ||
+        node.childForFieldName("object") ||
+        node;
+      problems.add(
+        `'${reference.text}' is used in a nested function, where this isn't the store, use an arrow function`,
+      );
+    }
+
+    const isNested = THIS_BINDING_TYPES.includes(node.type);
+    nestedFunctions += isNested ? 1 : 0;
+    let text = "";
+    let cursor = node.startIndex;
+    for (const child of node.children) {
+      text += source.slice(cursor, child.startIndex) + render(child);
+      cursor = child.endIndex;
+    }
+    nestedFunctions -= isNested ? 1 : 0;
+    return text + source.slice(cursor, node.endIndex);
+  }
+
+  let bodyText = render(body);
+  if (body.type !== "statement_block") {
+    bodyText = `{\nreturn ${bodyText};\n}`;
+  }
+
+  const name =
+    kind === "mutation" && member.name && context.mutationNames[member.name]
+      ? context.mutationNames[member.name]
+      : member.key;
+  const paramsText = emittedParams
+    .map((param) => source.slice(param.startIndex, param.endIndex))
+    .join(", ");
+
+  const fixmes = [...problems].map((problem) => `// FIXME: ${problem}\n`);
+  return {
+    text: `${fixmes.join("")}${isAsync ? "async " : ""}${name}(${paramsText}) ${bodyText}`,
+  };
+}
+
+function renderState(stateNode, content) {
+  if (!stateNode) {
+    return "() => ({})";
+  }
+
+  const stateContent = content.slice(stateNode.startIndex, stateNode.endIndex);
+  if (stateNode.type === "method_definition") {
+    // state() { return { ... } }
+    const body = stateNode.childForFieldName("body");
+    return `() => ${content.slice(body.startIndex, body.endIndex)}`;
+  }
+
+  if (stateNode.type === "object") {
+    // Pinia requires state to be a function
+    return `() => (${stateContent})`;
+  }
+
+  return stateContent;
+}
+
+function renderEntries(entries) {
+  return entries
+    .map((entry) => (entry.isComment ? entry.text : `${entry.text},`))
+    .join("\n");
+}
+
+function getStoreConfig(namespace, options = {}) {
+  if (options?.vuex?.[namespace]) {
+    return options.vuex[namespace];
+  }
+
+  // Default store configuration, matching the one inferred for components
+  const name = namespace
+    ? namespace
+        .split("/")
+        .map((part, index) =>
+          index === 0 ? part : part.charAt(0).toUpperCase() + part.slice(1),
+        )
+        .join("")
+    : "root";
+
+  return {
+    name,
+    importName: `use${name.charAt(0).toUpperCase() + name.slice(1)}Store`,
+  };
+}
+
+// The storePath option is a template like '@/state/{name}'
+function getStoreImportPath(name, options = {}) {
+  return (options?.storePath || "@/stores/{name}").replaceAll("{name}", name);
+}
+
+export {
+  rewriteStoreModule,
+  extractStoreModule,
+  getStoreConfig,
+  getStoreImportPath,
+};
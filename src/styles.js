@@ -0,0 +1,179 @@
+import { report } from "./diagnostics.js";
+import { transformAssetsInStyle } from "./assets.js";
+
+// Style languages with // line comments, and the indented ones where a
+// selector ends with its line
+const LINE_COMMENT_LANGS = ["scss", "sass", "less", "styl", "stylus"];
+const INDENTED_LANGS = ["sass", "styl", "stylus"];
+
+// Returns the content with the text of comments, strings and url() blanked
+// out, so selectors are found at the same offsets without matching inside them
+function maskStyle(content, lang) {
+  const blank = (text) => text.replace(/[^\n]/g, " ");
+  let masked = "";
+  let i = 0;
+
+  while (i < content.length) {
+    let end = i;
+    if (content.startsWith("/*", i)) {
+      end = content.indexOf("*/", i + 2);
+      end = end === -1 ? content.length : end + 2;
+    } else if (
+      content.startsWith("//", i) &&
+      LINE_COMMENT_LANGS.includes(lang)
+    ) {
+      end = content.indexOf("\n", i);
+      end = end === -1 ? content.length : end;
+    } else if (content[i] === '"' || content[i] === "'") {
+      end = i + 1;
+      while (end < content.length && content[end] !== content[i]) {
+        end += content[end] === "\\" ? 2 : 1;
+      }
+      // The quotes stay
+      masked += `${content[i]}${blank(content.slice(i + 1, end))}${content[end] ?? ""}`;
+      i = end + 1;
+      continue;
+    } else if (/^url\(/i.test(content.slice(i, i + 4))) {
+      end = content.indexOf(")", i);
+      end = end === -1 ? content.length : end;
+      masked += `url(${blank(content.slice(i + 4, end))}`;
+      i = end;
+      continue;
+    }
+
+    if (end > i) {
+      masked += blank(content.slice(i, end));
+      i = end;
+    } else {
+      masked += content[i];
+      i++;
+    }
+  }
+
+  return masked;
+}
+
+function applyEdits(content, edits) {
+  let result = content;
+  [...edits]
+    .sort((a, b) => b.start - a.start)
+    .forEach(({ start, end, replacement }) => {
+      result = result.slice(0, start) + replacement + result.slice(end);
+    });
+  return result;
+}
+
+// This function turns the Vue 2 deep selectors into :deep():
+// - .a >>> .b and .a /deep/ .b -> .a :deep(.b)
+// - .a ::v-deep .b -> .a :deep(.b)
+// - .a ::v-deep(.b) -> .a :deep(.b)
+// The selector after the combinator, up to the next comma or rule, becomes the
+// argument. A combinator followed by a nested rule has no equivalent and is
+// reported.
+function transformDeepSelectors(content, lang, options) {
+  const masked = maskStyle(content, lang);
+  const stops = INDENTED_LANGS.includes(lang) ? ",\n" : ",{};";
+  const edits = [];
+  let consumed = 0;
+
+  for (const match of masked.matchAll(/>>>|\/deep\/|::?v-deep\b/g)) {
+    const start = match.index;
+    const markerEnd = start + match[0].length;
+    if (start < consumed) {
+      continue;
+    }
+
+    // ::v-deep(.b) only changes its name
+    if (match[0].endsWith("v-deep") && masked[markerEnd] === "(") {
+      edits.push({ start, end: markerEnd, replacement: ":deep" });
+      continue;
+    }
+
+    let end = markerEnd;
+    let depth = 0;
+    while (end < masked.length) {
+      const char = masked[end];
+      // #{$x} and @{x} interpolations belong to the selector
+      const isInterpolation = char === "{" && /[#@]/.test(masked[end - 1]);
+      if (depth === 0 && stops.includes(char) && !isInterpolation) break;
+      if (char === "(" || char === "[" || isInterpolation) depth++;
+      if (char === ")" || char === "]" || (char === "}" && depth > 0)) depth--;
+      end++;
+    }
+    const stop = end;
+    while (end > markerEnd && /\s/.test(masked[end - 1])) end--;
+
+    const selector = content.slice(markerEnd, end).trim();
+    if (!selector) {
+      report(
+        options,
+        "deep-selector-block",
+        `${match[0]} without a selector has no Vue 3 equivalent, wrap the nested selectors in :deep() instead`,
+        { source: content.slice(start, stop + 1) },
+      );
+      continue;
+    }
+
+    edits.push({ start, end, replacement: `:deep(${selector})` });
+    consumed = end;
+  }
+
+  return applyEdits(content, edits);
+}
+
+// This function renames the Vue 2 enter and leave classes of the given
+// transitions, .fade-enter -> .fade-enter-from and .fade-leave ->
+// .fade-leave-from. The -active and -to classes keep their names.
+function transformTransitionClasses(content, lang, transitionNames) {
+  if (transitionNames.size === 0) {
+    return content;
+  }
+
+  const names = [...transitionNames]
+    .map((name) => name.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+    .join("|");
+  const pattern = new RegExp(`\\.(${names})-(enter|leave)(?![\\w-])`, "g");
+  const edits = [...maskStyle(content, lang).matchAll(pattern)].map(
+    (match) => ({
+      start: match.index,
+      end: match.index + match[0].length,
+      replacement: `${match[0]}-from`,
+    }),
+  );
+
+  return applyEdits(content, edits);
+}
+
+// Returns the names of the <transition> and <transition-group> elements of a
+// template, v for the ones without a name. Bound names can't be known.
+function getTransitionNames(template) {
+  const names = new Set();
+  const elements = template.matchAll(
+    /<(?:transition|transition-group|Transition|TransitionGroup)(?=[\s/>])((?:"[^"]*"|'[^']*'|[^>"'])*)>/g,
+  );
+
+  for (const [, attributes] of elements) {
+    const name = attributes.match(/(?:^|\s)name\s*=\s*(["'])(.*?)\1/)?.[2];
+    if (name) {
+      names.add(name);
+    } else if (!/(?:^|\s)(?::|v-bind:)name\s*=/.test(attributes)) {
+      names.add("v");
+    }
+  }
+
+  return names;
+}
+
+// This function migrates a style block of the component to Vue 3: deep
+// selectors, the transition classes of its template and its asset paths.
+function transformStyle(content, { lang, template = "" } = {}, options = {}) {
+  const transitionNames = getTransitionNames(template);
+  const transformed = transformTransitionClasses(
+    transformDeepSelectors(content, lang, options),
+    lang,
+    transitionNames,
+  );
+  return transformAssetsInStyle(transformed, options);
+}
+
+export { transformStyle };
@@ -1,5 +1,42 @@
-import Parser from "tree-sitter";
-import javascript from "tree-sitter-javascript";
+import compiler from "vue-template-compiler";
+import { parseFilters } from "./parsers.js";
+import { getStoreImportPath } from "./stores.js";
+import {
+  getScriptParser,
+  getParameterPattern,
+  getPatternNames,
+  isTypeScript,
+} from "./treesitter.js";
+import { fixme, templateFixme, report } from "./diagnostics.js";
+import { orderSetupStatements } from "./setupOrder.js";
+import { getBindingName } from "./bindings.js";
+import { renderAssetImports, transformRequire } from "./assets.js";
+
+// Helper composables the generated code imports, keyed by their default name.
+// The composables option maps them to another path and/or export name.
+const DEFAULT_COMPOSABLES = {
+  useHttp: "@/composables/useHttp",
+  useEventBus: "@/composables/useEventBus",
+  useNuxtCompat: "@/composables/useNuxtCompat",
+  useFilters: "@/composables/useFilters",
+  useI18nUtils: "@/composables/useI18nUtils",
+  useAsyncData: "@/composables/useAsyncData",
+  useRuntimeConfig: "@/composables/useRuntimeConfig",
+};
+
+function getComposableConfig(helper, options = {}) {
+  const config = options?.composables?.[helper];
+
+  // "useHttp": "@/lib/compat/http" only changes the path
+  if (typeof config === "string") {
+    return { path: config, importName: helper };
+  }
+
+  return {
+    path: config?.path || DEFAULT_COMPOSABLES[helper],
+    importName: config?.importName || helper,
+  };
+}
 
 function transformToCompositionAPI(
   dataProperties,
@@ -29,6 +66,12 @@ function transformToCompositionAPI(
   hasDirectStoreUsage,
   options,
   topLevelCode = [],
+  templateFilters = new Set(),
+  hasSlots = false,
+  pageMeta = [],
+  hasAttrs = false,
+  defineOptions = [],
+  modelOption = null,
 ) {
   // Note: nuxtI18nData is used for the separate script tag generation in the main function
   // Determine what Vue imports we need
@@ -96,6 +139,16 @@ function transformToCompositionAPI(
     vueImports.push("nextTick");
   }
 
+  // Add useSlots import if $slots or $scopedSlots are used
+  if (hasSlots && !vueImports.includes("useSlots")) {
+    vueImports.push("useSlots");
+  }
+
+  // Add useAttrs import if $attrs or $listeners are used
+  if (hasAttrs && !vueImports.includes("useAttrs")) {
+    vueImports.push("useAttrs");
+  }
+
   // Add watch import if needed
   if (
     watchData &&
@@ -105,8 +158,43 @@ function transformToCompositionAPI(
     vueImports.push("watch");
   }
 
+  // The props and events of the mixins used are declared by the component
+  const usedMixins = mixinData?.usedMixins || [];
+  propsData = mergeMixinProps(propsData, usedMixins);
+  emitsData = [
+    ...new Set([
+      ...emitsData,
+      ...usedMixins.flatMap((mixin) => mixin.config.emits || []),
+    ]),
+  ];
+
+  // Props updated through update:<prop> events become defineModel() declarations
+  const modelData = splitModelProps(
+    propsData,
+    emitsData,
+    modelOption ? null : "value",
+  );
+
+  // TypeScript props annotated with PropType<> are declared with their types
+  const typedProps = isTypeScript() ? getTypedProps(modelData.propsData) : null;
+
+  // Vue imports only the component definition used are dropped with it
+  const keptCode = [
+    ...modelData.models.map((model) => model.options || ""),
+    ...topLevelCode.filter((code) => !code.trim().startsWith("import ")),
+  ];
+  const droppedVueImports = [
+    "defineComponent",
+    ...(typedProps ? ["PropType"] : []),
+  ].filter((name) =>
+    keptCode.every((code) => !new RegExp(`\\b${name}\\b`).test(code)),
+  );
+
+  // Nuxt 3 auto-imports the Vue, Vue Router, head and data fetching composables
+  const isNuxt3 = options?.target === "nuxt3";
+
   let result = "";
-  if (vueImports.length > 0) {
+  if (vueImports.length > 0 && !isNuxt3) {
     result = `import { ${vueImports.join(", ")} } from 'vue';`;
   }
 
@@ -125,47 +213,56 @@ function transformToCompositionAPI(
     customI18nMethods.has(method),
   );
 
-  if (hasStandardI18n) {
+  if (hasStandardI18n && !isNuxt3) {
     result += "\nimport { useI18n } from 'vue-i18n';";
   }
 
+  // Resolve the configured import path and name of each helper composable
+  const composables = Object.fromEntries(
+    Object.keys(DEFAULT_COMPOSABLES).map((helper) => [
+      helper,
+      getComposableConfig(helper, options),
+    ]),
+  );
+  const importComposable = (helper) =>
+    `\nimport { ${composables[helper].importName} } from '${composables[helper].path}';`;
+
   if (hasCustomI18n) {
-    result += "\nimport { useI18nUtils } from '@/composables/useI18nUtils';";
+    result += importComposable("useI18nUtils");
   }
 
   // Add useFilters import if needed
   if (hasFilters) {
-    result += "\nimport { useFilters } from '@/composables/useFilters';";
+    result += importComposable("useFilters");
   }
 
   // Add useHead import if needed
-  if (headMethod) {
+  if (headMethod && !isNuxt3) {
     result += "\nimport { useHead } from '@unhead/vue';";
   }
 
   // Add useAsyncData import if needed
-  if (asyncDataMethod) {
-    result += "\nimport { useAsyncData } from '@/composables/useAsyncData';";
+  if (asyncDataMethod && !isNuxt3) {
+    result += importComposable("useAsyncData");
   }
 
   // Add useEventBus import if needed
   if (hasEventBus) {
-    result += "\nimport { useEventBus } from '@/composables/useEventBus';";
+    result += importComposable("useEventBus");
   }
 
-  // Add useNuxtCompat import if needed
-  if (hasNuxtCompat) {
-    result += "\nimport { useNuxtCompat } from '@/composables/useNuxtCompat';";
+  // Add useNuxtCompat import if needed, Nuxt 3 has built-in equivalents
+  if (hasNuxtCompat && !isNuxt3) {
+    result += importComposable("useNuxtCompat");
   }
 
   // Add useRuntimeConfig import if needed
-  if (hasConfig) {
-    result +=
-      "\nimport { useRuntimeConfig } from '@/composables/useRuntimeConfig';";
+  if (hasConfig && !isNuxt3) {
+    result += importComposable("useRuntimeConfig");
   }
 
   // Add router imports if needed
-  if (routerData && routerData.hasRouterUsage) {
+  if (routerData && routerData.hasRouterUsage && !isNuxt3) {
     const routerImports = [];
     if (routerData.hasRoute) routerImports.push("useRoute");
     if (routerData.hasRouter) routerImports.push("useRouter");
@@ -174,7 +271,7 @@ function transformToCompositionAPI(
 
   // Add useHttp import if axios is used
   if (hasAxios) {
-    result += "\nimport { useHttp } from '@/composables/useHttp';";
+    result += importComposable("useHttp");
   }
 
   // Add Pinia store imports
@@ -182,7 +279,7 @@ function transformToCompositionAPI(
     vuexData.usedStores.forEach((namespace) => {
       const storeConfig = options?.vuex?.[namespace];
       if (storeConfig) {
-        result += `\nimport { ${storeConfig.importName} } from '@/stores/${storeConfig.name}';`;
+        result += `\nimport { ${storeConfig.importName} } from '${getStoreImportPath(storeConfig.name, options)}';`;
       }
     });
   }
@@ -210,9 +307,10 @@ function transformToCompositionAPI(
         if (rewriteRule) {
           const newPath = rewriteRule.name;
           const rewrittenComponents = components.map((component) => {
+            const name = component.replace(/^type /, "");
             return rewriteRule.componentRewrite &&
-              rewriteRule.componentRewrite[component]
-              ? rewriteRule.componentRewrite[component]
+              rewriteRule.componentRewrite[name]
+              ? component.replace(name, rewriteRule.componentRewrite[name])
               : component;
           });
 
@@ -229,10 +327,18 @@ function transformToCompositionAPI(
           }
 
           const allImports = [...rewrittenComponents, ...directiveImports];
-          result += `\nimport { ${allImports.join(", ")} } from '${newPath}';`;
+          result += `\n${formatNamedImport(allImports, newPath)}`;
+        } else if (oldPath === "vue") {
+          const vueComponents = components.filter(
+            (component) =>
+              !droppedVueImports.includes(component.replace(/^type /, "")),
+          );
+          if (vueComponents.length > 0) {
+            result += `\n${formatNamedImport(vueComponents, oldPath)}`;
+          }
         } else {
           // Keep original import if no rewrite rule
-          result += `\nimport { ${components.join(", ")} } from '${oldPath}';`;
+          result += `\n${formatNamedImport(components, oldPath)}`;
         }
       },
     );
@@ -280,6 +386,7 @@ function transformToCompositionAPI(
     );
   }
 
+  const importsEnd = result.length;
   result += "\n";
 
   // === TOP-LEVEL CODE (constants, etc.) ===
@@ -307,6 +414,16 @@ function transformToCompositionAPI(
     }
   }
 
+  // Add the component options <script setup> has no other place for
+  if (defineOptions.length > 0) {
+    result += `\ndefineOptions({ ${defineOptions.map(({ code }) => code).join(", ")} });\n`;
+  }
+
+  // Add page metadata, route meta blocks are added to the SFC instead
+  if (pageMeta.length > 0 && options?.pageMeta !== "route") {
+    result += `\n${transformPageMeta(pageMeta, options)}\n`;
+  }
+
   // === 2. USES (COMPOSABLES) ===
   // Add i18n destructuring
   if (hasStandardI18n) {
@@ -314,7 +431,11 @@ function transformToCompositionAPI(
       standardI18nMethods.has(method),
     );
     if (standardMethods.length > 0) {
-      result += `\nconst { ${standardMethods.join(", ")} } = useI18n();`;
+      const bindings = standardMethods.map((method) => {
+        const name = getBindingName(options, method);
+        return name === method ? method : `${method}: ${name}`;
+      });
+      result += `\nconst { ${bindings.join(", ")} } = useI18n();`;
     }
   }
 
@@ -323,14 +444,15 @@ function transformToCompositionAPI(
       customI18nMethods.has(method),
     );
     if (customMethods.length > 0) {
-      result += `\nconst { ${customMethods.join(", ")} } = useI18nUtils();`;
+      result += `\nconst { ${customMethods.join(", ")} } = ${composables.useI18nUtils.importName}();`;
     }
   }
 
   // Add filters destructuring
   if (hasFilters) {
-    // Extract filter names from $options.filters usage
-    const filterNames = new Set();
+    // Extract filter names from $options.filters usage, starting with the
+    // filters used with pipes in the template
+    const filterNames = new Set(templateFilters);
 
     // Look for patterns like this.$options.filters.filterName
     Object.values(regularMethods).forEach((method) => {
@@ -361,15 +483,44 @@ function transformToCompositionAPI(
     });
 
     if (filterNames.size > 0) {
-      result += `\nconst { ${Array.from(filterNames).join(", ")} } = useFilters();`;
+      result += `\nconst { ${Array.from(filterNames).join(", ")} } = ${composables.useFilters.importName}();`;
     }
   }
 
+  // Mixin composables take the props and emit of the component. Without a
+  // known signature they get the ones the component declares.
+  const mixinParameters = new Set(
+    (mixinData?.usedMixins || []).flatMap(
+      (mixin) => mixin.config.parameters || [],
+    ),
+  );
+  const declaresProps =
+    Boolean(modelData.propsData) || mixinParameters.has("props");
+  const declaresEmit =
+    modelData.emitsData.length > 0 || mixinParameters.has("emit");
+
+  const getMixinArguments = (mixin) => {
+    const defaultParameters = declaresEmit
+      ? ["props", "emit"]
+      : declaresProps
+        ? ["props"]
+        : [];
+    return (mixin.config.parameters || defaultParameters)
+      .map((parameter) =>
+        parameter !== "props" || declaresProps
+          ? getBindingName(options, parameter)
+          : "undefined",
+      )
+      .join(", ");
+  };
+
   // Add mixin destructuring (detect usage in both template and JavaScript)
   if (mixinData && mixinData.usedMixins.length > 0) {
     mixinData.usedMixins.forEach((mixin) => {
+      const mixinImports = mixin.config.imports || [];
+
       // Collect used imports from template
-      const usedImportsFromTemplate = mixin.config.imports.filter((importName) =>
+      const usedImportsFromTemplate = mixinImports.filter((importName) =>
         templateVariables.has(importName),
       );
 
@@ -379,7 +530,7 @@ function transformToCompositionAPI(
       // Scan regular methods for mixin usage
       Object.values(regularMethods).forEach((methodData) => {
         const methodContent = typeof methodData === "string" ? methodData : methodData.content;
-        mixin.config.imports.forEach((importName) => {
+        mixinImports.forEach((importName) => {
           if (methodContent.includes(`this.${importName}(`)) {
             usedImportsFromJS.add(importName);
           }
@@ -393,7 +544,7 @@ function transformToCompositionAPI(
             const getterContent = propData.value.get?.content || propData.value.get || "";
             const setterContent = propData.value.set?.content || propData.value.set || "";
             
-            mixin.config.imports.forEach((importName) => {
+            mixinImports.forEach((importName) => {
               if (getterContent.includes(`this.${importName}(`) || 
                   setterContent.includes(`this.${importName}(`)) {
                 usedImportsFromJS.add(importName);
@@ -401,7 +552,7 @@ function transformToCompositionAPI(
             });
           } else if (propData.type === "function") {
             const content = propData.value || "";
-            mixin.config.imports.forEach((importName) => {
+            mixinImports.forEach((importName) => {
               if (content.includes(`this.${importName}(`)) {
                 usedImportsFromJS.add(importName);
               }
@@ -416,40 +567,58 @@ function transformToCompositionAPI(
         ...Array.from(usedImportsFromJS)
       ]);
 
+      // The composable is called even when none of its members are used, its
+      // watchers and lifecycle hooks still apply to the component
+      const call = `${mixin.config.name}(${getMixinArguments(mixin)})`;
       if (allUsedImports.size > 0) {
         const imports = Array.from(allUsedImports).join(", ");
-        result += `\nconst { ${imports} } = ${mixin.config.name}();`;
+        result += `\nconst { ${imports} } = ${call};`;
+      } else {
+        result += `\n${call};`;
       }
     });
   }
 
   // Add composables
   if (hasAxios) {
-    result += `\nconst http = useHttp();`;
+    result += `\nconst ${getBindingName(options, "http")} = ${composables.useHttp.importName}();`;
   }
 
   if (hasEventBus) {
-    result += `\nconst eventBus = useEventBus();`;
+    result += `\nconst ${getBindingName(options, "eventBus")} = ${composables.useEventBus.importName}();`;
   }
 
   // Add Nuxt compatibility composable
-  if (hasNuxtCompat) {
-    result += `\nconst { refresh, redirect } = useNuxtCompat();`;
+  if (hasNuxtCompat && !isNuxt3) {
+    result += `\nconst { refresh, redirect } = ${composables.useNuxtCompat.importName}();`;
   }
 
   // Add router composables
   if (routerData && routerData.hasRouterUsage) {
     if (routerData.hasRoute) {
-      result += `\nconst route = useRoute();`;
+      result += `\nconst ${getBindingName(options, "route")} = useRoute();`;
     }
     if (routerData.hasRouter) {
-      result += `\nconst router = useRouter();`;
+      result += `\nconst ${getBindingName(options, "router")} = useRouter();`;
     }
   }
 
   // Add config composable
   if (hasConfig) {
-    result += `\nconst config = useRuntimeConfig();`;
+    const useRuntimeConfig = isNuxt3
+      ? "useRuntimeConfig"
+      : composables.useRuntimeConfig.importName;
+    result += `\nconst ${getBindingName(options, "config")} = ${useRuntimeConfig}();`;
+  }
+
+  // Add slots, scoped slots are merged into $slots in Vue 3
+  if (hasSlots) {
+    result += `\nconst ${getBindingName(options, "slots")} = useSlots();`;
+  }
+
+  // Add attrs, listeners are merged into $attrs in Vue 3
+  if (hasAttrs) {
+    result += `\nconst ${getBindingName(options, "attrs")} = useAttrs();`;
   }
 
   // Add store instances
@@ -467,15 +636,72 @@ function transformToCompositionAPI(
 
   // === 3. REACTIVE STATE, REFS AND EMITS ===
   // Add props definition
-  if (propsData) {
-    result += `\nconst props = defineProps(${propsData});\n`;
-  }
-
-  // Add emits definition
-  if (emitsData && emitsData.length > 0) {
-    const emitsArray = emitsData.map((emit) => `'${emit}'`).join(", ");
-    result += `\nconst emit = defineEmits([${emitsArray}]);\n`;
-  }
+  const propsName = declaresProps ? getBindingName(options, "props") : null;
+  if (typedProps) {
+    const propsType = `defineProps<{\n${typedProps.members.join("\n")}\n}>()`;
+    result +=
+      typedProps.defaults.length > 0
+        ? `\nconst ${propsName} = withDefaults(${propsType}, {\n${typedProps.defaults.join(",\n")}\n});\n`
+        : `\nconst ${propsName} = ${propsType};\n`;
+  } else if (modelData.propsData) {
+    result += `\nconst ${propsName} = defineProps(${modelData.propsData});\n`;
+  } else if (declaresProps) {
+    result += `\nconst ${propsName} = defineProps();\n`;
+  }
+
+  // Add model definitions
+  if (modelData.models.length > 0) {
+    result += "\n";
+    modelData.models.forEach(({ name, argument, options: modelOptions }) => {
+      const args = [argument && `'${argument}'`, modelOptions].filter(Boolean);
+      // Parents binding the model option with v-model set modelValue in Vue 3
+      if (argument && argument === modelOption?.prop) {
+        result += `\n${fixme(
+          options,
+          "model-option-prop",
+          `the model option prop is declared as defineModel('${argument}'), parents using v-model need v-model:${argument}`,
+          modelOption.source,
+        )}`;
+      }
+      result += `\nconst ${name} = defineModel(${args.join(", ")});`;
+    });
+    result += "\n";
+  }
+
+  // Add emits definition, typed along with the props
+  const emitName = declaresEmit ? getBindingName(options, "emit") : null;
+  if (typedProps && modelData.emitsData.length > 0) {
+    const emitsType = modelData.emitsData
+      .map((emit) => `${formatPropertyKey(emit)}: [...args: any[]];`)
+      .join("\n");
+    result += `\nconst ${emitName} = defineEmits<{\n${emitsType}\n}>();\n`;
+  } else if (modelData.emitsData.length > 0) {
+    const emitsArray = modelData.emitsData
+      .map((emit) => `'${emit}'`)
+      .join(", ");
+    result += `\nconst ${emitName} = defineEmits([${emitsArray}]);\n`;
+  } else if (declaresEmit) {
+    result += `\nconst ${emitName} = defineEmits();\n`;
+  }
+
+  // Setup code reads the members of the component through this context
+  const thisContext = {
+    hasAxios,
+    hasEventBus,
+    hasNuxtCompat,
+    refsData,
+    hasConfig,
+    hasFilters,
+    hasNextTick,
+    routerData,
+    options,
+    availableMethods: regularMethods,
+    dataProperties,
+    computedData,
+    propsData,
+    vuexData,
+    mixinData,
+  };
 
   // Add data properties as refs (excluding those returned by asyncData)
   const asyncDataProps = asyncDataMethod
@@ -484,12 +710,9 @@ function transformToCompositionAPI(
   Object.entries(dataProperties).forEach(([key, value]) => {
     // Skip properties that are returned by asyncData
     if (!asyncDataProps.has(key)) {
-      // Transform this.$i18n and this.$config references in data property values
-      let transformedValue = value
-        .replace(/this\.\$([tnd])\(/g, "$1(") // Replace this.$t( with t(
-        .replace(/this\.\$i18n\.localeProperties/g, "localeProperties")
-        .replace(/this\.\$i18n\.locale/g, "locale.value")
-        .replace(/this\.\$config/g, "config");
+      const transformedValue = transformThisReferences(value, thisContext, {
+        expression: true,
+      });
       result += `\nconst ${key} = ref(${transformedValue});`;
     }
   });
@@ -594,7 +817,10 @@ function transformToCompositionAPI(
           mixinData,
         );
 
-        result += `\nconst ${key} = computed({\n  get() ${getterContent},\n  set${setterParams} ${setterContent}\n});\n`;
+        const typeArgument = propData.value.get?.returnType
+          ? `<${propData.value.get.returnType}>`
+          : "";
+        result += `\nconst ${key} = computed${typeArgument}({\n  get() ${getterContent},\n  set${setterParams} ${setterContent}\n});\n`;
       } else if (propData.type === "function") {
         // Handle simple computed properties (not implemented in current test)
         let computedContent = propData.value;
@@ -616,7 +842,10 @@ function transformToCompositionAPI(
           vuexData,
           mixinData,
         );
-        result += `\nconst ${key} = computed(() => ${computedContent});`;
+        const typeArgument = propData.returnType
+          ? `<${propData.returnType}>`
+          : "";
+        result += `\nconst ${key} = computed${typeArgument}(() => ${computedContent});`;
       }
     });
   }
@@ -624,16 +853,27 @@ function transformToCompositionAPI(
   // === 5. METHODS (INCLUDING FETCH AND ASYNCDATA) ===
   // Add asyncData transformation
   if (asyncDataMethod) {
+    const dataName = getBindingName(options, "data");
+    const dataBinding = dataName === "data" ? "data" : `data: ${dataName}`;
     // Transform asyncData to useAsyncData call
     let asyncContent = asyncDataMethod.content;
     // Remove the opening and closing braces
     asyncContent = asyncContent.replace(/^\s*{\s*/, "").replace(/\s*}\s*$/, "");
 
-    result += `\n\nconst data = await useAsyncData(async ${asyncDataMethod.parameters} => {\n${asyncContent}\n});\n`;
+    if (isNuxt3) {
+      // Nuxt 3 handlers don't receive the context, rebuild what was used
+      const contextCode = transformAsyncDataContext(
+        asyncDataMethod.parameters,
+        options,
+      );
+      result += `\n\nconst { ${dataBinding} } = await useAsyncData(async () => {\n${contextCode}${asyncContent}\n});\n`;
+    } else {
+      result += `\n\nconst ${dataName} = await ${composables.useAsyncData.importName}(async ${asyncDataMethod.parameters} => {\n${asyncContent}\n});\n`;
+    }
 
     // Create refs for each property returned by asyncData
     asyncDataMethod.returnProperties.forEach((prop) => {
-      result += `\nconst ${prop} = ref(data.${prop});`;
+      result += `\nconst ${prop} = ref(${dataName}${isNuxt3 ? ".value" : ""}.${prop});`;
     });
   }
 
@@ -641,15 +881,19 @@ function transformToCompositionAPI(
   if (headMethod) {
     if (headMethod.type === "simple") {
       // Simple case: useHead({ ... })
-      let headContent = headMethod.content;
-      headContent = transformThisReferencesToRefs(headContent);
+      const headContent = transformThisReferences(
+        headMethod.content,
+        thisContext,
+        { expression: true },
+      );
       result += `\n\nuseHead(${headContent});`;
     } else {
       // Complex case: useHead(() => { ... })
-      let headContent = headMethod.content;
-      headContent = transformThisReferencesToRefs(headContent);
       // Remove the opening and closing braces
-      headContent = headContent.replace(/^\s*{\s*/, "").replace(/\s*}\s*$/, "");
+      const headContent = transformThisReferences(
+        headMethod.content.replace(/^\s*{\s*/, "").replace(/\s*}\s*$/, ""),
+        thisContext,
+      );
       result += `\n\nuseHead(() => {\n${headContent}\n});`;
     }
   }
@@ -662,7 +906,7 @@ function transformToCompositionAPI(
     const parameters =
       typeof methodData === "object" ? methodData.parameters : "()";
 
-    let transformedBody = transformMethodBody(
+    const transformedBody = transformMethodBody(
       methodBody,
       hasAxios,
       hasEventBus,
@@ -681,14 +925,6 @@ function transformToCompositionAPI(
       mixinData,
     );
 
-    // Apply comprehensive store usage transformations for regular methods
-    if (options?.vuex) {
-      transformedBody = transformStoreUsageWithTreeSitter(
-        transformedBody,
-        options,
-      );
-    }
-
     const asyncKeyword = isAsync ? "async " : "";
 
     result += `\n\nconst ${methodName} = ${asyncKeyword}${parameters} => {\n${transformedBody}\n};`;
@@ -714,15 +950,26 @@ function transformToCompositionAPI(
       vuexData,
       mixinData,
     );
-    result += `\n\nconst fetch = async () => {\n${transformedFetchBody}\n};\n\n`;
+    if (isNuxt3) {
+      // useAsyncData runs the handler right away, refresh re-runs it like $fetch
+      result += `\n\nconst { refresh: ${getBindingName(options, "fetch")} } = await useAsyncData(async () => {\n${transformedFetchBody}\nreturn true;\n});\n\n`;
+    } else {
+      result += `\n\nconst ${getBindingName(options, "fetch")} = async () => {\n${transformedFetchBody}\n};\n\n`;
+    }
   }
 
   // === 6. WATCHERS ===
   if (watchData && Object.keys(watchData).length > 0) {
     Object.entries(watchData).forEach(([watchName, watchConfig]) => {
-      if (watchConfig.type === "function") {
+      // Watchers with options pass them on as the options of watch()
+      const { handler, watchOptions } =
+        watchConfig.type === "object"
+          ? splitWatchOptions(watchConfig.content)
+          : { handler: watchConfig.content, watchOptions: null };
+
+      if (handler) {
         // Extract parameters and body from function
-        let functionContent = watchConfig.content;
+        let functionContent = handler;
 
         // Check if the original function was async
         const isAsync = /^\s*async\s+/.test(functionContent);
@@ -755,7 +1002,7 @@ function transformToCompositionAPI(
         );
 
         const asyncKeyword = isAsync ? "async " : "";
-        result += `\n\nwatch(${watchName}, ${asyncKeyword}(${params}) => {\n  ${body}\n});`;
+        result += `\n\nwatch(${watchName}, ${asyncKeyword}(${params}) => {\n  ${body}\n}${watchOptions ? `, ${watchOptions}` : ""});`;
       }
     });
   }
@@ -776,18 +1023,8 @@ function transformToCompositionAPI(
 
     // Handle created() method - its content goes directly in setup without wrapper
     if (lifecycleMethods.created) {
-      let transformedContent = lifecycleMethods.created;
-
-      if (options?.vuex) {
-        transformedContent = transformStoreUsageInMethods(
-          transformedContent,
-          vuexData,
-          options,
-        );
-      }
-
-      transformedContent = transformMethodBody(
-        transformedContent,
+      const transformedContent = transformMethodBody(
+        lifecycleMethods.created,
         hasAxios,
         hasEventBus,
         hasNuxtCompat,
@@ -814,18 +1051,8 @@ function transformToCompositionAPI(
 
         const vueHookName = lifecycleMapping[lifecycleName];
         if (vueHookName) {
-          let transformedContent = methodContent;
-
-          if (options?.vuex) {
-            transformedContent = transformStoreUsageInMethods(
-              transformedContent,
-              vuexData,
-              options,
-            );
-          }
-
-          transformedContent = transformMethodBody(
-            transformedContent,
+          const transformedContent = transformMethodBody(
+            methodContent,
             hasAxios,
             hasEventBus,
             hasNuxtCompat,
@@ -865,6 +1092,7 @@ function transformToCompositionAPI(
               hasNuxtCompat,
               refsData,
               hasConfig,
+              hasFilters,
               hasNextTick,
               routerData,
               options,
@@ -875,13 +1103,6 @@ function transformToCompositionAPI(
               vuexData,
               mixinData,
             );
-            if (options?.vuex) {
-              beforeDestroyContent = transformStoreUsageInMethods(
-                beforeDestroyContent,
-                vuexData,
-                options,
-              );
-            }
             const isAsync = transformedContent.includes("await");
             result += `\n\n${vueHookName}(${isAsync ? "async " : ""}() => {\n${transformedContent}\n});`;
           } else if (lifecycleName === "destroyed") {
@@ -903,6 +1124,7 @@ function transformToCompositionAPI(
                 hasNuxtCompat,
                 refsData,
                 hasConfig,
+                hasFilters,
                 hasNextTick,
                 routerData,
                 options,
@@ -913,14 +1135,6 @@ function transformToCompositionAPI(
                 vuexData,
                 mixinData,
               );
-              if (options?.vuex) {
-                beforeDestroyContent = transformStoreUsageInMethods(
-                  beforeDestroyContent,
-                  vuexData,
-                  options,
-                );
-              }
-
               const isAsync = transformedContent.includes("await");
               result += `\n\n${vueHookName}(${isAsync ? "async " : ""}() => {\n${transformedContent}\n\n${beforeDestroyContent}\n});`;
             } else {
@@ -937,182 +1151,953 @@ function transformToCompositionAPI(
   }
 
   // === 8. FETCH EXECUTIONS ===
-  if (fetchMethod) {
-    result += `\n\nfetch();`;
+  if (fetchMethod && !isNuxt3) {
+    result += `\n\n${getBindingName(options, "fetch")}();`;
   }
 
-  return result;
+  // Point props.<model> and emit('update:<model>') at the model refs
+  if (modelData.models.length > 0) {
+    result = transformModelReferences(
+      result,
+      modelData.models,
+      getBindingName(options, "props"),
+      getBindingName(options, "emit"),
+    );
+  }
+
+  // The assets required by the template and the script are only known once
+  // all of the code is generated
+  result =
+    result.slice(0, importsEnd) +
+    renderAssetImports(options) +
+    result.slice(importsEnd);
+
+  // Declarations read during setup come before the code reading them
+  return orderSetupStatements(result, options);
 }
 
-function transformComputedFunction(
-  functionContent,
-  hasAxios,
-  hasEventBus = false,
-  hasNuxtCompat = false,
-  refsData = null,
-  hasConfig = false,
-  hasFilters = false,
-  hasNextTick = false,
-  routerData = null,
-  options = null,
-  availableMethods = {},
-  dataProperties = {},
-  computedData = {},
-  propsData = null,
-  vuexData = null,
-  mixinData = null,
-) {
-  // For computed functions, we need to preserve the braces but transform the content inside
-  if (!functionContent || functionContent === "{}") {
-    return "{}";
+// Nuxt 2 context helpers and their auto-imported Nuxt 3 equivalents
+const ASYNC_DATA_CONTEXT_HELPERS = {
+  redirect: "navigateTo",
+  error: "showError",
+};
+
+function transformAsyncDataContext(parameters, options = null) {
+  const parser = getScriptParser();
+  const source = `(${parameters.replace(/^\(|\)$/g, "")}) => {}`;
+  const tree = parser.parse(source);
+  const paramsNode =
+    tree.rootNode.namedChildren[0]?.namedChildren[0]?.namedChildren[0];
+  const contextNode = getParameterPattern(paramsNode?.namedChildren[0]);
+
+  if (!contextNode) {
+    return "";
   }
 
-  // Use transformMethodBody but don't strip braces since computed needs them
-  let transformedContent = transformMethodBody(
-    functionContent,
-    hasAxios,
-    hasEventBus,
-    hasNuxtCompat,
-    refsData,
-    hasConfig,
-    hasFilters,
-    hasNextTick,
-    routerData,
-    options,
-    availableMethods,
-    dataProperties,
-    computedData,
-    propsData,
-    vuexData,
-    mixinData,
-  );
+  if (contextNode.type !== "object_pattern") {
+    return `${fixme(
+      options,
+      "async-data-context",
+      `useAsyncData does not receive the Nuxt 2 context, use useRoute() or useNuxtApp() instead of '${contextNode.text}'`,
+      parameters,
+    )}\n`;
+  }
+
+  const lines = [];
+  const routeKeys = [];
+  const nuxtAppKeys = [];
+  const unsupportedKeys = [];
+  let hasRoute = false;
+
+  contextNode.namedChildren.forEach((property) => {
+    // Renamed ({ params: p }) and defaulted keys are left to the developer
+    const key =
+      property.type === "shorthand_property_identifier_pattern"
+        ? property.text
+        : null;
+
+    if (key === "route") {
+      hasRoute = true;
+    } else if (key === "params" || key === "query") {
+      routeKeys.push(key);
+    } else if (ASYNC_DATA_CONTEXT_HELPERS[key]) {
+      lines.push(`const ${key} = ${ASYNC_DATA_CONTEXT_HELPERS[key]};`);
+    } else if (key?.startsWith("$")) {
+      // Plugins injected with inject() are provided by the Nuxt app
+      nuxtAppKeys.push(key);
+    } else {
+      unsupportedKeys.push(property.text);
+    }
+  });
 
-  // transformMethodBody strips braces, so we need to add them back for computed functions
-  if (!transformedContent.startsWith("{")) {
-    transformedContent = `{ ${transformedContent} }`;
+  if (hasRoute) {
+    lines.unshift(
+      "const route = useRoute();",
+      ...(routeKeys.length > 0
+        ? [`const { ${routeKeys.join(", ")} } = route;`]
+        : []),
+    );
+  } else if (routeKeys.length > 0) {
+    lines.unshift(`const { ${routeKeys.join(", ")} } = useRoute();`);
+  }
+  if (nuxtAppKeys.length > 0) {
+    lines.push(`const { ${nuxtAppKeys.join(", ")} } = useNuxtApp();`);
+  }
+  if (unsupportedKeys.length > 0) {
+    lines.push(
+      fixme(
+        options,
+        "async-data-context-key",
+        `${unsupportedKeys.join(", ")} from the Nuxt 2 context ${unsupportedKeys.length > 1 ? "have" : "has"} no direct Nuxt 3 equivalent`,
+        parameters,
+      ),
+    );
   }
 
-  return transformedContent;
+  return lines.length > 0 ? `${lines.join("\n")}\n\n` : "";
 }
 
-function isPropProperty(propName, propsData) {
-  if (!propsData) {
-    return false;
-  }
-
-  try {
-    // Parse props data (could be array or object format)
-    if (typeof propsData === "string") {
-      const propsObj = eval(`(${propsData})`);
-      if (propsObj) {
-        if (Array.isArray(propsObj)) {
-          // Array format: ['prop1', 'prop2']
-          return propsObj.includes(propName);
-        } else if (typeof propsObj === "object") {
-          // Object format: { prop1: { type: String }, prop2: Number }
-          return propsObj.hasOwnProperty(propName);
-        }
+// The defaultModel prop, value for components without a model option, is the
+// one v-model binds without an argument, updated through update:modelValue
+function splitModelProps(propsData, emitsData = [], defaultModel = null) {
+  const modelData = { models: [], propsData, emitsData: emitsData || [] };
+  if (!propsData || modelData.emitsData.length === 0) {
+    return modelData;
+  }
+
+  const parser = getScriptParser();
+  const source = `(${propsData})`;
+  const tree = parser.parse(source);
+  const propsNode =
+    tree.rootNode.namedChildren[0]?.namedChildren[0]?.namedChildren[0];
+  if (!propsNode || !["object", "array"].includes(propsNode.type)) {
+    return modelData;
+  }
+
+  const getEvent = (name) =>
+    `update:${name === defaultModel ? "modelValue" : name}`;
+  const isModel = (name) => modelData.emitsData.includes(getEvent(name));
+  const addModel = (name, options) =>
+    modelData.models.push({
+      name,
+      argument: name === defaultModel ? null : name,
+      event: getEvent(name),
+      options,
+    });
+  const remainingProps = [];
+
+  propsNode.namedChildren.forEach((prop) => {
+    const code = source.slice(prop.startIndex, prop.endIndex);
+
+    if (prop.type === "pair") {
+      const name = prop.namedChildren[0].text.replace(/['"]/g, "");
+      const valueNode = prop.namedChildren[1];
+      if (isModel(name)) {
+        // title: String -> { type: String }, title: { ... } is kept as-is
+        const valueCode = source.slice(
+          valueNode.startIndex,
+          valueNode.endIndex,
+        );
+        addModel(
+          name,
+          valueNode.type === "object" ? valueCode : `{ type: ${valueCode} }`,
+        );
+        return;
+      }
+    } else if (prop.type === "string") {
+      const name = prop.text.replace(/['"]/g, "");
+      if (isModel(name)) {
+        addModel(name, null);
+        return;
       }
+    } else if (
+      prop.type === "shorthand_property_identifier" &&
+      isModel(prop.text)
+    ) {
+      addModel(prop.text, `{ type: ${prop.text} }`);
+      return;
     }
-  } catch (error) {
-    // If parsing fails, assume it's not a prop
-    return false;
+
+    remainingProps.push(code);
+  });
+
+  if (modelData.models.length === 0) {
+    return modelData;
   }
 
-  return false;
-}
+  const modelEvents = modelData.models.map(({ event }) => event);
+  modelData.emitsData = modelData.emitsData.filter(
+    (emit) => !modelEvents.includes(emit),
+  );
 
-function transformStoreUsageInTemplate(content, vuexConfig) {
-  // Transform $store.state.namespace.property to storeInstanceName.property
-  Object.entries(vuexConfig).forEach(([namespace, config]) => {
-    const storeInstanceName = getStoreInstanceName(config);
-    const regex = new RegExp(`\\$store\\.state\\.${namespace}\\.(\\w+)`, "g");
-    content = content.replace(regex, `${storeInstanceName}.$1`);
-  });
+  if (remainingProps.length === 0) {
+    modelData.propsData = null;
+  } else if (propsNode.type === "array") {
+    modelData.propsData = `[${remainingProps.join(", ")}]`;
+  } else {
+    modelData.propsData = `{\n${remainingProps.join(",\n")}\n}`;
+  }
 
-  return content;
+  return modelData;
 }
 
-function transformComponentUsageInTemplate(content, options) {
-  let transformedContent = content;
+// Splits a watcher object, { handler() {}, immediate: true }, into its handler
+// function and the object of its other options, null when it has none
+function splitWatchOptions(content) {
+  const parser = getScriptParser();
+  const source = `(${content})`;
+  const tree = parser.parse(source);
+  const objectNode =
+    tree.rootNode.namedChildren[0]?.namedChildren[0]?.namedChildren[0];
+
+  let handler = null;
+  const watchOptions = [];
+  objectNode?.namedChildren.forEach((option) => {
+    const key =
+      option.childForFieldName("key") || option.childForFieldName("name");
+    const value = option.childForFieldName("value");
+
+    if (key?.text.replace(/['"]/g, "") !== "handler") {
+      watchOptions.push(option.text);
+    } else if (option.type === "method_definition") {
+      handler = option.text;
+    } else if (value?.type === "string") {
+      // handler: 'methodName'
+      handler = `(value, oldValue) {\nthis.${value.text.replace(/['"]/g, "")}(value, oldValue);\n}`;
+    } else if (value) {
+      handler = value.text;
+    }
+  });
 
-  // Handle additional imports component rewrites (like nuxt-link to router-link)
-  if (options.additionalImports) {
-    Object.entries(options.additionalImports).forEach(
-      ([componentName, config]) => {
-        if (config.rewriteTo) {
-          // Convert PascalCase to kebab-case for template matching
-          const kebabCase = componentName
-            .replace(/([A-Z])/g, "-$1")
-            .toLowerCase()
-            .replace(/^-/, "");
+  return {
+    handler,
+    watchOptions:
+      watchOptions.length > 0 ? `{ ${watchOptions.join(", ")} }` : null,
+  };
+}
 
-          // Replace both kebab-case and PascalCase versions
-          const kebabRegex = new RegExp(`<${kebabCase}(\\s|>)`, "g");
-          const pascalRegex = new RegExp(`<${componentName}(\\s|>)`, "g");
-          const kebabCloseRegex = new RegExp(`</${kebabCase}>`, "g");
-          const pascalCloseRegex = new RegExp(`</${componentName}>`, "g");
+// TypeScript types of the Vue prop constructors
+const PROP_CONSTRUCTOR_TYPES = {
+  String: "string",
+  Number: "number",
+  Boolean: "boolean",
+  Array: "unknown[]",
+  Object: "Record<string, unknown>",
+  Function: "(...args: any[]) => any",
+  Symbol: "symbol",
+  null: "any",
+};
 
-          const targetKebab = config.rewriteTo
-            .replace(/([A-Z])/g, "-$1")
-            .toLowerCase()
-            .replace(/^-/, "");
+// This function translates props annotated with PropType<> to the members and
+// defaults of a type-based defineProps(), or returns null when the props have
+// no annotation or options a type can't express, such as validators
+function getTypedProps(propsData) {
+  if (!propsData || !/\bPropType\s*</.test(propsData)) {
+    return null;
+  }
 
-          transformedContent = transformedContent
-            .replace(kebabRegex, `<${targetKebab}$1`)
-            .replace(pascalRegex, `<${config.rewriteTo}$1`)
-            .replace(kebabCloseRegex, `</${targetKebab}>`)
-            .replace(pascalCloseRegex, `</${config.rewriteTo}>`);
-        }
-      },
-    );
+  const parser = getScriptParser();
+  const source = `(${propsData})`;
+  const tree = parser.parse(source);
+  const propsNode =
+    tree.rootNode.namedChildren[0]?.namedChildren[0]?.namedChildren[0];
+  if (propsNode?.type !== "object") {
+    return null;
   }
 
-  // Handle import rewrites component transformations
-  if (options.importsRewrite) {
-    Object.entries(options.importsRewrite).forEach(
-      ([importPath, rewriteConfig]) => {
-        if (rewriteConfig.componentRewrite) {
-          Object.entries(rewriteConfig.componentRewrite).forEach(
-            ([oldComponent, newComponent]) => {
-              // Convert to kebab-case
-              const oldKebab = oldComponent
-                .replace(/([A-Z])/g, "-$1")
-                .toLowerCase()
-                .replace(/^-/, "");
-              const newKebab = newComponent
-                .replace(/([A-Z])/g, "-$1")
-                .toLowerCase()
-                .replace(/^-/, "");
+  const members = [];
+  const defaults = [];
 
-              // Replace both PascalCase and kebab-case versions
-              const oldPascalRegex = new RegExp(`<${oldComponent}(\\s|>)`, "g");
-              const oldKebabRegex = new RegExp(`<${oldKebab}(\\s|>)`, "g");
-              const oldPascalCloseRegex = new RegExp(`</${oldComponent}>`, "g");
-              const oldKebabCloseRegex = new RegExp(`</${oldKebab}>`, "g");
+  for (const prop of propsNode.namedChildren) {
+    if (prop.type === "comment") {
+      members.push(prop.text);
+      continue;
+    }
+    if (prop.type !== "pair") {
+      return null;
+    }
 
-              transformedContent = transformedContent
-                .replace(oldPascalRegex, `<${newComponent}$1`)
-                .replace(oldKebabRegex, `<${newKebab}$1`)
-                .replace(oldPascalCloseRegex, `</${newComponent}>`)
-                .replace(oldKebabCloseRegex, `</${newKebab}>`);
-            },
-          );
+    const key = prop.childForFieldName("key").text;
+    const valueNode = prop.childForFieldName("value");
+    let typeNode = valueNode;
+    let required = false;
+
+    if (valueNode.type === "object") {
+      typeNode = null;
+      for (const option of valueNode.namedChildren) {
+        const name =
+          option.type === "comment"
+            ? null
+            : option.childForFieldName("key")?.text ||
+              option.childForFieldName("name")?.text;
+
+        if (option.type === "pair" && name === "type") {
+          typeNode = option.childForFieldName("value");
+        } else if (option.type === "pair" && name === "required") {
+          required = option.childForFieldName("value").text === "true";
+        } else if (option.type === "pair" && name === "default") {
+          defaults.push(`${key}: ${option.childForFieldName("value").text}`);
+        } else if (option.type === "method_definition" && name === "default") {
+          // default() { ... } -> () => { ... }
+          const parameters = option.childForFieldName("parameters").text;
+          const body = option.childForFieldName("body").text;
+          defaults.push(`${key}: ${parameters} => ${body}`);
+        } else if (option.type !== "comment") {
+          return null;
         }
-      },
-    );
+      }
+    }
+
+    const type = typeNode ? getPropType(typeNode) : "unknown";
+    if (!type) {
+      return null;
+    }
+    members.push(`${key}${required ? "" : "?"}: ${type};`);
   }
 
-  return transformedContent;
+  return { members, defaults };
 }
 
-function transformMethodBody(
-  methodBody,
-  hasAxios,
-  hasEventBus = false,
-  hasNuxtCompat = false,
-  refsData = null,
-  hasConfig = false,
+// Returns the TypeScript type of a prop type option, or null
+function getPropType(node) {
+  if (node.type === "as_expression") {
+    // Object as PropType<User>, or Object as () => User in older code
+    const annotation = node.namedChildren[1];
+    if (
+      annotation?.type === "generic_type" &&
+      annotation.childForFieldName("name").text === "PropType"
+    ) {
+      return annotation
+        .childForFieldName("type_arguments")
+        .namedChildren.map((argument) => argument.text)
+        .join(", ");
+    }
+    if (annotation?.type === "function_type") {
+      return annotation.childForFieldName("return_type").text;
+    }
+    return null;
+  }
+
+  if (node.type === "array") {
+    const types = node.namedChildren.map(getPropType);
+    return types.every(Boolean) ? types.join(" | ") : null;
+  }
+
+  if (node.type === "identifier" || node.type === "null") {
+    // Other constructors, like Date or classes, are instance types
+    return Object.hasOwn(PROP_CONSTRUCTOR_TYPES, node.text)
+      ? PROP_CONSTRUCTOR_TYPES[node.text]
+      : node.text;
+  }
+
+  return null;
+}
+
+// Quotes an object type key when it isn't a valid identifier
+function formatPropertyKey(name) {
+  return /^[A-Za-z_$][\w$]*$/.test(name) ? name : `'${name}'`;
+}
+
+// Type-only imports are written `import type { A }` when every name is a
+// type, with inline type modifiers otherwise
+function formatNamedImport(names, path) {
+  const isTypeImport = names.every((name) => name.startsWith("type "));
+  const specifiers = isTypeImport
+    ? names.map((name) => name.replace(/^type /, ""))
+    : names;
+  return `import ${isTypeImport ? "type " : ""}{ ${specifiers.join(", ")} } from '${path}';`;
+}
+
+function transformModelEvents(content, modelOption) {
+  // Vue 2 v-model listens to the event of the `model` option, Vue 3 to
+  // update:<prop>. Without the option it is the 'input' event of the 'value'
+  // prop, which becomes the Vue 3 default update:modelValue.
+  const prop = modelOption ? modelOption.prop : "modelValue";
+  const event = modelOption?.event || "input";
+
+  const parser = getScriptParser();
+  const tree = parser.parse(content);
+  const replacements = [];
+
+  function traverse(node) {
+    if (node.type === "call_expression") {
+      const calleeNode = node.namedChildren[0];
+      const argumentsNode = node.namedChildren[1];
+      const eventNameNode = argumentsNode?.namedChildren[0];
+
+      if (
+        calleeNode?.type === "member_expression" &&
+        calleeNode.namedChildren[0]?.text === "this" &&
+        calleeNode.namedChildren[1]?.text === "$emit" &&
+        eventNameNode?.type === "string" &&
+        eventNameNode.text.replace(/['"]/g, "") === event
+      ) {
+        replacements.push({
+          start: eventNameNode.startIndex,
+          end: eventNameNode.endIndex,
+          replacement: `'update:${prop}'`,
+        });
+      }
+    }
+
+    node.namedChildren.forEach((child) => traverse(child));
+  }
+
+  traverse(tree.rootNode);
+
+  // Apply replacements from end to start to maintain correct indices
+  replacements.sort((a, b) => b.start - a.start);
+
+  let result = content;
+  for (const { start, end, replacement } of replacements) {
+    result = result.substring(0, start) + replacement + result.substring(end);
+  }
+
+  return result;
+}
+
+function transformModelReferences(
+  content,
+  models,
+  propsName = "props",
+  emitName = "emit",
+) {
+  const parser = getScriptParser();
+  const tree = parser.parse(content);
+  const replacements = [];
+
+  function traverse(node) {
+    // props.title -> title.value
+    if (node.type === "member_expression") {
+      const objectNode = node.namedChildren[0];
+      const propertyNode = node.namedChildren[1];
+      if (
+        objectNode?.type === "identifier" &&
+        objectNode.text === propsName &&
+        models.some(({ name }) => name === propertyNode?.text)
+      ) {
+        replacements.push({
+          start: node.startIndex,
+          end: node.endIndex,
+          replacement: `${propertyNode.text}.value`,
+        });
+        return;
+      }
+    }
+
+    // emit('update:title', v) -> title.value = v
+    if (node.type === "call_expression") {
+      const calleeNode = node.namedChildren[0];
+      const args = node.namedChildren[1]?.namedChildren || [];
+      const eventName =
+        args[0]?.type === "string" ? args[0].text.replace(/['"]/g, "") : null;
+      const model = models.find(({ event }) => event === eventName);
+
+      if (
+        calleeNode?.type === "identifier" &&
+        calleeNode.text === emitName &&
+        model &&
+        args.length === 2
+      ) {
+        replacements.push({
+          start: node.startIndex,
+          end: node.endIndex,
+          replacement: `${model.name}.value = ${transformModelReferences(
+            content.slice(args[1].startIndex, args[1].endIndex),
+            models,
+            propsName,
+            emitName,
+          )}`,
+        });
+        return;
+      }
+    }
+
+    node.namedChildren.forEach((child) => traverse(child));
+  }
+
+  traverse(tree.rootNode);
+
+  // Apply replacements from end to start to maintain correct indices
+  replacements.sort((a, b) => b.start - a.start);
+
+  let result = content;
+  for (const { start, end, replacement } of replacements) {
+    result = result.substring(0, start) + replacement + result.substring(end);
+  }
+
+  return result;
+}
+
+function commentOut(code) {
+  return code
+    .split("\n")
+    .map((line) => `// ${line.trim()}`)
+    .join("\n");
+}
+
+function transformPageMeta(pageMeta, options = null) {
+  const properties = pageMeta.map((option) => {
+    const property = option.isMethod
+      ? option.code
+      : `${option.name}: ${option.code}`;
+    const note = (code, message) =>
+      fixme(options, code, message, property.split("\n")[0]);
+
+    switch (option.name) {
+      case "layout":
+        if (option.isFunction) {
+          return `${note("page-meta-layout-function", "definePageMeta does not support layout functions, use a static layout or setPageLayout()")}\n${commentOut(property)}`;
+        }
+        return property;
+      case "middleware":
+        if (!option.isStatic) {
+          return `${note("page-meta-middleware-context", "Nuxt 3 route middleware receives (to, from) instead of the Nuxt 2 context")}\n${property}`;
+        }
+        return property;
+      case "transition":
+        if (option.isFunction) {
+          return `${note("page-meta-transition-function", "pageTransition does not support functions, use a static transition")}\n${commentOut(property)}`;
+        }
+        return option.code.startsWith("{")
+          ? `pageTransition: ${option.code}`
+          : `pageTransition: { name: ${option.code} }`;
+      case "validate": {
+        // Nuxt 3 passes the route, which only has params and query in common
+        // with the Nuxt 2 context
+        const [param] = option.params;
+        const usesRouteOnly =
+          param?.type === "object_pattern" &&
+          param.namedChildren.every((child) =>
+            ["params", "query"].includes(
+              (child.namedChildren[0] || child).text,
+            ),
+          );
+        if (!usesRouteOnly) {
+          return `${note("page-meta-validate-context", "validate receives the route instead of the Nuxt 2 context")}\n${property}`;
+        }
+        return property;
+      }
+      case "watchQuery":
+        return `${note("page-meta-watch-query", "watchQuery has no Nuxt 3 equivalent, watch route.query and refresh the page data instead")}\n${commentOut(property)}`;
+      case "loading":
+        return `${note("page-meta-loading", "the per-page loading option has no Nuxt 3 equivalent, use the <NuxtLoadingIndicator> component instead")}\n${commentOut(property)}`;
+      default:
+        // scrollToTop and key keep their name and signature
+        return property;
+    }
+  });
+
+  return `definePageMeta({\n${properties.join(",\n")},\n});`;
+}
+
+function transformPageMetaToRouteBlock(pageMeta, options = null) {
+  const properties = pageMeta.map((option) => {
+    const property = option.isMethod
+      ? option.code
+      : `${option.name}: ${option.code}`;
+    const note = (code, message) =>
+      fixme(options, code, message, property.split("\n")[0]);
+
+    if (option.name === "watchQuery" || option.name === "loading") {
+      return `${note("route-meta-unsupported", `${option.name} has no Vue Router equivalent`)}\n${commentOut(property)}`;
+    }
+    if (option.name === "validate") {
+      return `${note("route-meta-validate", "validate has no route meta equivalent, use a beforeEnter navigation guard instead")}\n${commentOut(property)}`;
+    }
+    if (!option.isStatic) {
+      return `${note("route-meta-not-serializable", `route meta must be serializable, move ${option.name} to the router configuration`)}\n${commentOut(property)}`;
+    }
+    return `${property},`;
+  });
+
+  return `<route lang="json5">\n{\n  meta: {\n${properties
+    .join("\n")
+    .split("\n")
+    .map((line) => `    ${line}`)
+    .join("\n")}\n  },\n}\n</route>`;
+}
+
+function transformSyncModifiers(content) {
+  // :title.sync="x" / v-bind:title.sync="x" -> v-model:title="x"
+  return content.replace(
+    /(\s)(?::|v-bind:)([a-zA-Z0-9_-]+)\.sync(?=\s*=)/g,
+    "$1v-model:$2",
+  );
+}
+
+// This function migrates the listeners of a template to the Vue 3 attrs model,
+// where listeners are attrs and components only emit their declared events:
+// - @click.native="x" -> @click="x"
+// - v-on="$listeners" -> v-bind="$attrs", or dropped when the element already
+//   binds $attrs
+// - :change="$listeners.input" -> :change="$attrs.onInput"
+// Unless the component sets inheritAttrs: false, its root element inherits the
+// listeners as well, which is reported for the other elements. Other uses of
+// $listeners, like spreading it into an object, are marked with a FIXME.
+function transformListenersInTemplate(
+  content,
+  options = {},
+  inheritAttrs = true,
+) {
+  // @click.native.prevent="x" / v-on:click.native="x" -> @click.prevent="x"
+  const result = content.replace(
+    /(\s(?:@|v-on:)[\w-]+(?:\.[\w-]+)*?)\.native\b/g,
+    "$1",
+  );
+  if (!/\$listeners\b/.test(result)) {
+    return result;
+  }
+
+  // The compiler trims the template, so offsets are relative to the first tag
+  const { ast } = compiler.compile(result, { outputSourceRange: true });
+  const offset = result.length - result.trimStart().length;
+  const replacements = [];
+  const visited = new Set();
+
+  function traverse(node) {
+    if (!node || node.type !== 1 || visited.has(node)) return;
+    visited.add(node);
+
+    const attrs = node.rawAttrsMap || {};
+    const listeners =
+      attrs["v-on"]?.value.trim() === "$listeners" ? attrs["v-on"] : null;
+    if (listeners) {
+      const end = listeners.end + offset;
+      let start = listeners.start + offset;
+      const source = result.slice(start, end);
+
+      if (attrs["v-bind"]?.value.trim() === "$attrs") {
+        // Drop the attribute together with the whitespace in front of it
+        while (start > 0 && /\s/.test(result[start - 1])) start--;
+        replacements.push({ start, end, replacement: "" });
+      } else {
+        replacements.push({ start, end, replacement: 'v-bind="$attrs"' });
+      }
+
+      if (inheritAttrs && node !== ast) {
+        report(
+          options,
+          "listeners-inherited",
+          `v-on="$listeners" is merged into v-bind="$attrs", set inheritAttrs: false for the <${node.tag}> to be the only element receiving the listeners`,
+          { source },
+        );
+      }
+    }
+
+    let unsupported = null;
+    Object.values(attrs).forEach((attr) => {
+      if (attr === listeners || !/\$listeners\b/.test(attr.value)) return;
+
+      const value = attr.value.replace(
+        /\$listeners\.([A-Za-z_$][\w$]*)/g,
+        (match, event) => `$attrs.on${event[0].toUpperCase()}${event.slice(1)}`,
+      );
+      if (/\$listeners\b/.test(value)) {
+        unsupported ??= attr;
+      }
+      if (value !== attr.value) {
+        const quote = value.includes('"') ? "'" : '"';
+        replacements.push({
+          start: attr.start + offset,
+          end: attr.end + offset,
+          replacement: `${attr.name}=${quote}${value}${quote}`,
+        });
+      }
+    });
+
+    if (unsupported) {
+      const comment = templateFixme(
+        options,
+        "listeners-unsupported",
+        "$listeners is merged into $attrs in Vue 3, the listeners are its on* properties",
+        result.slice(unsupported.start + offset, unsupported.end + offset),
+      );
+      const start = node.start + offset;
+      const indent = result.slice(0, start).match(/[ \t]*$/)[0];
+      replacements.push({
+        start,
+        end: start,
+        replacement: `${comment}\n${indent}`,
+      });
+    }
+
+    (node.children || []).forEach((child) => traverse(child));
+    Object.values(node.scopedSlots || {}).forEach((child) => traverse(child));
+    (node.ifConditions || []).forEach(({ block }) => traverse(block));
+  }
+
+  traverse(ast);
+  return applyReplacements(result, replacements);
+}
+
+function transformSlotsInTemplate(content) {
+  if (!/\s(?:slot|slot-scope|scope|:slot|v-bind:slot)\s*=/.test(content)) {
+    return content.replace(/\$scopedSlots\b/g, "$slots");
+  }
+
+  // The compiler trims the template, so offsets are relative to the first tag
+  const { ast } = compiler.compile(content, { outputSourceRange: true });
+  const offset = content.length - content.trimStart().length;
+  const replacements = [];
+  const visited = new Set();
+
+  const quote = (value) => (value.includes('"') ? `'${value}'` : `"${value}"`);
+
+  // Replaces an attribute together with the whitespace in front of it
+  const replaceAttribute = (attr, replacement = "") => {
+    let start = attr.start + offset;
+    while (start > 0 && /\s/.test(content[start - 1])) start--;
+    replacements.push({ start, end: attr.end + offset, replacement });
+  };
+
+  // Loose children moved into the explicit default slot of their parent
+  const moves = [];
+
+  // Returns the slot an element is passed to, or null for the default
+  // content of its parent
+  const getSlotName = (node) => {
+    const attrs = node.rawAttrsMap || {};
+    const vSlot = Object.keys(attrs).find((name) => /^(?:v-slot|#)/.test(name));
+    if (vSlot) {
+      return vSlot.replace(/^(?:v-slot:?|#)/, "") || "default";
+    }
+    if (attrs.slot || attrs[":slot"] || attrs["v-bind:slot"]) {
+      return attrs.slot?.value || "[dynamic]";
+    }
+    const scopeAttr =
+      attrs["slot-scope"] || (node.tag === "template" ? attrs.scope : null);
+    return scopeAttr ? "default" : null;
+  };
+
+  // Vue 3 rejects an explicit default slot next to loose children, which are
+  // moved into it
+  function collectDefaultSlotMoves(node) {
+    const children = [
+      ...(node.children || []),
+      ...Object.values(node.scopedSlots || {}),
+    ]
+      .filter((child) => child.type === 1 || child.text?.trim())
+      .map((child) => {
+        // v-else branches are kept on the v-if element
+        let start = child.start + offset;
+        let end =
+          Math.max(
+            child.end,
+            ...(child.ifConditions || []).map(({ block }) => block.end),
+          ) + offset;
+        while (/\s/.test(content[start])) start++;
+        while (/\s/.test(content[end - 1])) end--;
+        return {
+          start,
+          end,
+          slot: child.type === 1 ? getSlotName(child) : null,
+          tag: child.tag,
+        };
+      });
+
+    const defaultSlots = children.filter(({ slot }) => slot === "default");
+    const loose = children.filter(({ slot }) => slot === null);
+    if (defaultSlots.length !== 1 || loose.length === 0) return;
+
+    // Inside the <template> or after the element wrapped in one
+    const [defaultSlot] = defaultSlots;
+    const closingTag = "</template>";
+    const at =
+      defaultSlot.tag === "template" &&
+      content.slice(defaultSlot.end - closingTag.length, defaultSlot.end) ===
+        closingTag
+        ? defaultSlot.end - closingTag.length
+        : defaultSlot.end;
+    moves.push({ at, children: loose });
+  }
+
+  function traverse(node) {
+    if (!node || node.type !== 1 || visited.has(node)) return;
+    visited.add(node);
+
+    const attrs = node.rawAttrsMap || {};
+    const slotAttr = attrs.slot;
+    const dynamicSlotAttr = attrs[":slot"] || attrs["v-bind:slot"];
+    // The legacy scope attribute only applied to <template>, <th scope> is HTML
+    const scopeAttr =
+      attrs["slot-scope"] || (node.tag === "template" ? attrs.scope : null);
+
+    if (slotAttr || dynamicSlotAttr || (scopeAttr && node.tag !== "slot")) {
+      const slotName = dynamicSlotAttr
+        ? `[${dynamicSlotAttr.value}]`
+        : slotAttr?.value || "default";
+      const directive = `#${slotName}${scopeAttr ? `=${quote(scopeAttr.value)}` : ""}`;
+
+      const slotAttrs = [slotAttr, dynamicSlotAttr, scopeAttr]
+        .filter(Boolean)
+        .sort((a, b) => a.start - b.start);
+
+      if (node.tag === "template") {
+        // The directive takes the place of the first slot attribute
+        slotAttrs.forEach((attr, index) =>
+          replaceAttribute(attr, index === 0 ? ` ${directive}` : ""),
+        );
+      } else {
+        slotAttrs.forEach((attr) => replaceAttribute(attr));
+
+        // v-slot only works on <template>, so wrap the element and move
+        // its conditionals to the wrapper to keep v-if/v-else chains intact
+        const conditionals = ["v-if", "v-else-if", "v-else"]
+          .map((name) => attrs[name])
+          .filter(Boolean);
+        conditionals.forEach((attr) => replaceAttribute(attr));
+
+        const conditionalCode = conditionals
+          .map((attr) => content.slice(attr.start + offset, attr.end + offset))
+          .join(" ");
+        replacements.push({
+          start: node.start + offset,
+          end: node.start + offset,
+          replacement: `<template ${conditionalCode ? `${conditionalCode} ` : ""}${directive}>`,
+        });
+        replacements.push({
+          start: node.end + offset,
+          end: node.end + offset,
+          replacement: "</template>",
+        });
+      }
+    }
+
+    collectDefaultSlotMoves(node);
+
+    (node.children || []).forEach((child) => traverse(child));
+    Object.values(node.scopedSlots || {}).forEach((child) => traverse(child));
+    (node.ifConditions || []).forEach(({ block }) => traverse(block));
+  }
+
+  traverse(ast);
+
+  // Moved children take the replacements inside them along, the insertions
+  // come after the closing tags of wrapped elements at the same position
+  moves.forEach(({ at, children }) => {
+    const moved = children.map(({ start, end }) => {
+      // Insertions at the edges belong to the siblings
+      const inner = replacements.filter(
+        (replacement) =>
+          replacement.start >= start &&
+          replacement.end <= end &&
+          !(
+            replacement.start === replacement.end &&
+            [start, end].includes(replacement.start)
+          ),
+      );
+      inner.forEach((replacement) =>
+        replacements.splice(replacements.indexOf(replacement), 1),
+      );
+      return applyReplacements(content.slice(start, end), inner, start);
+    });
+
+    children.forEach(({ start, end }) => {
+      let removedStart = start;
+      while (removedStart > 0 && /\s/.test(content[removedStart - 1])) {
+        removedStart--;
+      }
+      replacements.push({ start: removedStart, end, replacement: "" });
+    });
+    replacements.push({ start: at, end: at, replacement: moved.join("\n") });
+  });
+
+  // Apply replacements from end to start to maintain correct indices,
+  // closing tags before the opening tags inserted at the same position
+  return applyReplacements(content, replacements).replace(
+    /\$scopedSlots\b/g,
+    "$slots",
+  );
+}
+
+// Applies { start, end, replacement } to a text starting at offset base of
+// the original, from end to start to maintain correct indices. Closing tags
+// come before the opening tags inserted at the same position.
+function applyReplacements(text, replacements, base = 0) {
+  let result = text;
+  [...replacements]
+    .sort((a, b) => b.start - a.start || b.end - a.end)
+    .forEach(({ start, end, replacement }) => {
+      result =
+        result.substring(0, start - base) +
+        replacement +
+        result.substring(end - base);
+    });
+  return result;
+}
+
+// Returns the parameters of the composable a mixin becomes, emit comes second
+// so props is taken even when only emit is used
+function getComposableParameters(hasProps, hasEmits) {
+  if (hasEmits) return ["props", "emit"];
+  return hasProps ? ["props"] : [];
+}
+
+function transformToComposable(
+  setupContent,
+  composableName,
+  returnMembers,
+  topLevelCode = [],
+  hasProps = false,
+  hasEmits = false,
+) {
+  const parser = getScriptParser();
+  const tree = parser.parse(setupContent);
+
+  // Imports and top-level code stay at module level, defineProps/defineEmits
+  // are replaced by the composable parameters and the rest becomes its body
+  const topLevelStatements = new Set(topLevelCode.map((code) => code.trim()));
+  const imports = [];
+  const moduleCode = [];
+  const removedRanges = [];
+
+  tree.rootNode.namedChildren.forEach((node) => {
+    const code = setupContent.slice(node.startIndex, node.endIndex);
+
+    if (node.type === "import_statement") {
+      imports.push(code);
+      removedRanges.push(node);
+    } else if (topLevelStatements.has(code.trim())) {
+      moduleCode.push(code);
+      removedRanges.push(node);
+    } else if (node.type === "lexical_declaration") {
+      const declarator = node.namedChildren[0];
+      const value = declarator?.childForFieldName("value");
+      const callee =
+        value?.type === "call_expression" ? value.namedChildren[0] : null;
+      if (callee && ["defineProps", "defineEmits"].includes(callee.text)) {
+        removedRanges.push(node);
+      }
+    }
+  });
+
+  let body = "";
+  let cursor = 0;
+  removedRanges.forEach((node) => {
+    body += setupContent.slice(cursor, node.startIndex);
+    cursor = node.endIndex;
+  });
+  body += setupContent.slice(cursor);
+
+  const parameters = getComposableParameters(hasProps, hasEmits);
+
+  let result = imports.join("\n");
+  if (moduleCode.length > 0) {
+    result += `\n\n${moduleCode.join("\n\n")}`;
+  }
+  result += `\n\nexport function ${composableName}(${parameters.join(", ")}) {\n${body.trim()}\n\nreturn { ${returnMembers.join(", ")} };\n}\n`;
+
+  return result;
+}
+
+function transformComputedFunction(
+  functionContent,
+  hasAxios,
+  hasEventBus = false,
+  hasNuxtCompat = false,
+  refsData = null,
+  hasConfig = false,
   hasFilters = false,
   hasNextTick = false,
   routerData = null,
@@ -1124,515 +2109,964 @@ function transformMethodBody(
   vuexData = null,
   mixinData = null,
 ) {
-  let transformedBody = methodBody
-    .replace(/this\.\$([tnd])\(/g, "$1(") // Replace this.$t( with t(
-    .replace(/this\.\$i18n\.localeProperties/g, "localeProperties") // Replace this.$i18n.localeProperties with localeProperties
-    .replace(/this\.\$i18n\.locale/g, "locale.value") // Replace this.$i18n.locale with locale.value
-    .replace(/^\s*{\s*/, "") // Remove opening brace and whitespace
-    .replace(/\s*}\s*$/, ""); // Remove closing brace and whitespace
-
-  // Transform filters usage
-  if (hasFilters) {
-    transformedBody = transformedBody.replace(
-      /this\.\$options\.filters\.(\w+)/g,
-      "$1",
-    );
+  // For computed functions, we need to preserve the braces but transform the content inside
+  if (!functionContent || functionContent === "{}") {
+    return "{}";
   }
 
-  // Transform this.$emit calls to emit calls and convert 'input' to 'update:value'
-  transformedBody = transformedBody.replace(
-    /this\.\$emit\(\s*['"]([^'"]+)['"]\s*(,.*?)?\)/g,
-    (match, eventName, args) => {
-      // Transform 'input' events to 'update:value' for v-model compatibility
-      const transformedEventName =
-        eventName === "input" ? "update:value" : eventName;
-      return `emit('${transformedEventName}'${args || ""})`;
-    },
+  // Use transformMethodBody but don't strip braces since computed needs them
+  let transformedContent = transformMethodBody(
+    functionContent,
+    hasAxios,
+    hasEventBus,
+    hasNuxtCompat,
+    refsData,
+    hasConfig,
+    hasFilters,
+    hasNextTick,
+    routerData,
+    options,
+    availableMethods,
+    dataProperties,
+    computedData,
+    propsData,
+    vuexData,
+    mixinData,
   );
 
-  // Transform Vue 2 $set and $delete to Vue 3 syntax
-  // this.$set(object, key, value) -> object[key] = value or object.key = value
-  transformedBody = transformedBody.replace(
-    /this\.\$set\(\s*([^,]+)\s*,\s*([^,]+)\s*,\s*([^)]+)\s*\)/g,
-    (match, object, key, value) => {
-      // Check if key is a simple quoted string that can be converted to dot notation
-      const trimmedKey = key.trim();
-      // Match quoted strings that contain only valid identifier characters
-      const simpleQuotedString = trimmedKey.match(/^['"]([a-zA-Z_$][a-zA-Z0-9_$]*)['"]$/);
-      
-      if (simpleQuotedString) {
-        // Simple quoted string - use dot notation
-        return `${object}.${simpleQuotedString[1]} = ${value}`;
-      } else if (/^[a-zA-Z_$][a-zA-Z0-9_$]*$/.test(trimmedKey)) {
-        // Unquoted simple identifier - use dot notation
-        return `${object}.${trimmedKey} = ${value}`;
-      } else {
-        // Complex key (template literal, expression, complex string) - use bracket notation
-        return `${object}[${key}] = ${value}`;
+  // transformMethodBody strips braces, so we need to add them back for computed functions
+  if (!transformedContent.startsWith("{")) {
+    transformedContent = `{ ${transformedContent} }`;
+  }
+
+  return transformedContent;
+}
+
+function isPropProperty(propName, propsData) {
+  return getPropNames(propsData).includes(propName);
+}
+
+// Lists the names declared by props in array or object format. The props are
+// parsed rather than evaluated, they may reference imports or carry types.
+function getPropNames(propsData) {
+  if (typeof propsData !== "string") {
+    return [];
+  }
+
+  const tree = getScriptParser().parse(`(${propsData})`);
+  const propsNode =
+    tree.rootNode.namedChildren[0]?.namedChildren[0]?.namedChildren[0];
+
+  if (propsNode?.type === "array") {
+    // Array format: ['prop1', 'prop2']
+    return propsNode.namedChildren
+      .filter((prop) => prop.type === "string")
+      .map((prop) => prop.text.replace(/['"]/g, ""));
+  }
+  if (propsNode?.type === "object") {
+    // Object format: { prop1: { type: String }, prop2: Number }
+    return propsNode.namedChildren.flatMap((prop) => {
+      if (prop.type === "pair" || prop.type === "method_definition") {
+        const key = prop.namedChildren[0];
+        return key ? [key.text.replace(/['"]/g, "")] : [];
       }
-    },
-  );
+      return prop.type === "shorthand_property_identifier" ? [prop.text] : [];
+    });
+  }
+  return [];
+}
 
-  // this.$delete(object, key) -> delete object[key] or delete object.key
-  transformedBody = transformedBody.replace(
-    /this\.\$delete\(\s*([^,]+)\s*,\s*([^)]+)\s*\)/g,
-    (match, object, key) => {
-      // Check if key is a simple quoted string that can be converted to dot notation
-      const trimmedKey = key.trim();
-      // Match quoted strings that contain only valid identifier characters
-      const simpleQuotedString = trimmedKey.match(/^['"]([a-zA-Z_$][a-zA-Z0-9_$]*)['"]$/);
-      
-      if (simpleQuotedString) {
-        // Simple quoted string - use dot notation
-        return `delete ${object}.${simpleQuotedString[1]}`;
-      } else if (/^[a-zA-Z_$][a-zA-Z0-9_$]*$/.test(trimmedKey)) {
-        // Unquoted simple identifier - use dot notation
-        return `delete ${object}.${trimmedKey}`;
-      } else {
-        // Complex key (template literal, expression, complex string) - use bracket notation
-        return `delete ${object}[${key}]`;
+// Maps the names declared by props to the source of their declarations,
+// null for props declared in array format
+function getPropDeclarations(propsData) {
+  if (typeof propsData !== "string") {
+    return {};
+  }
+
+  const tree = getScriptParser().parse(`(${propsData})`);
+  const propsNode =
+    tree.rootNode.namedChildren[0]?.namedChildren[0]?.namedChildren[0];
+
+  if (propsNode?.type !== "object") {
+    return Object.fromEntries(
+      getPropNames(propsData).map((name) => [name, null]),
+    );
+  }
+  return Object.fromEntries(
+    propsNode.namedChildren.flatMap((prop) => {
+      if (prop.type === "pair") {
+        const key = prop.childForFieldName("key");
+        const value = prop.childForFieldName("value");
+        return [[key.text.replace(/['"]/g, ""), value.text]];
       }
-    },
+      return prop.type === "shorthand_property_identifier"
+        ? [[prop.text, prop.text]]
+        : [];
+    }),
   );
+}
 
-  // First, comment out entire lines that contain undefined variables (do this early)
-  const lines = transformedBody.split("\n");
-  const processedLines = lines.map((line) => {
-    const trimmedLine = line.trim();
-    // Check if line contains this.someProperty
-    const thisPropertyMatch = trimmedLine.match(/this\.(\w+)[\s;\)]/);
-    if (thisPropertyMatch) {
-      const propName = thisPropertyMatch[1];
-      // Don't check method names or known properties
-      if (
-        availableMethods &&
-        (availableMethods[propName] ||
-          typeof availableMethods[propName] === "object")
-      ) {
-        return line;
-      }
+// Adds the props of the mixins used to the props declared by the component,
+// the composables of the mixins read them from the component's props
+function mergeMixinProps(propsData, usedMixins) {
+  const declared = new Set(getPropNames(propsData));
+  const additions = usedMixins
+    .flatMap((mixin) => Object.entries(mixin.config.props || {}))
+    .filter(([name]) => !declared.has(name) && declared.add(name));
+  if (additions.length === 0) {
+    return propsData;
+  }
 
-      // Check if variable is defined in component scope
-      const isDefinedVariable = isVariableDefined(
-        propName,
-        dataProperties,
-        computedData,
-        propsData,
-        availableMethods,
-        vuexData,
-        mixinData,
-      );
+  const members = additions.map(
+    ([name, declaration]) =>
+      `  ${formatPropertyKey(name)}: ${declaration ?? "null"}`,
+  );
+  const source = propsData?.trim() || "";
+  if (source.startsWith("{") && source.endsWith("}")) {
+    // Object props keep their source, the mixin props are appended
+    const body = source.slice(0, -1).replace(/[\s,]*$/, "");
+    const separator = body === "{" ? "\n" : ",\n";
+    return `${body}${separator}${members.join(",\n")},\n}`;
+  }
 
-      if (!isDefinedVariable) {
-        // Comment out the entire line and add FIXME
-        const indent = line.match(/^(\s*)/)?.[1] || "";
-        return `${indent}// FIXME: undefined variable '${propName}'\n${indent}${trimmedLine}`;
-      }
-    }
-    return line;
+  const declarations = Object.entries(getPropDeclarations(propsData)).map(
+    ([name, declaration]) =>
+      `  ${formatPropertyKey(name)}: ${declaration ?? "null"}`,
+  );
+  return `{\n${[...declarations, ...members].join(",\n")},\n}`;
+}
+
+function transformStoreUsageInTemplate(content, vuexConfig) {
+  // Transform $store.state.namespace.property to storeInstanceName.property
+  Object.entries(vuexConfig).forEach(([namespace, config]) => {
+    const storeInstanceName = getStoreInstanceName(config);
+    const regex = new RegExp(`\\$store\\.state\\.${namespace}\\.(\\w+)`, "g");
+    content = content.replace(regex, `${storeInstanceName}.$1`);
   });
-  transformedBody = processedLines.join("\n");
 
-  // Replace $axios with http and transform property access
-  if (hasAxios) {
-    transformedBody = transformedBody
-      .replace(/this\.\$axios\s*/g, "http") // Replace this.$axios with http
-      .replace(/this\.(\w+)\s*=/g, "$1.value ="); // Replace this.prop = with prop.value =
+  return content;
+}
+
+function transformFilterExpression(expression, filterNames) {
+  // Rewrite `a | f1(arg) | f2` to `f2(f1(a, arg))`
+  const { expression: value, filters } = parseFilters(expression);
+  if (filters.length === 0) {
+    return expression;
   }
 
-  // Replace $fetch() calls
-  transformedBody = transformedBody.replace(/this\.\$fetch/g, "fetch");
+  return filters.reduce((result, filter) => {
+    filterNames.add(filter.name);
+    return `${filter.name}(${result}${filter.args ? `, ${filter.args}` : ""})`;
+  }, value);
+}
 
-  // Replace nextTick usage before generic method transformations
-  if (hasNextTick) {
-    transformedBody = transformedBody.replace(/this\.\$nextTick/g, "nextTick");
-  }
+function transformFiltersInTemplate(content, filterNames) {
+  // Transform filters in mustache interpolations, bound attributes are
+  // handled while rewriting the elements
+  return content.replace(/\{\{([\s\S]*?)\}\}/g, (match, expression) => {
+    const transformed = transformFilterExpression(expression, filterNames);
+    return transformed === expression ? match : `{{ ${transformed} }}`;
+  });
+}
 
-  // Replace this.methodName calls with appropriate transformations FIRST (before property transformations)
-  if (options?.vuex) {
-    transformedBody = transformStoreUsageInMethods(
-      transformedBody,
-      vuexData,
-      options,
+function transformComponentUsageInTemplate(content, options) {
+  let transformedContent = content;
+
+  // Handle additional imports component rewrites (like nuxt-link to router-link)
+  if (options.additionalImports) {
+    Object.entries(options.additionalImports).forEach(
+      ([componentName, config]) => {
+        if (config.rewriteTo) {
+          // Convert PascalCase to kebab-case for template matching
+          const kebabCase = componentName
+            .replace(/([A-Z])/g, "-$1")
+            .toLowerCase()
+            .replace(/^-/, "");
+
+          // Replace both kebab-case and PascalCase versions
+          const kebabRegex = new RegExp(`<${kebabCase}(\\s|>)`, "g");
+          const pascalRegex = new RegExp(`<${componentName}(\\s|>)`, "g");
+          const kebabCloseRegex = new RegExp(`</${kebabCase}>`, "g");
+          const pascalCloseRegex = new RegExp(`</${componentName}>`, "g");
+
+          const targetKebab = config.rewriteTo
+            .replace(/([A-Z])/g, "-$1")
+            .toLowerCase()
+            .replace(/^-/, "");
+
+          transformedContent = transformedContent
+            .replace(kebabRegex, `<${targetKebab}$1`)
+            .replace(pascalRegex, `<${config.rewriteTo}$1`)
+            .replace(kebabCloseRegex, `</${targetKebab}>`)
+            .replace(pascalCloseRegex, `</${config.rewriteTo}>`);
+        }
+      },
     );
   }
 
-  // Replace this.methodName calls with just methodName for non-Vuex scenarios
-  transformedBody = transformedBody.replace(
-    /this\.([a-zA-Z_$][a-zA-Z0-9_$]*)\(/g,
-    "$1(",
-  );
+  // Handle import rewrites component transformations
+  if (options.importsRewrite) {
+    Object.entries(options.importsRewrite).forEach(
+      ([importPath, rewriteConfig]) => {
+        if (rewriteConfig.componentRewrite) {
+          Object.entries(rewriteConfig.componentRewrite).forEach(
+            ([oldComponent, newComponent]) => {
+              // Convert to kebab-case
+              const oldKebab = oldComponent
+                .replace(/([A-Z])/g, "-$1")
+                .toLowerCase()
+                .replace(/^-/, "");
+              const newKebab = newComponent
+                .replace(/([A-Z])/g, "-$1")
+                .toLowerCase()
+                .replace(/^-/, "");
 
-  // Replace Nuxt event bus usage
-  if (hasEventBus) {
-    transformedBody = transformedBody
-      .replace(/this\.\$nuxt\.\$on/g, "eventBus.on") // Replace this.$nuxt.$on with eventBus.on
-      .replace(/this\.\$nuxt\.\$off/g, "eventBus.off") // Replace this.$nuxt.$off with eventBus.off
-      .replace(/this\.\$nuxt\.\$emit/g, "eventBus.emit"); // Replace this.$nuxt.$emit with eventBus.emit
-  }
+              // Replace both PascalCase and kebab-case versions
+              const oldPascalRegex = new RegExp(`<${oldComponent}(\\s|>)`, "g");
+              const oldKebabRegex = new RegExp(`<${oldKebab}(\\s|>)`, "g");
+              const oldPascalCloseRegex = new RegExp(`</${oldComponent}>`, "g");
+              const oldKebabCloseRegex = new RegExp(`</${oldKebab}>`, "g");
 
-  // Replace Nuxt compatibility function usage
-  if (hasNuxtCompat) {
-    transformedBody = transformedBody
-      .replace(/this\.\$nuxt\.refresh/g, "refresh") // Replace this.$nuxt.refresh with refresh
-      .replace(/this\.\$nuxt\.context\.redirect/g, "redirect"); // Replace this.$nuxt.context.redirect with redirect
+              transformedContent = transformedContent
+                .replace(oldPascalRegex, `<${newComponent}$1`)
+                .replace(oldKebabRegex, `<${newKebab}$1`)
+                .replace(oldPascalCloseRegex, `</${newComponent}>`)
+                .replace(oldKebabCloseRegex, `</${newKebab}>`);
+            },
+          );
+        }
+      },
+    );
   }
 
-  // Replace spread operator with this references
-  transformedBody = transformedBody.replace(
-    /\.\.\.(this\.(\w+))/g,
-    "...$2.value",
-  );
+  return transformedContent;
+}
 
-  // Replace other this.property references using tree-sitter for better accuracy
-  transformedBody = transformThisReferencesWithTreeSitter(
-    transformedBody,
+function transformMethodBody(
+  methodBody,
+  hasAxios,
+  hasEventBus = false,
+  hasNuxtCompat = false,
+  refsData = null,
+  hasConfig = false,
+  hasFilters = false,
+  hasNextTick = false,
+  routerData = null,
+  options = null,
+  availableMethods = {},
+  dataProperties = {},
+  computedData = {},
+  propsData = null,
+  vuexData = null,
+  mixinData = null,
+) {
+  const context = {
+    hasAxios,
+    hasEventBus,
+    hasNuxtCompat,
+    refsData,
+    hasConfig,
+    hasFilters,
+    hasNextTick,
+    routerData,
+    options,
     availableMethods,
     dataProperties,
     computedData,
     propsData,
     vuexData,
     mixinData,
-  );
+  };
 
-  // Replace $refs usage
-  if (refsData && refsData.hasRefs) {
-    transformedBody = transformedBody
-      .replace(/this\.\$refs\?\.(\w+)/g, (match, refName) => {
-        // Handle optional chaining: this.$refs?.refName
-        const varName = refName.endsWith("Ref") ? refName : `${refName}Ref`;
-        return `${varName}.value`;
-      })
-      .replace(/this\.\$refs\.(\w+)/g, (match, refName) => {
-        // Handle regular access: this.$refs.refName
-        const varName = refName.endsWith("Ref") ? refName : `${refName}Ref`;
-        return `${varName}.value`;
-      })
-      .replace(/this\.\$refs\['([^']+)'\]/g, (match, refName) => {
-        // Handle bracket notation: this.$refs['ref-name']
-        const normalizedName = refName.replace(/-([a-z])/g, (match, letter) =>
-          letter.toUpperCase(),
-        );
-        const varName = normalizedName.endsWith("Ref")
-          ? normalizedName
-          : `${normalizedName}Ref`;
-        return `${varName}.value`;
-      });
-  }
+  const body = methodBody
+    .replace(/^\s*{\s*/, "") // Remove opening brace and whitespace
+    .replace(/\s*}\s*$/, ""); // Remove closing brace and whitespace
 
-  // Replace $config usage
-  if (hasConfig) {
-    transformedBody = transformedBody.replace(/this\.\$config/g, "config");
-  }
+  return transformThisReferences(
+    markUndefinedVariables(body, context),
+    context,
+  );
+}
+
+// Functions with their own `this`, the component instance isn't reachable
+// through `this` inside of them
+const THIS_BINDING_NODES = [
+  "function",
+  "function_expression",
+  "function_declaration",
+  "generator_function",
+  "generator_function_declaration",
+  "method_definition",
+  "class",
+  "class_declaration",
+];
+
+// Parses a method body, or an expression, wrapped in an arrow function so
+// `this` is the one of the component
+function parseThisScope(content, expression = false) {
+  const prefix = expression ? "(" : "(async () => {\n";
+  const suffix = expression ? ")" : "\n})";
+  const source = `${prefix}${content}${suffix}`;
+  return { source, prefix, suffix, tree: getScriptParser().parse(source) };
+}
 
-  // Replace nextTick usage
-  if (hasNextTick) {
-    transformedBody = transformedBody.replace(/this\.\$nextTick/g, "nextTick");
+// Functions rebinding the names of their parameters
+const FUNCTION_NODES = [...THIS_BINDING_NODES, "arrow_function"];
+
+// Returns the names node declares for its children: the parameters and name
+// of a function, the catch parameter, the loop variables of a for statement
+// and the variables, functions and classes declared in a block. The
+// declarations binding `this` don't count, they are what is shadowed.
+function getDeclaredNames(node) {
+  if (FUNCTION_NODES.includes(node.type)) {
+    const name =
+      node.type === "function_expression"
+        ? node.childForFieldName("name")
+        : null;
+    return [
+      ...getPatternNames(
+        node.childForFieldName("parameters") ||
+          node.childForFieldName("parameter"),
+      ),
+      ...(name ? [name.text] : []),
+    ];
+  }
+  if (node.type === "catch_clause") {
+    return getPatternNames(node.childForFieldName("parameter"));
+  }
+  if (node.type === "for_in_statement") {
+    const isDeclaration = node.children.some((child) =>
+      ["const", "let", "var"].includes(child.type),
+    );
+    return isDeclaration ? getPatternNames(node.childForFieldName("left")) : [];
   }
 
-  // Replace router usage
-  if (routerData && routerData.hasRouterUsage) {
-    if (routerData.hasRoute) {
-      transformedBody = transformedBody.replace(/this\.\$route/g, "route");
+  const declarations =
+    node.type === "for_statement"
+      ? [node.childForFieldName("initializer")]
+      : ["statement_block", "switch_case", "switch_default"].includes(node.type)
+        ? node.namedChildren
+        : [];
+  return declarations.flatMap((declaration) => {
+    if (
+      ["lexical_declaration", "variable_declaration"].includes(
+        declaration?.type,
+      )
+    ) {
+      return declaration.namedChildren
+        .filter(
+          (declarator) =>
+            declarator.type === "variable_declarator" &&
+            declarator.childForFieldName("value")?.type !== "this",
+        )
+        .flatMap((declarator) =>
+          getPatternNames(declarator.childForFieldName("name")),
+        );
     }
-    if (routerData.hasRouter) {
-      transformedBody = transformedBody.replace(/this\.\$router/g, "router");
+    if (
+      [
+        "function_declaration",
+        "generator_function_declaration",
+        "class_declaration",
+      ].includes(declaration?.type)
+    ) {
+      return [declaration.childForFieldName("name").text];
     }
-  }
+    return [];
+  });
+}
+
+// Returns the scope of the children of node. Scopes track whether `this` is
+// still the component and the names standing for it or its members, which
+// the declarations of nested blocks and functions can shadow.
+function getChildScope(node, scope) {
+  const nested = scope.nested || THIS_BINDING_NODES.includes(node.type);
+  const shadowed = getDeclaredNames(node).filter(
+    (name) => scope.aliases.has(name) || scope.locals.has(name),
+  );
+  if (nested === scope.nested && shadowed.length === 0) {
+    return scope;
+  }
+  return {
+    nested,
+    aliases: new Set(
+      [...scope.aliases].filter((name) => !shadowed.includes(name)),
+    ),
+    locals: new Map(
+      [...scope.locals].filter(([name]) => !shadowed.includes(name)),
+    ),
+  };
+}
 
-  // Replace direct store usage (commit/dispatch)
-  if (options?.vuex) {
-    transformedBody = transformStoreCommitDispatch(transformedBody, options);
+// Returns the names of a member expression chain starting at the component,
+// `this` or one of its aliases, like ["$store", "state", "user"] for
+// this.$store.state.user, or null
+function getThisPath(node, scope) {
+  const path = [];
+  let current = node;
+  while (current?.type === "member_expression") {
+    const property = current.childForFieldName("property");
+    if (property?.type !== "property_identifier") {
+      return null;
+    }
+    path.unshift(property.text);
+    current = current.childForFieldName("object");
   }
+  const isComponent =
+    (current?.type === "this" && !scope.nested) ||
+    (current?.type === "identifier" && scope.aliases.has(current.text));
+  return isComponent && path.length > 0 ? path : null;
+}
+
+function isCalleeNode(node) {
+  return (
+    node.parent?.type === "call_expression" &&
+    node.parent.childForFieldName("function")?.startIndex === node.startIndex
+  );
+}
 
-  // Transform require() statements to ESM imports using new URL()
-  // Handle template literals (dynamic paths)
-  transformedBody = transformedBody.replace(
-    /require\(\s*`([^`]+)`\s*\)/g,
-    "new URL(`$1`, import.meta.url).href",
+// Whether an identifier is the name of a declaration rather than a reference
+function isDeclarationName(node) {
+  const parent = node.parent;
+  const field = {
+    variable_declarator: "name",
+    function_declaration: "name",
+    function_expression: "name",
+    generator_function_declaration: "name",
+    class_declaration: "name",
+    catch_clause: "parameter",
+    assignment_pattern: "left",
+    pair_pattern: "value",
+  }[parent?.type];
+  if (field) {
+    return parent.childForFieldName(field)?.startIndex === node.startIndex;
+  }
+  return ["formal_parameters", "array_pattern", "rest_pattern"].includes(
+    parent?.type,
   );
+}
 
-  // Handle regular string literals (static paths)
-  transformedBody = transformedBody.replace(
-    /require\(\s*['"]([^'"]+)['"]\s*\)/g,
-    "new URL('$1', import.meta.url).href",
+// Visits every node along with its scope
+function walkThisScope(node, visit, scope) {
+  visit(node, scope);
+  const childScope = getChildScope(node, scope);
+  node.namedChildren.forEach((child) =>
+    walkThisScope(child, visit, childScope),
   );
+}
 
-  return transformedBody;
+// Returns [local, member] pairs for const { a, b: c } = this, or null for
+// patterns with defaults, rest elements or nested patterns
+function getDestructuredMembers(pattern) {
+  const members = [];
+  for (const child of pattern.namedChildren) {
+    if (child.type === "shorthand_property_identifier_pattern") {
+      members.push([child.text, child.text]);
+    } else if (
+      child.type === "pair_pattern" &&
+      child.childForFieldName("key")?.type === "property_identifier" &&
+      child.childForFieldName("value")?.type === "identifier"
+    ) {
+      members.push([
+        child.childForFieldName("value").text,
+        child.childForFieldName("key").text,
+      ]);
+    } else if (child.type !== "comment") {
+      return null;
+    }
+  }
+  return members;
 }
 
-function transformThisReferencesToRefs(content) {
-  // Transform this.$i18n.locale and this.$i18n.localeProperties first
-  let transformed = content
-    .replace(/this\.\$([tnd])\(/g, "$1(") // Replace this.$t( with t(
-    .replace(/this\.\$i18n\.localeProperties/g, "localeProperties")
-    .replace(/this\.\$i18n\.locale/g, "locale.value");
+// This function finds the aliases of the component, const vm = this, and the
+// members destructured from it, const { user } = this, in the scope of a
+// method. Their declarations are replaced by rewriting the references.
+function collectThisBindings(rootNode) {
+  const scope = { nested: false, aliases: new Set(), locals: new Map() };
+  const declarators = new Set();
+  const unsupported = new Set();
+
+  walkThisScope(
+    rootNode,
+    (node, { nested }) => {
+      if (
+        nested ||
+        node.type !== "variable_declarator" ||
+        node.childForFieldName("value")?.type !== "this"
+      ) {
+        return;
+      }
+
+      const name = node.childForFieldName("name");
+      if (name.type === "identifier") {
+        scope.aliases.add(name.text);
+        declarators.add(node.startIndex);
+        return;
+      }
+
+      // The members of let and var destructuring are copies the method may
+      // assign, only const ones can stand for the members themselves
+      const isConst = node.parent.child(0)?.type === "const";
+      const members =
+        name.type === "object_pattern" && isConst
+          ? getDestructuredMembers(name)
+          : null;
+      if (!members) {
+        unsupported.add(node.startIndex);
+        return;
+      }
+      members.forEach(([local, member]) => scope.locals.set(local, member));
+      declarators.add(node.startIndex);
+    },
+    scope,
+  );
 
-  // Transform this.property to property.value
-  return transformed.replace(/this\.(\w+)/g, "$1.value");
+  return { scope, declarators, unsupported };
 }
 
-function transformStoreUsageInMethods(methodBody, vuexData, options) {
-  let transformedBody = methodBody;
-  if (options?.vuex && vuexData) {
-    Object.entries(options.vuex).forEach(([namespace, config]) => {
-      const instanceName = getStoreInstanceName(config);
+// This function adds a FIXME comment above the lines reading `this.x` when x
+// isn't a member of the component
+function markUndefinedVariables(content, context) {
+  const { source, prefix, tree } = parseThisScope(content);
+  const { scope } = collectThisBindings(tree.rootNode);
+  const insertions = new Map();
+
+  const isDefined = (propName) =>
+    isVariableDefined(
+      propName,
+      context.dataProperties,
+      context.computedData,
+      context.propsData,
+      context.availableMethods,
+      context.vuexData,
+      context.mixinData,
+    );
 
-      // Transform this.$store.state.namespace.property to property.value
-      const stateRegex = new RegExp(
-        `this\\.\\$store\\.state\\.${namespace}\\.(\\w+)`,
-        "g",
-      );
-      transformedBody = transformedBody.replace(
-        stateRegex,
-        `${instanceName}.$1`,
+  const mark = (node, propName, snippet) => {
+    const lineStart = source.lastIndexOf("\n", node.startIndex - 1) + 1;
+    const names = insertions.get(lineStart) || new Map();
+    names.set(propName, snippet);
+    insertions.set(lineStart, names);
+  };
+
+  walkThisScope(
+    tree.rootNode,
+    (node, nodeScope) => {
+      // const { missing } = this
+      if (
+        node.type === "variable_declarator" &&
+        !nodeScope.nested &&
+        node.childForFieldName("value")?.type === "this" &&
+        node.childForFieldName("name").type === "object_pattern"
+      ) {
+        (getDestructuredMembers(node.childForFieldName("name")) || [])
+          .filter(([, member]) => !isDefined(member))
+          .forEach(([, member]) => mark(node, member, node.text));
+        return;
+      }
+
+      const path =
+        node.type === "member_expression" ? getThisPath(node, nodeScope) : null;
+      // Functions the component doesn't define come from composables, like
+      // localePath
+      if (
+        path?.length !== 1 ||
+        path[0].startsWith("$") ||
+        isCalleeNode(node) ||
+        isDefined(path[0])
+      ) {
+        return;
+      }
+      mark(node, path[0], node.text);
+    },
+    scope,
+  );
+
+  // Insert from the end to keep the offsets valid
+  let result = source;
+  [...insertions.keys()]
+    .sort((a, b) => b - a)
+    .forEach((lineStart) => {
+      const indent = source.slice(lineStart).match(/^[ \t]*/)[0];
+      const comments = [...insertions.get(lineStart)].map(
+        ([propName, snippet]) =>
+          `${indent}${fixme(
+            context.options,
+            "undefined-variable",
+            `undefined variable '${propName}'`,
+            snippet,
+          )}\n`,
       );
+      result =
+        result.slice(0, lineStart) +
+        comments.join("") +
+        result.slice(lineStart);
     });
 
-    // Transform method calls (actions/mutations) - done separately to handle cross-namespace mappings
-    const methodRegex = new RegExp(`this\\.(\\w+)\\(`, "g");
-    transformedBody = transformedBody.replace(
-      methodRegex,
-      (match, methodName) => {
-        // Check if this method is actually a Vuex action or mutation
-        for (const mapData of vuexData?.methodProps || []) {
-          if (Object.keys(mapData.mappings).includes(methodName)) {
-            // Found a mapping for this method, get the correct store instance
-            const methodNamespace = mapData.namespace;
-            const storeConfig = options.vuex[methodNamespace];
-            if (storeConfig) {
-              const instanceName = getStoreInstanceName(storeConfig);
-              return `${instanceName}.${methodName}(`;
-            }
-          }
-        }
+  return result.slice(prefix.length, result.length - "\n})".length);
+}
 
-        // Not a Vuex method, leave it unchanged
-        return match;
-      },
-    );
-  }
+// Turns a $set/$delete key into a property access on its object
+function formatPropertyAccess(key, keyNode) {
+  const simpleQuotedString =
+    keyNode.type === "string" &&
+    /^['"]([a-zA-Z_$][a-zA-Z0-9_$]*)['"]$/.exec(key);
+  return simpleQuotedString ? `.${simpleQuotedString[1]}` : `[${key}]`;
+}
 
-  return transformedBody;
+function getRefVariableName(refName) {
+  // this.$refs['ref-name'] -> refNameRef
+  const normalizedName = refName.replace(/-([a-z])/g, (match, letter) =>
+    letter.toUpperCase(),
+  );
+  return normalizedName.endsWith("Ref")
+    ? normalizedName
+    : `${normalizedName}Ref`;
 }
 
-function transformStoreUsageWithTreeSitter(content, options) {
-  if (!options?.vuex) {
-    return content;
+// This function rewrites the `this` references of a method body, or of an
+// expression, to the setup variables, props, stores and composables replacing
+// the component members, in a single pass over the syntax tree. Strings and
+// comments are left as they are, and so is `this` in nested functions that
+// bind their own.
+function transformThisReferences(
+  content,
+  context,
+  { expression = false } = {},
+) {
+  const {
+    hasAxios,
+    hasEventBus,
+    hasNuxtCompat,
+    refsData,
+    hasConfig,
+    hasFilters,
+    hasNextTick,
+    routerData,
+    options,
+    availableMethods = {},
+    dataProperties = {},
+    computedData = {},
+    propsData,
+    vuexData,
+  } = context;
+  const isNuxt3 = options?.target === "nuxt3";
+  const { source, prefix, suffix, tree } = parseThisScope(content, expression);
+
+  const getStoreInstance = (namespace) =>
+    options?.vuex?.[namespace]
+      ? getStoreInstanceName(options.vuex[namespace])
+      : null;
+
+  // Vuex actions and mutations mapped with mapActions/mapMutations
+  const getStoreMethodInstance = (methodName) => {
+    const mapData = (vuexData?.methodProps || []).find((data) =>
+      Object.keys(data.mappings).includes(methodName),
+    );
+    return mapData ? getStoreInstance(mapData.namespace) : null;
+  };
+
+  // Resolves this.<name> against the members of the component
+  function resolveMember(name, isCallee) {
+    const storeInstance = options?.vuex ? getStoreMethodInstance(name) : null;
+    if (storeInstance) {
+      return `${storeInstance}.${name}`;
+    }
+    if (availableMethods[name] || typeof availableMethods[name] === "object") {
+      return name;
+    }
+    if (isPropProperty(name, propsData)) {
+      return `${getBindingName(options, "props")}.${name}`;
+    }
+    const isState =
+      dataProperties?.[name] !== undefined ||
+      computedData?.[name] !== undefined ||
+      (vuexData?.computedProps || []).some((data) => data.mappings?.[name]);
+    return isCallee && !isState ? name : `${name}.value`;
   }
 
-  const parser = new Parser();
-  parser.setLanguage(javascript);
-  const tree = parser.parse(content);
+  // Returns the replacement of this.<path>, or null to keep it
+  function resolvePath(path, isCallee) {
+    const [first, second, third] = path;
+    const key = path.join(".");
 
-  const replacements = [];
+    if (path.length === 1 && !first.startsWith("$")) {
+      return resolveMember(first, isCallee);
+    }
 
-  function findRootStoreExpression(node) {
-    // Walk up the member expression chain to find the root this.$store expression
-    let current = node;
-    while (current.parent && current.parent.type === "member_expression") {
-      current = current.parent;
+    if (["$t", "$n", "$d"].includes(key)) {
+      return getBindingName(options, first.slice(1));
+    }
+    if (key === "$i18n.localeProperties") return "localeProperties";
+    if (key === "$i18n.locale") {
+      return `${getBindingName(options, "locale")}.value`;
+    }
+    if (
+      hasFilters &&
+      path.length === 3 &&
+      key.startsWith("$options.filters.")
+    ) {
+      return third;
+    }
+    if (key === "$emit") return getBindingName(options, "emit");
+    if (hasAxios && key === "$axios") return getBindingName(options, "http");
+    if (key === "$fetch") return getBindingName(options, "fetch");
+    if (key === "$slots" || key === "$scopedSlots") {
+      return getBindingName(options, "slots");
+    }
+    if (key === "$attrs") return getBindingName(options, "attrs");
+    // this.$listeners.input -> attrs.onInput
+    if (first === "$listeners" && path.length === 2) {
+      return `${getBindingName(options, "attrs")}.on${second[0].toUpperCase()}${second.slice(1)}`;
+    }
+    if (hasNextTick && key === "$nextTick") return "nextTick";
+    if (
+      hasEventBus &&
+      ["$nuxt.$on", "$nuxt.$off", "$nuxt.$emit"].includes(key)
+    ) {
+      return `${getBindingName(options, "eventBus")}.${second.slice(1)}`;
+    }
+    if (isNuxt3 && key === "$nuxt.context.redirect") return "navigateTo";
+    if (isNuxt3 && ["$nuxt.error", "$nuxt.context.error"].includes(key)) {
+      return "showError";
+    }
+    if (hasNuxtCompat && key === "$nuxt.refresh") return "refresh";
+    if (hasNuxtCompat && key === "$nuxt.context.redirect") return "redirect";
+    if (refsData?.hasRefs && first === "$refs" && path.length === 2) {
+      return `${getRefVariableName(second)}.value`;
+    }
+    if (hasConfig && key === "$config") {
+      return getBindingName(options, "config");
+    }
+    if (routerData?.hasRoute && key === "$route") {
+      return getBindingName(options, "route");
+    }
+    if (routerData?.hasRouter && key === "$router") {
+      return getBindingName(options, "router");
+    }
+    if (path.length === 3 && key.startsWith("$store.state.")) {
+      return getStoreInstance(third);
     }
-    return current;
-  }
 
-  function traverse(node) {
-    if (node.type === "member_expression") {
-      const text = node.text;
+    return null;
+  }
 
-      // Check if this is a this.$store pattern
-      if (text.startsWith("this.$store.state.")) {
-        // Find the root member expression to avoid nested replacements
-        const rootExpression = findRootStoreExpression(node);
-        const fullText = rootExpression.text;
+  // Returns the rewritten text of a call, or null when only its parts change
+  function rewriteCall(node, scope) {
+    const callee = node.childForFieldName("function");
+    const args = (
+      node.childForFieldName("arguments")?.namedChildren || []
+    ).filter((argument) => argument.type !== "comment");
+    const text = (argument) => rewrite(argument, scope);
 
-        // Skip if we've already processed this expression
-        if (replacements.some((r) => r.start === rootExpression.startIndex)) {
-          return;
-        }
+    // require('./image.png') -> new URL('./image.png', import.meta.url).href
+    // require('~/assets/image.png') -> imageUrl, imported from @/assets
+    if (
+      callee.type === "identifier" &&
+      callee.text === "require" &&
+      args.length === 1 &&
+      ["string", "template_string"].includes(args[0].type)
+    ) {
+      return transformRequire(args[0].text, options);
+    }
 
-        Object.entries(options.vuex).forEach(([namespace, config]) => {
-          const instanceName = getStoreInstanceName(config);
-
-          // Match this.$store.state.namespace patterns
-          const statePattern = `this.$store.state.${namespace}`;
-          if (fullText.startsWith(statePattern)) {
-            let replacement;
-            if (fullText === statePattern) {
-              // Exact match: this.$store.state.namespace
-              replacement = instanceName;
-            } else if (fullText.startsWith(statePattern + ".")) {
-              // Property access: this.$store.state.namespace.property...
-              const propertyPart = fullText.substring(statePattern.length + 1);
-              replacement = `${instanceName}.${propertyPart}`;
-            } else {
-              return; // No match
-            }
+    const key = getThisPath(callee, scope)?.join(".");
 
-            replacements.push({
-              start: rootExpression.startIndex,
-              end: rootExpression.endIndex,
-              replacement: replacement,
-            });
-          }
-        });
-      }
+    // this.$set(object, key, value) -> object.key = value
+    if (key === "$set" && args.length === 3) {
+      return `${text(args[0])}${formatPropertyAccess(text(args[1]), args[1])} = ${text(args[2])}`;
     }
 
-    // Traverse child nodes
-    for (const child of node.namedChildren) {
-      traverse(child);
+    // this.$delete(object, key) -> delete object.key
+    if (key === "$delete" && args.length === 2) {
+      return `delete ${text(args[0])}${formatPropertyAccess(text(args[1]), args[1])}`;
     }
-  }
 
-  traverse(tree.rootNode);
+    if (isNuxt3 && key === "$nuxt.refresh" && args.length === 0) {
+      return "refreshNuxtData()";
+    }
 
-  // Apply replacements from end to start to maintain correct indices
-  replacements.sort((a, b) => b.start - a.start);
+    // this.$store.commit('namespace/action', payload) -> store.action(payload)
+    if (
+      options?.vuex &&
+      ["$store.commit", "$store.dispatch"].includes(key) &&
+      args[0]?.type === "string"
+    ) {
+      const [namespace, actionName] = args[0].text
+        .replace(/['"]/g, "")
+        .split("/");
+      const instanceName = getStoreInstance(namespace);
+      if (instanceName) {
+        return `${instanceName}.${actionName}(${args.slice(1).map(text).join(", ")})`;
+      }
+    }
 
-  let result = content;
-  for (const { start, end, replacement } of replacements) {
-    result = result.substring(0, start) + replacement + result.substring(end);
+    return null;
   }
 
-  return result;
-}
-
-function transformStoreCommitDispatch(methodBody, options) {
-  let transformedBody = methodBody;
-
-  if (options?.vuex) {
-    // Transform this.$store.commit('namespace/action', payload) to storeInstance.action(payload)
-    transformedBody = transformedBody.replace(
-      /this\.\$store\.commit\s*\(\s*['"]([^'"]+)['"]\s*,?\s*([^)]*)\)/g,
-      (match, actionPath, payload) => {
-        const [namespace, actionName] = actionPath.split("/");
-        const storeConfig = options.vuex[namespace];
-        if (storeConfig) {
-          const instanceName = getStoreInstanceName(storeConfig);
-          const cleanPayload = payload.trim();
-          return cleanPayload
-            ? `${instanceName}.${actionName}(${cleanPayload})`
-            : `${instanceName}.${actionName}()`;
-        }
-        return match;
-      },
-    );
+  // Declarations binding `this`, which are dropped once their references
+  // are rewritten
+  const isBindingDeclaration = (node) =>
+    ["lexical_declaration", "variable_declaration"].includes(node.type) &&
+    node.namedChildren.some((child) => declarators.has(child.startIndex));
 
-    // Transform this.$store.dispatch('namespace/action', payload) to storeInstance.action(payload)
-    transformedBody = transformedBody.replace(
-      /this\.\$store\.dispatch\s*\(\s*['"]([^'"]+)['"]\s*,?\s*([^)]*)\)/g,
-      (match, actionPath, payload) => {
-        const [namespace, actionName] = actionPath.split("/");
-        const storeConfig = options.vuex[namespace];
-        if (storeConfig) {
-          const instanceName = getStoreInstanceName(storeConfig);
-          const cleanPayload = payload.trim();
-          return cleanPayload
-            ? `${instanceName}.${actionName}(${cleanPayload})`
-            : `${instanceName}.${actionName}()`;
-        }
-        return match;
-      },
+  function rewriteDeclaration(node, scope) {
+    const kept = node.namedChildren.filter(
+      (child) =>
+        child.type === "variable_declarator" &&
+        !declarators.has(child.startIndex),
     );
+    if (kept.length === 0) {
+      return "";
+    }
+    const semicolon = node.text.endsWith(";") ? ";" : "";
+    return `${node.child(0).text} ${kept
+      .map((declarator) => rewrite(declarator, scope))
+      .join(", ")}${semicolon}`;
   }
 
-  return transformedBody;
-}
-
-function transformThisReferencesWithTreeSitter(
-  content,
-  availableMethods = {},
-  dataProperties = {},
-  computedData = {},
-  propsData = null,
-  vuexData = null,
-  mixinData = null,
-) {
-  const parser = new Parser();
-  parser.setLanguage(javascript);
-
-  try {
-    const tree = parser.parse(content);
-    let transformedContent = content;
-    const transformations = [];
-
-    function traverse(node) {
-      // Look for member expressions that are this.property
-      if (node.type === "member_expression") {
-        const objectNode = node.namedChildren[0];
-        const propertyNode = node.namedChildren[1];
-
-        if (
-          objectNode &&
-          objectNode.text === "this" &&
-          propertyNode &&
-          propertyNode.type === "property_identifier"
-        ) {
-          const propName = propertyNode.text;
-
-          // Skip special properties that are handled elsewhere
-          if (propName.startsWith("$")) {
-            return;
-          }
-
-          // Check if this property is a method (regardless of whether it's being called or referenced)
-          if (
-            availableMethods &&
-            (availableMethods[propName] ||
-              typeof availableMethods[propName] === "object")
-          ) {
-            // For methods, just remove 'this.' - don't add .value
-            const replacement = propName;
-            transformations.push({
-              start: node.startIndex,
-              end: node.endIndex,
-              replacement: replacement,
-            });
-            return;
-          }
+  function rewrite(node, scope) {
+    if (node.type === "call_expression") {
+      const replacement = rewriteCall(node, scope);
+      if (replacement !== null) {
+        return replacement;
+      }
+    }
 
-          // Determine the transformation for non-method properties
-          let replacement;
-          const isProp = isPropProperty(propName, propsData);
+    if (node.type === "member_expression") {
+      const path = getThisPath(node, scope);
+      const replacement = path ? resolvePath(path, isCalleeNode(node)) : null;
+      if (replacement !== null) {
+        return replacement;
+      }
+      // Other uses of $listeners than reading a listener are kept
+      if (path?.join(".") === "$listeners") {
+        listenerUses.push(node);
+      }
+    }
 
-          if (isProp) {
-            replacement = `props.${propName}`;
-          } else {
-            replacement = `${propName}.value`;
-          }
+    // this.$refs['ref-name']
+    if (
+      refsData?.hasRefs &&
+      node.type === "subscript_expression" &&
+      getThisPath(node.childForFieldName("object"), scope)?.join(".") ===
+        "$refs" &&
+      node.childForFieldName("index")?.type === "string"
+    ) {
+      const refName = node.childForFieldName("index").text.replace(/['"]/g, "");
+      return `${getRefVariableName(refName)}.value`;
+    }
 
-          // Store transformation to apply later (in reverse order to maintain positions)
-          transformations.push({
-            start: node.startIndex,
-            end: node.endIndex,
-            replacement: replacement,
-          });
-        }
+    // References to the members destructured from `this`
+    if (
+      node.type === "identifier" &&
+      scope.locals.has(node.text) &&
+      !isDeclarationName(node)
+    ) {
+      const member = scope.locals.get(node.text);
+      if (member === "$listeners") {
+        listenerUses.push(node);
       }
-
-      // Recursively traverse children
-      node.namedChildren.forEach((child) => traverse(child));
+      return resolvePath([member], isCalleeNode(node)) ?? node.text;
+    }
+    if (
+      node.type === "shorthand_property_identifier" &&
+      scope.locals.has(node.text)
+    ) {
+      return `${node.text}: ${resolvePath([scope.locals.get(node.text)], false)}`;
     }
 
-    traverse(tree.rootNode);
+    if (node.type === "identifier" && scope.aliases.has(node.text)) {
+      report(
+        options,
+        "this-alias",
+        `'${node.text}' refers to the component instance`,
+        { source: node.parent.text },
+      );
+    }
 
-    // Apply transformations in reverse order to maintain string positions
-    transformations.sort((a, b) => b.start - a.start);
+    if (isBindingDeclaration(node)) {
+      return rewriteDeclaration(node, scope);
+    }
 
-    for (const transformation of transformations) {
-      transformedContent =
-        transformedContent.slice(0, transformation.start) +
-        transformation.replacement +
-        transformedContent.slice(transformation.end);
+    if (node.childCount === 0) {
+      return node.text;
     }
 
-    return transformedContent;
-  } catch (error) {
-    // If tree-sitter parsing fails, fall back to the original content
-    console.warn("Tree-sitter parsing failed, using original content:", error);
-    return content;
+    const childScope = getChildScope(node, scope);
+    let result = "";
+    let cursor = node.startIndex;
+    for (const child of node.children) {
+      const gap = source.slice(cursor, child.startIndex);
+      const lineStart = source.lastIndexOf("\n", child.startIndex - 1) + 1;
+      const startsLine = /^[ \t]*$/.test(
+        source.slice(lineStart, child.startIndex),
+      );
+      // Drop the line of a declaration only binding `this`
+      if (
+        startsLine &&
+        isBindingDeclaration(child) &&
+        child.namedChildren.every(
+          (declarator) =>
+            declarator.type !== "variable_declarator" ||
+            declarators.has(declarator.startIndex),
+        )
+      ) {
+        result += gap.replace(/[ \t]*$/, "");
+        cursor =
+          source[child.endIndex] === "\n" ? child.endIndex + 1 : child.endIndex;
+        continue;
+      }
+      // Destructuring with defaults, rest elements or nested patterns
+      const unsupportedDeclarator = child.namedChildren.find((declarator) =>
+        unsupported.has(declarator.startIndex),
+      );
+      const indent = source.slice(lineStart, child.startIndex);
+      result += gap;
+      if (unsupportedDeclarator && startsLine) {
+        result += `${fixme(
+          options,
+          "this-destructuring",
+          "destructuring of 'this' needs to be migrated by hand",
+          unsupportedDeclarator.text,
+        )}\n${indent}`;
+      }
+      const uses = listenerUses.length;
+      const rewritten = rewrite(child, childScope);
+      // The statements keeping $listeners are marked, like in the template
+      if (
+        listenerUses.length > uses &&
+        startsLine &&
+        /(statement|declaration)$/.test(child.type)
+      ) {
+        result += `${fixme(
+          options,
+          "listeners-unsupported",
+          "$listeners is merged into $attrs in Vue 3, the listeners are its on* properties",
+          listenerUses[uses].text,
+        )}\n${indent}`;
+        listenerUses.length = uses;
+      }
+      result += rewritten;
+      cursor = child.endIndex;
+    }
+    return result + source.slice(cursor, node.endIndex);
   }
+
+  const { scope, declarators, unsupported } = collectThisBindings(
+    tree.rootNode,
+  );
+  const listenerUses = [];
+  const result = rewrite(tree.rootNode, scope);
+  listenerUses.forEach((node) =>
+    report(
+      options,
+      "listeners-unsupported",
+      "$listeners is merged into $attrs in Vue 3, the listeners are its on* properties",
+      { source: node.text },
+    ),
+  );
+  return result.slice(prefix.length, result.length - suffix.length);
 }
 
 function getStoreInstanceName(storeConfig) {
@@ -1671,24 +3105,18 @@ function isVariableDefined(
     }
   }
 
+  // Check if it's a Vuex action or mutation
+  if (
+    (vuexData?.methodProps || []).some((mapData) =>
+      Object.keys(mapData.mappings).includes(varName),
+    )
+  ) {
+    return true;
+  }
+
   // Check if it's a prop (we need to parse props if it's an object)
-  if (propsData) {
-    try {
-      // Try to check if it's in props (could be array or object format)
-      if (typeof propsData === "string") {
-        const propsObj = eval(`(${propsData})`);
-        if (
-          propsObj &&
-          (Array.isArray(propsObj)
-            ? propsObj.includes(varName)
-            : propsObj[varName])
-        ) {
-          return true;
-        }
-      }
-    } catch (e) {
-      // If parsing fails, assume it might be defined
-    }
+  if (isPropProperty(varName, propsData)) {
+    return true;
   }
 
   // Check if it's a method
@@ -1716,7 +3144,19 @@ function isVariableDefined(
 }
 
 export {
+  getPropNames,
+  getPropDeclarations,
   transformToCompositionAPI,
+  transformToComposable,
+  getComposableParameters,
   transformStoreUsageInTemplate,
   transformComponentUsageInTemplate,
+  transformFilterExpression,
+  transformFiltersInTemplate,
+  transformModelEvents,
+  transformSyncModifiers,
+  transformListenersInTemplate,
+  transformSlotsInTemplate,
+  transformPageMetaToRouteBlock,
+  getComposableConfig,
 };
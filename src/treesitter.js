@@ -0,0 +1,106 @@
+import Parser from "tree-sitter";
+import javascript from "tree-sitter-javascript";
+import typescript from "tree-sitter-typescript";
+
+const LANGUAGES = {
+  js: javascript,
+  ts: typescript.typescript,
+  tsx: typescript.tsx,
+};
+
+const parsers = {};
+
+// The language of the component script being transformed, see
+// withScriptLanguage
+let scriptLanguage = "js";
+
+// Parsers are costly to create, so every thread reuses a single instance per
+// language. Parsing is synchronous, the trees it returns stay valid after
+// later parses.
+function getParser(language) {
+  if (!parsers[language]) {
+    parsers[language] = new Parser();
+    parsers[language].setLanguage(LANGUAGES[language]);
+  }
+  return parsers[language];
+}
+
+function getJavaScriptParser() {
+  return getParser("js");
+}
+
+// Returns the parser for the language of the component script being
+// transformed, JavaScript outside of withScriptLanguage
+function getScriptParser() {
+  return getParser(scriptLanguage);
+}
+
+// Maps the lang attribute of a script block to a parser language
+function getScriptLanguage(lang) {
+  if (lang === "ts" || lang === "typescript") {
+    return "ts";
+  }
+  return lang === "tsx" ? "tsx" : "js";
+}
+
+// Runs callback with getScriptParser returning the parser for the lang
+// attribute of the script. Scripts are transformed synchronously, so the
+// language can't leak into the transformation of another component.
+function withScriptLanguage(lang, callback) {
+  const previousLanguage = scriptLanguage;
+  scriptLanguage = getScriptLanguage(lang);
+  try {
+    return callback();
+  } finally {
+    scriptLanguage = previousLanguage;
+  }
+}
+
+function isTypeScript() {
+  return scriptLanguage !== "js";
+}
+
+// TypeScript wraps function parameters with their type annotation, this
+// function returns the pattern of a parameter in either grammar
+function getParameterPattern(node) {
+  return ["required_parameter", "optional_parameter"].includes(node?.type)
+    ? node.childForFieldName("pattern")
+    : node;
+}
+
+// Returns the names a parameter list or a declaration pattern binds
+function getPatternNames(node) {
+  if (!node) {
+    return [];
+  }
+  switch (node.type) {
+    case "identifier":
+    case "shorthand_property_identifier_pattern":
+      return [node.text];
+    case "required_parameter":
+    case "optional_parameter":
+      return getPatternNames(getParameterPattern(node));
+    case "assignment_pattern":
+    case "object_assignment_pattern":
+      return getPatternNames(node.childForFieldName("left"));
+    case "pair_pattern":
+      return getPatternNames(node.childForFieldName("value"));
+    case "formal_parameters":
+    case "object_pattern":
+    case "array_pattern":
+    case "rest_pattern":
+      return node.namedChildren.flatMap(getPatternNames);
+    default:
+      return [];
+  }
+}
+
+export {
+  getJavaScriptParser,
+  getScriptParser,
+  getScriptLanguage,
+  withScriptLanguage,
+  isTypeScript,
+  getParameterPattern,
+  getPatternNames,
+};
@@ -0,0 +1,32 @@
+import { parentPort, workerData } from "worker_threads";
+import { readFile } from "fs/promises";
+import { format } from "util";
+import { migrateSFC } from "./index.js";
+import { isPageFile } from "./files.js";
+
+// Messages logged while transforming a file are sent back with its result,
+// so they can be reported in file order rather than as workers finish
+const logs = [];
+["log", "warn", "error"].forEach((level) => {
+  console[level] = (...args) => logs.push({ level, message: format(...args) });
+});
+
+// Transforms the SFCs handed over by the pool, the parsers and the Prettier
+// and HTMLRewriter setup are kept for the lifetime of the thread
+parentPort.on("message", async ({ file }) => {
+  try {
+    const content = await readFile(file, "utf8");
+    const { code, diagnostics, inferredConfig } = await migrateSFC(content, {
+      ...workerData?.config,
+      page: isPageFile(file),
+    });
+    parentPort.postMessage({
+      transformed: code,
+      diagnostics,
+      inferredConfig,
+      logs: logs.splice(0),
+    });
+  } catch (error) {
+    parentPort.postMessage({ error: error.message, logs: logs.splice(0) });
+  }
+});
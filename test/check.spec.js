@@ -0,0 +1,61 @@
+import { describe, it } from "node:test";
+import assert from "node:assert";
+import { checkSFC, rewriteSFC } from "../src/index.js";
+
+describe("check", () => {
+  it("should list the Vue 2 patterns left in a component", async () => {
+    const input = `<template>
+  <div>
+    {{ product.price | currency }}
+    <dialog-box :visible.sync="open" @click.native="close" />
+    <span slot="footer">{{ a || b }}</span>
+  </div>
+</template>
+<script>
+export default {
+  methods: {
+    close() {
+      this.$store.commit('close');
+      this.$axios.$get('/api');
+    }
+  }
+}
+</script>`;
+
+    assert.deepEqual(
+      checkSFC(input).map(({ pattern, line }) => [pattern, line]),
+      [
+        ["template-filters", 3],
+        ["sync-modifier", 4],
+        ["native-modifier", 4],
+        ["slot-attributes", 5],
+        ["options-api", 9],
+        ["vuex-store", 12],
+        ["nuxt-axios", 13],
+      ],
+    );
+  });
+
+  it("should not report migrated components", async () => {
+    const input = `<template>
+  <h1 :class="{ active: isActive }">{{ title || 'Untitled' }}</h1>
+</template>
+<script>
+export default {
+  name: 'PageTitle',
+  data() {
+    return {
+      title: null,
+      isActive: false
+    };
+  }
+}
+</script>`;
+
+    assert.deepEqual(
+      checkSFC(input).map(({ pattern }) => pattern),
+      ["options-api"],
+    );
+    assert.deepEqual(checkSFC(await rewriteSFC(input)), []);
+  });
+});
@@ -0,0 +1,151 @@
+import { describe, it } from "node:test";
+import assert from "node:assert";
+import { rewriteSFC, migrateSFC, checkSFC } from "../src/index.js";
+
+describe("Class components", () => {
+  it("should migrate a vue-property-decorator component", async () => {
+    const sfc = `<template>
+  <div @click="toggle">{{ label }}</div>
+</template>
+<script lang="ts">
+import { Component, Prop, Vue, Watch, Emit, Ref } from 'vue-property-decorator';
+import type { User } from '@/types';
+
+@Component
+export default class UserCard extends Vue {
+  @Prop({ type: Object, required: true }) readonly user!: User;
+  @Prop({ default: 1 }) readonly size!: number;
+  @Ref() readonly input!: HTMLInputElement;
+
+  count = 0;
+  selected: User | null = null;
+
+  get label(): string {
+    return this.user.name + this.count;
+  }
+
+  @Watch('count', { immediate: true })
+  onCountChanged(value: number) {
+    console.log(value);
+  }
+
+  @Emit('change')
+  toggle() {
+    return this.count;
+  }
+
+  @Emit()
+  resetCount(next: number) {
+    this.count = next;
+  }
+
+  mounted() {
+    this.input.focus();
+  }
+}
+</script>`;
+
+    const res = await rewriteSFC(sfc);
+
+    const expected = `
+<template>
+  <div @click="toggle">{{ label }}</div>
+</template>
+<script setup lang="ts">
+import { ref, onMounted, computed, useTemplateRef, watch } from 'vue';
+import type { User } from '@/types';
+
+const props = withDefaults(
+  defineProps<{
+    user: User;
+    size?: number;
+  }>(),
+  {
+    size: 1,
+  },
+);
+
+const emit = defineEmits<{
+  change: [...args: any[]];
+  'reset-count': [...args: any[]];
+}>();
+
+const count = ref(0);
+const selected = ref(null as User | null);
+const inputRef = useTemplateRef('input');
+
+const label = computed<string>(() => {
+  return props.user.name + count.value;
+});
+
+const toggle = () => {
+  const emitted = count.value;
+  emit('change', emitted);
+  return emitted;
+};
+
+const resetCount = (next: number) => {
+  count.value = next;
+
+  emit('reset-count', next);
+};
+
+watch(
+  count,
+  (value: number) => {
+    console.log(value);
+  },
+  { immediate: true },
+);
+
+onMounted(() => {
+  inputRef.value.focus();
+});
+</script>`;
+
+    assert.equal(res.trim(), expected.trim());
+  });
+
+  it("should merge the @Component options and report unsupported decorators", async () => {
+    const sfc = `<template>
+  <div>{{ label }}</div>
+</template>
+<script>
+import { Component, Prop, Vue } from 'vue-property-decorator';
+import { State } from 'vuex-class';
+
+@Component({ name: 'UserCard', props: { extra: String } })
+class UserCard extends Vue {
+  @Prop(Number) size;
+  @State('user') currentUser;
+
+  get label() {
+    return this.extra + this.size;
+  }
+
+  set label(value) {
+    this.$emit('input', value);
+  }
+}
+
+export default UserCard;
+</script>`;
+
+    const { code, diagnostics } = await migrateSFC(sfc);
+
+    assert.match(
+      code,
+      /const props = defineProps\(\{\n  extra: String,\n  size: Number,\n\}\);/,
+    );
+    assert.match(code, /const label = computed\(\{\n  get\(\) \{/);
+    assert.doesNotMatch(code, /vue-property-decorator|UserCard extends/);
+    assert.deepEqual(
+      diagnostics.map(({ code, input }) => [code, input.line]),
+      [["class-member-unsupported", 11]],
+    );
+    assert.deepEqual(
+      checkSFC(sfc).map(({ pattern }) => pattern),
+      ["class-component"],
+    );
+  });
+});
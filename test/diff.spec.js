@@ -0,0 +1,57 @@
+import { describe, it } from "node:test";
+import assert from "node:assert";
+import { createUnifiedDiff } from "../src/diff.js";
+
+describe("diff", () => {
+  it("should create unified diffs with context", async () => {
+    const before = "a\nb\nc\nd\ne\nf\ng\nh\ni\nj\n";
+    const after = "a\nB\nc\nd\ne\nf\ng\nh\ni\nj\nk\n";
+
+    const expected = `diff --git a/src/A.vue b/src/A.vue
+--- a/src/A.vue
++++ b/src/A.vue
+@@ -1,5 +1,5 @@
+ a
+-b
++B
+ c
+ d
+ e
+@@ -8,3 +8,4 @@
+ h
+ i
+ j
++k
+`;
+
+    assert.equal(createUnifiedDiff("src/A.vue", before, after), expected);
+  });
+
+  it("should handle new files and missing final newlines", async () => {
+    assert.equal(
+      createUnifiedDiff("src/useHttp.js", null, "export {};\n"),
+      `diff --git a/src/useHttp.js b/src/useHttp.js
+new file mode 100644
+--- /dev/null
++++ b/src/useHttp.js
+@@ -0,0 +1,1 @@
++export {};
+`,
+    );
+
+    assert.equal(
+      createUnifiedDiff("A.vue", "x\ny", "x\ny\n"),
+      `diff --git a/A.vue b/A.vue
+--- a/A.vue
++++ b/A.vue
+@@ -1,2 +1,2 @@
+ x
+-y
+\\ No newline at end of file
++y
+`,
+    );
+
+    assert.equal(createUnifiedDiff("A.vue", "x\n", "x\n"), "");
+  });
+});
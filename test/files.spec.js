@@ -0,0 +1,110 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert";
+import { mkdtemp, mkdir, writeFile, symlink, rm } from "fs/promises";
+import { tmpdir } from "os";
+import { join, relative, sep } from "path";
+import {
+  findFiles,
+  findRepositoryRoot,
+  isPageFile,
+  compileGlob,
+} from "../src/files.js";
+
+describe("files", () => {
+  let root;
+
+  const list = async (options) =>
+    (await findFiles(root, options)).map((file) =>
+      relative(root, file).split(sep).join("/"),
+    );
+
+  before(async () => {
+    root = await mkdtemp(join(tmpdir(), "nuxt2-migrate-"));
+    const files = {
+      ".gitignore": "dist/\n*.generated.vue\n!keep.generated.vue\n",
+      "App.vue": "",
+      "components/Button.vue": "",
+      "components/Button.stories.vue": "",
+      "components/Icon.generated.vue": "",
+      "components/keep.generated.vue": "",
+      "components/legacy/.gitignore": "/Old.vue\n",
+      "components/legacy/Old.vue": "",
+      "components/legacy/Older.vue": "",
+      "dist/App.vue": "",
+      "node_modules/lib/Lib.vue": "",
+      "pages/index.vue": "",
+      "pages/index.js": "",
+    };
+    for (const [file, content] of Object.entries(files)) {
+      await mkdir(join(root, file, ".."), { recursive: true });
+      await writeFile(join(root, file), content);
+    }
+
+    // A link back to the root and a second path to the pages directory
+    await symlink(root, join(root, "components", "loop"), "dir");
+    await symlink(join(root, "pages"), join(root, "views"), "dir");
+  });
+
+  after(async () => {
+    await rm(root, { recursive: true, force: true });
+  });
+
+  it("should match globs", () => {
+    assert.equal(compileGlob("*.vue")("components/A.vue"), true);
+    assert.equal(compileGlob("/*.vue")("components/A.vue"), false);
+    assert.equal(compileGlob("src/**/*.vue")("src/A.vue"), true);
+    assert.equal(compileGlob("src/**/*.vue")("src/a/b/A.vue"), true);
+    assert.equal(compileGlob("*.{js,vue}")("A.vue"), true);
+    assert.equal(compileGlob("[AB].vue")("C.vue"), false);
+    assert.equal(compileGlob("dist/")("dist", false), false);
+    assert.equal(compileGlob("dist/")("dist", true), true);
+  });
+
+  it("should respect .gitignore files and skip symbolic link loops", async () => {
+    assert.deepEqual(await list(), [
+      "App.vue",
+      "components/Button.stories.vue",
+      "components/Button.vue",
+      "components/keep.generated.vue",
+      "components/legacy/Older.vue",
+      "pages/index.vue",
+    ]);
+
+    assert.deepEqual(await list({ gitignore: false, include: ["dist"] }), [
+      "dist/App.vue",
+    ]);
+  });
+
+  it("should apply include and exclude globs", async () => {
+    assert.deepEqual(
+      await list({
+        include: ["components/**", "*.js"],
+        exclude: ["*.stories.vue", "legacy/"],
+        extensions: [".vue", ".js"],
+      }),
+      [
+        "components/Button.vue",
+        "components/keep.generated.vue",
+        "pages/index.js",
+      ],
+    );
+  });
+
+  it("should find the repository root of a directory", async () => {
+    const repository = join(root, "repository");
+    await mkdir(join(repository, ".git"), { recursive: true });
+    await mkdir(join(repository, "src", "components"), { recursive: true });
+
+    assert.equal(
+      await findRepositoryRoot(join(repository, "src", "components")),
+      repository,
+    );
+    assert.equal(await findRepositoryRoot(repository), repository);
+    assert.equal(await findRepositoryRoot(root), null);
+  });
+
+  it("should tell Nuxt pages from other files", () => {
+    assert.equal(isPageFile(join("app", "pages", "users", "_id.vue")), true);
+    assert.equal(isPageFile(join("app", "components", "pages.vue")), false);
+  });
+});
@@ -1,6 +1,13 @@
 import { describe, it } from "node:test";
 import assert from "node:assert";
-import { rewriteSFC } from "../src/index.js";
+import {
+  rewriteSFC,
+  migrateSFC,
+  rewriteMixin,
+  getMixinExports,
+  getMixinParameters,
+  getMixinDeclarations,
+} from "../src/index.js";
 
 describe("Vue options to composition API rewriter", () => {
   it("should convert data to refs", async () => {
@@ -212,6 +219,240 @@ const shout = () => {
     assert.equal(res.trim(), expected.trim());
   });
 
+  it("should convert mixin files to composables", async () => {
+    const mixin = `
+import { formatPrice } from '@/utils/price';
+
+const DIGITS = 2;
+
+export default {
+  data() {
+    return {
+      currency: 'SEK'
+    };
+  },
+  computed: {
+    currencySymbol() {
+      return this.currency === 'SEK' ? 'kr' : this.currency;
+    }
+  },
+  watch: {
+    currency(newVal) {
+      this.$emit('currency-changed', newVal);
+    }
+  },
+  methods: {
+    price(amount) {
+      return formatPrice(amount, this.currencySymbol, DIGITS);
+    },
+    priceRound(amount) {
+      return Math.round(this.price(amount));
+    }
+  },
+  mounted() {
+    console.log('price mixin mounted');
+  }
+}`;
+
+    const res = await rewriteMixin(mixin, "price");
+
+    const expected = `
+import { ref, onMounted, computed, watch } from 'vue';
+import { formatPrice } from '@/utils/price';
+
+const DIGITS = 2;
+
+export function usePrice(props, emit) {
+  const currency = ref('SEK');
+
+  const currencySymbol = computed(() => {
+    return currency.value === 'SEK' ? 'kr' : currency.value;
+  });
+
+  const price = (amount) => {
+    return formatPrice(amount, currencySymbol.value, DIGITS);
+  };
+
+  const priceRound = (amount) => {
+    return Math.round(price(amount));
+  };
+
+  watch(currency, (newVal) => {
+    emit('currency-changed', newVal);
+  });
+
+  onMounted(() => {
+    console.log('price mixin mounted');
+  });
+
+  return { currency, currencySymbol, price, priceRound };
+}`;
+
+    assert.equal(res.trim(), expected.trim());
+    assert.deepEqual(getMixinExports(mixin), [
+      "currency",
+      "currencySymbol",
+      "price",
+      "priceRound",
+    ]);
+  });
+
+  it("should handle mixins without an imports list", async () => {
+    const sfc = `<template><h1>{{ title }}</h1></template>
+    <script>
+    import priceMixin from '@/mixins/price';
+
+    export default {
+      mixins: [priceMixin],
+      data() {
+        return {
+          title: 'Hello World'
+        };
+      }
+    }
+    </script>`;
+
+    const res = await rewriteSFC(sfc, {
+      mixins: {
+        price: {
+          name: "usePrice",
+        },
+      },
+    });
+
+    const expected = `
+<template>
+  <h1>{{ title }}</h1>
+</template>
+<script setup>
+import { ref } from 'vue';
+import { usePrice } from '@/composables/usePrice';
+
+usePrice();
+
+const title = ref('Hello World');
+</script>`;
+
+    assert.equal(res.trim(), expected.trim());
+  });
+
+  it("should pass props and emit to mixin composables", async () => {
+    const sfc = `<template><h1>{{ title }}</h1></template>
+    <script>
+    import priceMixin from '@/mixins/price';
+
+    export default {
+      mixins: [priceMixin],
+      data() {
+        return {
+          title: 'Hello World'
+        };
+      },
+      methods: {
+        reset() {
+          this.title = this.priceRound(0);
+        }
+      }
+    }
+    </script>`;
+
+    const res = await rewriteSFC(sfc, {
+      mixins: {
+        price: {
+          name: "usePrice",
+          imports: ["priceRound"],
+          parameters: ["props", "emit"],
+        },
+      },
+    });
+
+    const expected = `
+<template>
+  <h1>{{ title }}</h1>
+</template>
+<script setup>
+import { ref } from 'vue';
+import { usePrice } from '@/composables/usePrice';
+
+const props = defineProps();
+
+const emit = defineEmits();
+
+const { priceRound } = usePrice(props, emit);
+
+const title = ref('Hello World');
+
+const reset = () => {
+  title.value = priceRound(0);
+};
+</script>`;
+
+    assert.equal(res.trim(), expected.trim());
+    assert.deepEqual(
+      getMixinParameters(`export default {
+  props: { amount: Number },
+  methods: {
+    change() {
+      this.$emit('change', this.amount);
+    }
+  }
+}`),
+      ["props", "emit"],
+    );
+  });
+
+  it("should declare the props and events of mixins", async () => {
+    const sfc = `<template><h1>{{ title }}</h1></template>
+    <script>
+    import priceMixin from '@/mixins/price';
+
+    export default {
+      mixins: [priceMixin],
+      props: {
+        title: String,
+      },
+      methods: {
+        reset() {
+          this.$emit('reset');
+        }
+      }
+    }
+    </script>`;
+
+    const res = await rewriteSFC(sfc, {
+      mixins: {
+        price: {
+          name: "usePrice",
+          imports: [],
+          parameters: ["props", "emit"],
+          props: { amount: "{ type: Number, default: 0 }" },
+          emits: ["change"],
+        },
+      },
+    });
+
+    assert.match(
+      res,
+      /const props = defineProps\(\{\n\s*title: String,\n\s*amount: \{ type: Number, default: 0 \},\n\}\);/,
+    );
+    assert.match(res, /const emit = defineEmits\(\['reset', 'change'\]\);/);
+    assert.match(res, /usePrice\(props, emit\);/);
+    assert.deepEqual(
+      getMixinDeclarations(`export default {
+  props: { amount: { type: Number, default: 0 }, currency: String },
+  methods: {
+    change() {
+      this.$emit('change', this.amount);
+    }
+  }
+}`),
+      {
+        props: { amount: "{ type: Number, default: 0 }", currency: "String" },
+        emits: ["change"],
+      },
+    );
+  });
+
   it("should handle import rewrites", async () => {
     const sfc = `
 <template>
@@ -1090,7 +1331,9 @@ const handleClick = () => {
     const res = await rewriteSFC(sfc);
 
     const expected = `<template><h1>Dummy content</h1></template>
-<script setup></script>
+<script setup>
+defineOptions({ name: 'DummyComponent' });
+</script>
 <style scoped>
 h1 {
   color: red;
@@ -1188,20 +1431,19 @@ const props = defineProps({
     type: String,
     default: () => null,
   },
-  value: {
-    type: Boolean,
-    default: () => false,
-  },
 });
 
-const emit = defineEmits(['update:value']);
+const value = defineModel({
+  type: Boolean,
+  default: () => false,
+});
 
 const showModal = computed({
   get() {
-    return props.value;
+    return value.value;
   },
   set(v) {
-    emit('update:value', v);
+    value.value = v;
   },
 });
 
@@ -1214,4 +1456,303 @@ const notify = () => {
 
     assert.equal(res.trim(), expected.trim());
   });
+
+  it("should use the configured composable and store import paths", async () => {
+    const sfc = `<template><h1>{{ price | currency }}</h1></template>
+<script>
+import { mapGetters } from 'vuex';
+
+export default {
+  computed: {
+    ...mapGetters('cart', ['total']),
+  },
+  methods: {
+    async load() {
+      await this.$axios.get('/api/cart');
+      this.$nuxt.$emit('loaded', this.total);
+    }
+  }
+}
+</script>`;
+
+    const res = await rewriteSFC(sfc, {
+      vuex: {
+        cart: {
+          name: "cart",
+          importName: "useCartStore",
+        },
+      },
+      storePath: "@/state/{name}",
+      composables: {
+        useHttp: {
+          path: "@/lib/compat/http",
+          importName: "useHttpClient",
+        },
+        useEventBus: "@/lib/compat/useEventBus",
+        useFilters: {
+          path: "@/lib/compat/filters",
+        },
+      },
+    });
+
+    const expected = `
+<template>
+  <h1>{{ currency(price) }}</h1>
+</template>
+<script setup>
+import { computed } from 'vue';
+import { useFilters } from '@/lib/compat/filters';
+import { useEventBus } from '@/lib/compat/useEventBus';
+import { useHttpClient } from '@/lib/compat/http';
+import { useCartStore } from '@/state/cart';
+
+const { currency } = useFilters();
+const http = useHttpClient();
+const eventBus = useEventBus();
+const cartStore = useCartStore();
+
+const total = computed(() => cartStore.total);
+
+const load = async () => {
+  await http.get('/api/cart');
+  eventBus.emit('loaded', total.value);
+};
+</script>`;
+
+    assert.equal(res.trim(), expected.trim());
+  });
+
+  it("should return diagnostics and stats", async () => {
+    const input = `<template>
+  <p>{{ title }}</p>
+</template>
+<script>
+export default {
+  watchQuery: ['page'],
+  data() {
+    return { title: 'Hello' };
+  },
+  methods: {
+    log() {
+      console.log(this.missing);
+    }
+  }
+}
+</script>`;
+
+    const { code, diagnostics, stats } = await migrateSFC(input, {
+      target: "nuxt3",
+    });
+
+    assert.deepEqual(diagnostics, [
+      {
+        code: "page-meta-watch-query",
+        severity: "warning",
+        message:
+          "watchQuery has no Nuxt 3 equivalent, watch route.query and refresh the page data instead",
+        input: { line: 6, column: 3 },
+        output: { line: 6, column: 3 },
+      },
+      {
+        code: "undefined-variable",
+        severity: "warning",
+        message: "undefined variable 'missing'",
+        input: { line: 12, column: 19 },
+        output: { line: 13, column: 3 },
+      },
+    ]);
+    assert.equal(
+      code.split("\n")[12].trim(),
+      "// FIXME: undefined variable 'missing'",
+    );
+    assert.equal(stats.inputLines, 16);
+    assert.equal(stats.outputLines, code.split("\n").length);
+    assert.equal(stats.data, 1);
+    assert.equal(stats.methods, 1);
+  });
+
+  it("should keep custom blocks and block attributes", async () => {
+    const input = `<i18n lang="json">
+{ "en": { "hello": "Hello" } }
+</i18n>
+<template>
+  <p :class="$style.greeting">{{ $t('hello') }}</p>
+</template>
+<script>
+export default {
+  data() {
+    return { count: 1 };
+  }
+}
+</script>
+<style module lang="scss">
+.greeting {
+  color: red;
+}
+</style>
+<style src="./theme.css"></style>
+<docs>
+# Greeting
+
+Says   hello.
+</docs>`;
+
+    const expected = `<i18n lang="json">
+{ "en": { "hello": "Hello" } }
+</i18n>
+<template>
+  <p :class="$style.greeting">{{ t('hello') }}</p>
+</template>
+<script setup>
+import { ref } from 'vue';
+import { useI18n } from 'vue-i18n';
+
+const { t } = useI18n();
+
+const count = ref(1);
+</script>
+<style module lang="scss">
+.greeting {
+  color: red;
+}
+</style>
+<style src="./theme.css"></style>
+<docs>
+# Greeting
+
+Says   hello.
+</docs>`;
+
+    const res = await rewriteSFC(input);
+    assert.equal(res.trim(), expected.trim());
+  });
+
+  it("should declare what setup reads before reading it", async () => {
+    const input = `<template><div>{{ items }}</div></template>
+<script>
+export default {
+  props: { size: Number },
+  data() {
+    return { items: this.buildItems(), loop: this.readLoop() };
+  },
+  head() {
+    return { title: this.formatTitle() };
+  },
+  methods: {
+    buildItems() {
+      return new Array(this.size).fill(0);
+    },
+    formatTitle() {
+      return this.items.length + ' items';
+    },
+    readLoop() {
+      return this.loop;
+    }
+  }
+}
+</script>`;
+
+    const expected = `<template>
+  <div>{{ items }}</div>
+</template>
+<script setup>
+import { ref } from 'vue';
+import { useHead } from '@unhead/vue';
+
+const props = defineProps({ size: Number });
+
+const buildItems = () => {
+  return new Array(props.size).fill(0);
+};
+const items = ref(buildItems());
+
+const readLoop = () => {
+  return loop.value;
+};
+
+// FIXME: 'loop' is used before it is initialized
+const loop = ref(readLoop());
+
+const formatTitle = () => {
+  return items.value.length + ' items';
+};
+
+useHead({ title: formatTitle() });
+</script>`;
+
+    const { code, diagnostics } = await migrateSFC(input);
+    assert.equal(code.trim(), expected.trim());
+    assert.deepEqual(
+      diagnostics.map(({ code }) => code),
+      ["setup-order-cycle"],
+    );
+  });
+
+  it("should rename generated bindings the component already declares", async () => {
+    const input = `<template>
+  <div :title="$t('hi')">{{ config.name }} {{ $config.apiUrl }}</div>
+</template>
+<script>
+export default {
+  props: { emit: Boolean },
+  data() {
+    return { config: { name: 'a' }, route: 'home' };
+  },
+  methods: {
+    go() {
+      this.$emit('done', this.$route.path, this.route, this.$config.apiUrl);
+    }
+  },
+  async fetch() {
+    this.items = await fetch('/api/items');
+  }
+}
+</script>`;
+
+    const expected = `<template>
+  <div :title="t('hi')">{{ config.name }} {{ runtimeConfig.apiUrl }}</div>
+</template>
+<script setup>
+import { ref } from 'vue';
+import { useI18n } from 'vue-i18n';
+import { useRuntimeConfig } from '@/composables/useRuntimeConfig';
+import { useRoute } from 'vue-router';
+
+const { t } = useI18n();
+const currentRoute = useRoute();
+const runtimeConfig = useRuntimeConfig();
+
+const props = defineProps({ emit: Boolean });
+
+const emitEvent = defineEmits(['done']);
+
+const config = ref({ name: 'a' });
+const route = ref('home');
+
+const go = () => {
+  emitEvent('done', currentRoute.path, route.value, runtimeConfig.apiUrl);
+};
+
+const fetchData = async () => {
+  // FIXME: undefined variable 'items'
+  items.value = await fetch('/api/items');
+};
+
+fetchData();
+</script>`;
+
+    const { code, diagnostics } = await migrateSFC(input);
+    assert.equal(code.trim(), expected.trim());
+    assert.deepEqual(
+      diagnostics
+        .filter(({ code }) => code === "binding-renamed")
+        .map(({ message }) => message),
+      [
+        "'route' is already declared by the component, the generated binding is named 'currentRoute'",
+        "'config' is already declared by the component, the generated binding is named 'runtimeConfig'",
+        "'emit' is already declared by the component, the generated binding is named 'emitEvent'",
+        "'fetch' is already declared by the component, the generated binding is named 'fetchData'",
+      ],
+    );
+  });
 });
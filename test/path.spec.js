@@ -1,6 +1,6 @@
 import { describe, it } from "node:test";
 import assert from "node:assert";
-import { rewriteSFC } from "../src/index.js";
+import { rewriteSFC, migrateSFC } from "../src/index.js";
 
 describe("Path rewriting", () => {
     it("should rewrite img paths", async () => {
@@ -18,9 +18,174 @@ export default {
 <template>
   <img src="@/assets/logo.png" alt="Logo" />
 </template>
-<script setup></script>`;
+<script setup>
+defineOptions({ name: 'MyComponent' });
+</script>`;
+
+        const res = await rewriteSFC(input);
+        assert.equal(res.trim(), expected.trim());
+    });
+
+    it("should resolve aliased asset paths in the template", async () => {
+        const input = `
+<template>
+  <div :style="{ backgroundImage: \`url(\${require('~/assets/bg.jpg')})\` }">
+    <img :src="require('~/assets/icon.svg')" srcset="~/assets/a.png 1x, ~assets/a@2x.png 2x" />
+    <picture>
+      <source srcset="~/assets/hero.webp" type="image/webp" />
+    </picture>
+    <video poster="~assets/poster.jpg" src="~static/intro.mp4"></video>
+    <img v-if="theme" :src="require(\`~/assets/\${theme}.png\`)" />
+  </div>
+</template>
+<script>
+export default {
+  props: { theme: String }
+}
+</script>`;
+
+        const expected = `
+<template>
+  <div :style="{ backgroundImage: \`url(\${bgUrl})\` }">
+    <img
+      src="@/assets/icon.svg"
+      srcset="@/assets/a.png 1x, @/assets/a@2x.png 2x"
+    />
+    <picture>
+      <source srcset="@/assets/hero.webp" type="image/webp" />
+    </picture>
+    <video poster="@/assets/poster.jpg" src="/intro.mp4"></video>
+    <img v-if="theme" :src="require(\`~/assets/\${theme}.png\`)" />
+  </div>
+</template>
+<script setup>
+import bgUrl from '@/assets/bg.jpg';
+
+const props = defineProps({ theme: String });
+</script>`;
+
+        const { code, diagnostics } = await migrateSFC(input);
+        assert.equal(code.trim(), expected.trim());
+        assert.deepEqual(
+            diagnostics.map(({ code, input }) => [code, input.line]),
+            [["asset-dynamic-path", 9]],
+        );
+    });
+
+    it("should import aliased assets required in the script", async () => {
+        const input = `
+<script>
+export default {
+  methods: {
+    icons() {
+      return [require('./local.png'), require('~/assets/logo.png'), require('~/assets/logo.png')];
+    }
+  }
+}
+</script>`;
+
+        const expected = `
+<script setup>
+import logoUrl from '@/assets/logo.png';
+
+const icons = () => {
+  return [new URL('./local.png', import.meta.url).href, logoUrl, logoUrl];
+};
+</script>`;
+
+        const res = await rewriteSFC(input);
+        assert.equal(res.trim(), expected.trim());
+    });
+
+    it("should name assets around the symbols of the component", async () => {
+        const input = `
+<template>
+  <div :style="{ backgroundImage: \`url(\${require('~/assets/bg.jpg')})\` }">{{ logoUrl }}</div>
+</template>
+<script>
+export default {
+  data() {
+    return { logoUrl: require('~/assets/logo.png') };
+  },
+  computed: {
+    bgUrl() {
+      return '';
+    }
+  }
+}
+</script>`;
+
+        const expected = `
+<template>
+  <div :style="{ backgroundImage: \`url(\${bgUrl2})\` }">{{ logoUrl }}</div>
+</template>
+<script setup>
+import { ref, computed } from 'vue';
+import bgUrl2 from '@/assets/bg.jpg';
+import logoUrl2 from '@/assets/logo.png';
+
+const logoUrl = ref(logoUrl2);
+
+const bgUrl = computed(() => {
+  return '';
+});
+</script>`;
 
         const res = await rewriteSFC(input);
         assert.equal(res.trim(), expected.trim());
     });
-});
\ No newline at end of file
+
+    it("should resolve aliases in style blocks", async () => {
+        const input = `
+<script>
+export default {}
+</script>
+<style lang="scss">
+@import '~bootstrap/scss/functions', '~@/styles/variables';
+.logo {
+  background: url(~assets/logo.png) no-repeat;
+}
+</style>`;
+
+        const expected = `
+<script setup></script>
+<style lang="scss">
+@import 'bootstrap/scss/functions', '@/styles/variables';
+.logo {
+  background: url(@/assets/logo.png) no-repeat;
+}
+</style>`;
+
+        const res = await rewriteSFC(input);
+        assert.equal(res.trim(), expected.trim());
+    });
+
+    it("should resolve configured aliases", async () => {
+        const input = `
+<template>
+  <img src="~images/logo.png" />
+</template>
+<script>
+export default {}
+</script>
+<style>
+.logo { background: url('~images/logo.png'); }
+</style>`;
+
+        const expected = `
+<template>
+  <img src="@/assets/images/logo.png" />
+</template>
+<script setup></script>
+<style>
+.logo {
+  background: url('@/assets/images/logo.png');
+}
+</style>`;
+
+        const res = await rewriteSFC(input, {
+            aliases: { "~images": "@/assets/images" },
+        });
+        assert.equal(res.trim(), expected.trim());
+    });
+});
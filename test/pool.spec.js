@@ -0,0 +1,73 @@
+import { describe, it } from "node:test";
+import assert from "node:assert";
+import { mkdtemp, writeFile, rm } from "fs/promises";
+import { tmpdir } from "os";
+import { join } from "path";
+import { rewriteSFC } from "../src/index.js";
+import { createWorkerPool } from "../src/pool.js";
+
+describe("pool", () => {
+  it("should transform files in worker threads", async () => {
+    const root = await mkdtemp(join(tmpdir(), "nuxt2-migrate-"));
+    const sources = [1, 2, 3].map(
+      (count) => `<template><p>{{ count }}</p></template>
+<script>
+export default {
+  data() {
+    return { count: ${count} };
+  }
+}
+</script>`,
+    );
+
+    const files = [];
+    for (const [index, source] of sources.entries()) {
+      files.push(join(root, `Counter${index}.vue`));
+      await writeFile(files[index], source);
+    }
+
+    const pool = createWorkerPool(
+      new URL("../src/worker.js", import.meta.url),
+      2,
+      { config: {} },
+    );
+    try {
+      const results = await Promise.all(
+        [...files, join(root, "Missing.vue")].map((file) => pool.run({ file })),
+      );
+
+      for (const [index, source] of sources.entries()) {
+        assert.equal(results[index].transformed, await rewriteSFC(source));
+      }
+      assert.match(results[3].error, /ENOENT/);
+    } finally {
+      await pool.close();
+      await rm(root, { recursive: true, force: true });
+    }
+  });
+
+  it("should replace workers that exit during a task", async () => {
+    const root = await mkdtemp(join(tmpdir(), "nuxt2-migrate-"));
+    const workerFile = join(root, "worker.mjs");
+    await writeFile(
+      workerFile,
+      `import { parentPort } from "worker_threads";
+parentPort.on("message", ({ exit, value }) => {
+  if (exit) process.exit(1);
+  parentPort.postMessage({ value });
+});`,
+    );
+
+    const pool = createWorkerPool(workerFile, 1);
+    try {
+      assert.deepEqual(await pool.run({ value: 1 }), { value: 1 });
+      assert.deepEqual(await pool.run({ exit: true }), {
+        error: "Worker exited with code 1",
+      });
+      assert.deepEqual(await pool.run({ value: 2 }), { value: 2 });
+    } finally {
+      await pool.close();
+      await rm(root, { recursive: true, force: true });
+    }
+  });
+});
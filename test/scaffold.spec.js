@@ -0,0 +1,70 @@
+import { describe, it } from "node:test";
+import assert from "node:assert";
+import { scaffoldComposables } from "../src/index.js";
+
+describe("scaffold", () => {
+  it("should generate useFilters from Vue.filter registrations", async () => {
+    const filters = `
+import Vue from 'vue';
+import { formatPrice } from '../utils/format';
+
+const upper = (value) => String(value).toUpperCase();
+
+Vue.filter('currency', formatPrice);
+Vue.filter('upper', upper);
+Vue.filter('capitalize', function (value) {
+  return value.charAt(0).toUpperCase() + value.slice(1);
+});`;
+
+    const files = await scaffoldComposables(
+      {
+        composables: {
+          useFilters: "@/lib/compat/useFilters",
+        },
+      },
+      [{ file: "/app/plugins/filters.js", content: filters }],
+      (importPath) => importPath.replace("@/", "/app/") + ".js",
+    );
+
+    const useFilters = files.find(({ helper }) => helper === "useFilters");
+    assert.equal(useFilters.path, "@/lib/compat/useFilters");
+
+    const expected = `
+import { formatPrice } from '../../utils/format';
+
+const upper = (value) => String(value).toUpperCase();
+
+const capitalize = function (value) {
+  return value.charAt(0).toUpperCase() + value.slice(1);
+};
+
+export function useFilters() {
+  return { currency: formatPrice, upper, capitalize };
+}`;
+
+    assert.equal(useFilters.content.trim(), expected.trim());
+  });
+
+  it("should use the configured names and skip Nuxt 3 built-ins", async () => {
+    const files = await scaffoldComposables({
+      target: "nuxt3",
+      composables: {
+        useHttp: {
+          path: "@/lib/compat/http",
+          importName: "useHttpClient",
+        },
+      },
+    });
+
+    assert.deepEqual(
+      files.map(({ helper, path }) => [helper, path]),
+      [
+        ["useHttp", "@/lib/compat/http"],
+        ["useEventBus", "@/composables/useEventBus"],
+        ["useI18nUtils", "@/composables/useI18nUtils"],
+        ["useFilters", "@/composables/useFilters"],
+      ],
+    );
+    assert.match(files[0].content, /export function useHttpClient\(\)/);
+  });
+});
@@ -0,0 +1,179 @@
+import { describe, it } from "node:test";
+import assert from "node:assert";
+import { rewriteSFC, migrateSFC } from "../src/index.js";
+
+describe("Style rewriting", () => {
+  it("should rewrite deep selectors and the classes of template transitions", async () => {
+    const input = `<template>
+  <div>
+    <transition name="fade"><p v-if="open">Hi</p></transition>
+    <transition-group name="list" tag="ul"><li key="a">A</li></transition-group>
+  </div>
+</template>
+<script>
+export default {
+  data() {
+    return { open: false };
+  }
+}
+</script>
+<style scoped>
+.a >>> .b .c,
+.d /deep/ .e {
+  color: red;
+}
+.f::v-deep .g:not(.h, .i) {
+  content: '>>>';
+}
+.fade-enter,
+.fade-leave-to,
+.slide-enter {
+  opacity: 0;
+}
+.fade-enter-active,
+.list-leave {
+  transition: opacity 0.5s;
+}
+/* .fade-enter >>> .b */
+</style>`;
+
+    const expected = `<template>
+  <div>
+    <transition name="fade"><p v-if="open">Hi</p></transition>
+    <transition-group name="list" tag="ul"><li key="a">A</li></transition-group>
+  </div>
+</template>
+<script setup>
+import { ref } from 'vue';
+
+const open = ref(false);
+</script>
+<style scoped>
+.a :deep(.b .c),
+.d :deep(.e) {
+  color: red;
+}
+.f:deep(.g:not(.h, .i)) {
+  content: '>>>';
+}
+.fade-enter-from,
+.fade-leave-to,
+.slide-enter {
+  opacity: 0;
+}
+.fade-enter-active,
+.list-leave-from {
+  transition: opacity 0.5s;
+}
+/* .fade-enter >>> .b */
+</style>`;
+
+    const res = await rewriteSFC(input);
+    assert.equal(res.trim(), expected.trim());
+  });
+
+  it("should rewrite nested deep selectors and report the ones without a selector", async () => {
+    const input = `<template>
+  <transition><div>Hi</div></transition>
+</template>
+<script>
+export default {}
+</script>
+<style lang="scss" scoped>
+.a {
+  ::v-deep(.b) {
+    color: red;
+  }
+  ::v-deep .c {
+    color: blue;
+  }
+  ::v-deep {
+    .d {
+      color: green;
+    }
+  }
+  &.v-leave {
+    opacity: 1;
+  }
+}
+</style>
+<style lang="less" scoped>
+.e /deep/ .f {
+  background: url(//cdn.example.com/f.png);
+}
+</style>`;
+
+    const expected = `<template>
+  <transition><div>Hi</div></transition>
+</template>
+<script setup></script>
+<style lang="scss" scoped>
+.a {
+  :deep(.b) {
+    color: red;
+  }
+  :deep(.c) {
+    color: blue;
+  }
+  ::v-deep {
+    .d {
+      color: green;
+    }
+  }
+  &.v-leave-from {
+    opacity: 1;
+  }
+}
+</style>
+<style lang="less" scoped>
+.e :deep(.f) {
+  background: url(//cdn.example.com/f.png);
+}
+</style>`;
+
+    const { code, diagnostics } = await migrateSFC(input);
+    assert.equal(code.trim(), expected.trim());
+    assert.deepEqual(
+      diagnostics.map(({ code, input }) => [code, input.line]),
+      [["deep-selector-block", 15]],
+    );
+  });
+
+  it("should keep interpolations in deep selectors", async () => {
+    const input = `<template>
+  <div>Hi</div>
+</template>
+<script>
+export default {}
+</script>
+<style lang="scss" scoped>
+.m ::v-deep .item-#{$x} {
+  color: red;
+}
+</style>
+<style lang="less" scoped>
+.n /deep/ .@{prefix}-item, .o {
+  color: blue;
+}
+</style>`;
+
+    const expected = `<template>
+  <div>Hi</div>
+</template>
+<script setup></script>
+<style lang="scss" scoped>
+.m :deep(.item-#{$x}) {
+  color: red;
+}
+</style>
+<style lang="less" scoped>
+.n :deep(.@{prefix}-item),
+.o {
+  color: blue;
+}
+</style>`;
+
+    const res = await rewriteSFC(input);
+    assert.equal(res.trim(), expected.trim());
+  });
+});
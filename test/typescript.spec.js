@@ -0,0 +1,112 @@
+import { describe, it } from "node:test";
+import assert from "node:assert";
+import { rewriteSFC } from "../src/index.js";
+
+describe("TypeScript components", () => {
+  it("should emit typed props and emits from PropType annotations", async () => {
+    const sfc = `<template>
+  <div @click="inc(1)">{{ label }} {{ size }}</div>
+</template>
+<script lang="ts">
+import Vue, { PropType } from 'vue';
+import type { User } from '@/types';
+
+export default Vue.extend({
+  props: {
+    user: { type: Object as PropType<User>, required: true },
+    size: { type: Number, default: 1 },
+    tags: { type: Array as PropType<string[]>, default: () => [] },
+    mode: [String, Number],
+  },
+  data() {
+    return { count: 0 as number };
+  },
+  computed: {
+    label(): string {
+      return this.user.name + this.count;
+    }
+  },
+  methods: {
+    inc(step: number): void {
+      this.count += step;
+      this.$emit('change', this.count);
+    },
+    async load<T>(id: number): Promise<T | null> {
+      return null;
+    }
+  }
+});
+</script>`;
+
+    const res = await rewriteSFC(sfc);
+
+    const expected = `
+<template>
+  <div @click="inc(1)">{{ label }} {{ size }}</div>
+</template>
+<script setup lang="ts">
+import { ref, computed } from 'vue';
+import type { User } from '@/types';
+
+const props = withDefaults(
+  defineProps<{
+    user: User;
+    size?: number;
+    tags?: string[];
+    mode?: string | number;
+  }>(),
+  {
+    size: 1,
+    tags: () => [],
+  },
+);
+
+const emit = defineEmits<{
+  change: [...args: any[]];
+}>();
+
+const count = ref(0 as number);
+
+const label = computed<string>(() => {
+  return props.user.name + count.value;
+});
+
+const inc = (step: number): void => {
+  count.value += step;
+  emit('change', count.value);
+};
+
+const load = async <T,>(id: number): Promise<T | null> => {
+  return null;
+};
+</script>`;
+
+    assert.equal(res.trim(), expected.trim());
+  });
+
+  it("should keep runtime props a type can't express", async () => {
+    const sfc = `<template>
+  <div>{{ user.name }}</div>
+</template>
+<script lang="ts">
+import { defineComponent, PropType } from 'vue';
+import { User } from '@/types';
+
+export default defineComponent({
+  props: {
+    user: {
+      type: Object as PropType<User>,
+      validator: (user: User) => user.id > 0,
+    },
+  },
+});
+</script>`;
+
+    const res = await rewriteSFC(sfc);
+
+    assert.match(res, /<script setup lang="ts">/);
+    assert.match(res, /import \{ .*PropType.* \} from 'vue';/);
+    assert.match(res, /const props = defineProps\(\{/);
+    assert.match(res, /validator: \(user: User\) => user\.id > 0/);
+  });
+});
@@ -1,6 +1,6 @@
 import { describe, it } from "node:test";
 import assert from "node:assert";
-import { rewriteSFC } from "../src/index.js";
+import { rewriteSFC, migrateSFC } from "../src/index.js";
 
 describe("Vue2", () => {
   it("should handle filters", async () => {
@@ -57,6 +57,207 @@ const thumbURL = computed(() => {
     assert.equal(res.trim(), expected.trim());
   });
 
+  it("should handle template filters", async () => {
+    const input = `
+<template>
+  <div :title="product.price | currency('SEK') | upper">
+    {{ product.price | currency }}
+    {{ product.flags | 0x1 }}
+    {{ product.tags.join('|') | capitalize }}
+    {{ product.name || product.sku }}
+  </div>
+</template>
+<script>
+export default {
+  data() {
+    return {
+      product: null
+    };
+  }
+}
+</script>`;
+
+    const expected = `
+<template>
+  <div :title="upper(currency(product.price, 'SEK'))">
+    {{ currency(product.price) }}
+    {{ product.flags | 0x1 }}
+    {{ capitalize(product.tags.join('|')) }}
+    {{ product.name || product.sku }}
+  </div>
+</template>
+<script setup>
+import { ref } from 'vue';
+import { useFilters } from '@/composables/useFilters';
+
+const { currency, capitalize, upper } = useFilters();
+
+const product = ref(null);
+</script>`;
+
+    const res = await rewriteSFC(input);
+    assert.equal(res.trim(), expected.trim());
+  });
+
+  it("should handle sync modifiers and the model option", async () => {
+    const input = `
+<template>
+  <div>
+    <dialog-box :visible.sync="open" v-bind:title.sync="heading" />
+    <input type="checkbox" :checked="checked" @change="toggle" />
+  </div>
+</template>
+<script>
+export default {
+  model: {
+    prop: 'checked',
+    event: 'change'
+  },
+  props: {
+    checked: Boolean,
+    label: String
+  },
+  data() {
+    return {
+      open: false,
+      heading: 'Hi'
+    };
+  },
+  methods: {
+    toggle() {
+      this.$emit('change', !this.checked);
+      this.$emit('focus');
+    }
+  }
+}
+</script>`;
+
+    const expected = `
+<template>
+  <div>
+    <dialog-box v-model:visible="open" v-model:title="heading" />
+    <input type="checkbox" :checked="checked" @change="toggle" />
+  </div>
+</template>
+<script setup>
+import { ref } from 'vue';
+
+const props = defineProps({
+  label: String,
+});
+
+// FIXME: the model option prop is declared as defineModel('checked'), parents using v-model need v-model:checked
+const checked = defineModel('checked', { type: Boolean });
+
+const emit = defineEmits(['focus']);
+
+const open = ref(false);
+const heading = ref('Hi');
+
+const toggle = () => {
+  checked.value = !checked.value;
+  emit('focus');
+};
+</script>`;
+
+    const res = await rewriteSFC(input);
+    assert.equal(res.trim(), expected.trim());
+
+    const { diagnostics } = await migrateSFC(input);
+    assert.deepEqual(
+      diagnostics.map(({ code, input }) => [code, input.line]),
+      [["model-option-prop", 10]],
+    );
+  });
+
+  it("should handle slot and slot-scope attributes", async () => {
+    const input = `
+<template>
+  <my-list :items="items">
+    <template slot="header" slot-scope="{ item }"><b>{{ item }}</b></template>
+    <span v-if="compact" slot="footer">Foot</span>
+    <i v-else slot="footer">Long foot</i>
+    <my-row slot-scope="row" :data="row" />
+    <th scope="col">Name</th>
+  </my-list>
+</template>
+<script>
+export default {
+  computed: {
+    hasHeader() {
+      return !!this.$scopedSlots.header || !!this.$slots.default;
+    }
+  }
+}
+</script>`;
+
+    const expected = `
+<template>
+  <my-list :items="items">
+    <template #header="{ item }">
+      <b>{{ item }}</b>
+    </template>
+    <template v-if="compact" #footer><span>Foot</span></template>
+    <template v-else #footer><i>Long foot</i></template>
+    <template #default="row">
+      <my-row :data="row" />
+      <th scope="col">Name</th>
+    </template>
+  </my-list>
+</template>
+<script setup>
+import { computed, useSlots } from 'vue';
+
+const slots = useSlots();
+
+const hasHeader = computed(() => {
+  return !!slots.header || !!slots.default;
+});
+</script>`;
+
+    const res = await rewriteSFC(input);
+    assert.equal(res.trim(), expected.trim());
+  });
+
+  it("should map value and input to the default v-model", async () => {
+    const input = `
+<template>
+  <input :value="value" @input="update($event.target.value)" />
+</template>
+<script>
+export default {
+  props: {
+    value: String,
+    label: String
+  },
+  methods: {
+    update(text) {
+      this.$emit('input', text.trim());
+    }
+  }
+}
+</script>`;
+
+    const expected = `
+<template>
+  <input :value="value" @input="update($event.target.value)" />
+</template>
+<script setup>
+const props = defineProps({
+  label: String,
+});
+
+const value = defineModel({ type: String });
+
+const update = (text) => {
+  value.value = text.trim();
+};
+</script>`;
+
+    const res = await rewriteSFC(input);
+    assert.equal(res.trim(), expected.trim());
+  });
+
   it("should handle watchers", async () => {
     const sfc = `<template><h1>{{ title }}</h1></template>
         <script>
@@ -169,6 +370,8 @@ const ConsentOption = Object.freeze({
   AdPersonalization: 1 << 3,
   AdUserData: 1 << 4,
 });
+
+defineOptions({ name: 'ConsentBanner' });
 </script>`;
 
     assert.equal(res.trim(), expected.trim());
@@ -253,4 +456,312 @@ onMounted(() => {
 </script>`;
     assert.equal(res.trim(), expected.trim());
   });
+
+  it("should only rewrite this where it is the component", async () => {
+    const sfc = `<template>
+<div>{{ count }}</div>
+</template>
+<script>
+export default {
+  props: {
+    label: String
+  },
+  data() {
+    return { count: 0, items: {} };
+  },
+  methods: {
+    increment(key) {
+      // this.count is bumped below
+      const message = "this.count stays in strings";
+      console.log(\`this.count: \${this.count}\`, message, this.label);
+      this.$set(this.items, key, this.count);
+      setTimeout(function () {
+        this.count = 0;
+      });
+      [1, 2].forEach((step) => {
+        this.count += step;
+      });
+      this.save();
+    },
+    save() {}
+  }
+}
+</script>`;
+
+    const res = await rewriteSFC(sfc);
+
+    const expected = `
+<template>
+  <div>{{ count }}</div>
+</template>
+<script setup>
+import { ref } from 'vue';
+
+const props = defineProps({
+  label: String,
+});
+
+const count = ref(0);
+const items = ref({});
+
+const increment = (key) => {
+  // this.count is bumped below
+  const message = 'this.count stays in strings';
+  console.log(\`this.count: \${count.value}\`, message, props.label);
+  items.value[key] = count.value;
+  setTimeout(function () {
+    this.count = 0;
+  });
+  [1, 2].forEach((step) => {
+    count.value += step;
+  });
+  save();
+};
+
+const save = () => {};
+</script>`;
+    assert.equal(res.trim(), expected.trim());
+  });
+
+  it("should rewrite aliases and destructuring of this", async () => {
+    const sfc = `<template>
+<div>{{ count }}</div>
+</template>
+<script>
+export default {
+  props: {
+    user: Object
+  },
+  data() {
+    return { items: [] };
+  },
+  computed: {
+    total() {
+      return this.items.length;
+    }
+  },
+  methods: {
+    load() {
+      const self = this;
+      const { user, items: list, total } = this;
+      const { count = 1 } = this;
+      fetchItems(user.id, function (result) {
+        self.items = result;
+        self.save({ user, list });
+      });
+      [1].forEach((user) => console.log(user, total));
+    },
+    save() {}
+  }
+}
+</script>`;
+
+    const { code, diagnostics } = await migrateSFC(sfc);
+
+    const expected = `
+const load = () => {
+  // FIXME: destructuring of 'this' needs to be migrated by hand
+  const { count = 1 } = this;
+  fetchItems(props.user.id, function (result) {
+    items.value = result;
+    save({ user: props.user, list: items.value });
+  });
+  [1].forEach((user) => console.log(user, total.value));
+};`;
+    assert.ok(code.includes(expected.trim()), code);
+    assert.deepEqual(
+      diagnostics.map(({ code, input }) => [code, input.line]),
+      [["this-destructuring", 21]],
+    );
+  });
+
+  it("should leave the names shadowing members destructured from this", async () => {
+    const sfc = `<template>
+<div>{{ user }}</div>
+</template>
+<script>
+export default {
+  data() {
+    return { user: null, count: 0 };
+  },
+  methods: {
+    load() {
+      const { user } = this;
+      let { count } = this;
+      [1].forEach((x) => {
+        const user = x * 2;
+        console.log(user);
+      });
+      try {
+        save(user);
+      } catch (user) {
+        console.log(user);
+      }
+      count++;
+    }
+  }
+}
+</script>`;
+
+    const { code, diagnostics } = await migrateSFC(sfc);
+
+    const expected = `
+const load = () => {
+  // FIXME: destructuring of 'this' needs to be migrated by hand
+  let { count } = this;
+  [1].forEach((x) => {
+    const user = x * 2;
+    console.log(user);
+  });
+  try {
+    save(user.value);
+  } catch (user) {
+    console.log(user);
+  }
+  count++;
+};`;
+    assert.ok(code.includes(expected.trim()), code);
+    assert.deepEqual(
+      diagnostics.map(({ code, input }) => [code, input.line]),
+      [["this-destructuring", 12]],
+    );
+  });
+
+  it("should migrate $listeners, .native and inheritAttrs to the attrs model", async () => {
+    const sfc = `<template>
+  <label class="field">
+    <input v-bind="$attrs" v-on="$listeners" @focus.native="onFocus" />
+    <base-button v-on="$listeners" @click.native.prevent="clear">Clear</base-button>
+  </label>
+</template>
+<script>
+export default {
+  name: 'TextField',
+  inheritAttrs: false,
+  methods: {
+    onFocus() {
+      if (this.$listeners.focus) {
+        console.log(this.$attrs.placeholder);
+      }
+    },
+    clear() {}
+  }
+}
+</script>`;
+
+    const expected = `<template>
+  <label class="field">
+    <input v-bind="$attrs" @focus="onFocus" />
+    <base-button v-bind="$attrs" @click.prevent="clear">Clear</base-button>
+  </label>
+</template>
+<script setup>
+import { useAttrs } from 'vue';
+
+defineOptions({ name: 'TextField', inheritAttrs: false });
+
+const attrs = useAttrs();
+
+const onFocus = () => {
+  if (attrs.onFocus) {
+    console.log(attrs.placeholder);
+  }
+};
+
+const clear = () => {};
+</script>`;
+
+    const res = await rewriteSFC(sfc);
+    assert.equal(res.trim(), expected.trim());
+
+    const { diagnostics } = await migrateSFC(
+      sfc.replace("  inheritAttrs: false,\n", ""),
+    );
+    assert.deepEqual(
+      diagnostics.map(({ code, input }) => [code, input.line]),
+      [
+        ["listeners-inherited", 3],
+        ["listeners-inherited", 4],
+      ],
+    );
+  });
+
+  it("should rewrite the other uses of $listeners in templates", async () => {
+    const sfc = `<template>
+  <div class="picker">
+    <base-input
+      :on-change="$listeners.change"
+      v-on="{ ...$listeners, input: update }"
+    />
+    <clear-button v-on="$listeners" />
+  </div>
+</template>
+<script>
+export default {
+  // inheritAttrs: false
+  methods: {
+    update() {}
+  }
+}
+</script>`;
+
+    const { code, diagnostics } = await migrateSFC(sfc);
+
+    const expected = `<template>
+  <div class="picker">
+    <!-- FIXME: $listeners is merged into $attrs in Vue 3, the listeners are its on* properties -->
+    <base-input
+      :on-change="$attrs.onChange"
+      v-on="{ ...$listeners, input: update }"
+    />
+    <clear-button v-bind="$attrs" />
+  </div>
+</template>`;
+    assert.ok(code.startsWith(expected), code);
+    assert.deepEqual(
+      diagnostics.map(({ code, input }) => [code, input.line]),
+      [
+        ["listeners-unsupported", 5],
+        ["listeners-inherited", 7],
+      ],
+    );
+    assert.equal(diagnostics[0].output.line, 3);
+  });
+
+  it("should mark the other uses of $listeners in scripts", async () => {
+    const sfc = `<script>
+export default {
+  computed: {
+    inputListeners() {
+      const listeners = { ...this.$listeners, input: this.update };
+      return this.$listeners.change ? listeners : {};
+    }
+  },
+  methods: {
+    update() {}
+  }
+}
+</script>`;
+
+    const { code, diagnostics } = await migrateSFC(sfc);
+
+    const expected = `<script setup>
+import { computed, useAttrs } from 'vue';
+
+const attrs = useAttrs();
+
+const inputListeners = computed(() => {
+  // FIXME: $listeners is merged into $attrs in Vue 3, the listeners are its on* properties
+  const listeners = { ...this.$listeners, input: update };
+  return attrs.onChange ? listeners : {};
+});
+
+const update = () => {};
+</script>`;
+    assert.equal(code.trim(), expected.trim());
+    assert.deepEqual(
+      diagnostics.map(({ code }) => code),
+      ["listeners-unsupported"],
+    );
+  });
 });